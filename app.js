@@ -0,0 +1,19 @@
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const routes = require('./routes');
+const { TRUST_PROXY } = require('./utils/trustProxy');
+require('dotenv').config();
+
+const app = express();
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client IP
+// (rate limits and guest vote checks are counted per IP)
+app.set('trust proxy', TRUST_PROXY);
+
+app.use(express.json());
+app.use(cookieParser());
+app.use(express.static('public'));
+
+app.use('/api', routes);
+
+module.exports = app;
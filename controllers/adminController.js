@@ -0,0 +1,371 @@
+const { PrismaClient } = require('@prisma/client');
+const { successResponse, errorResponse } = require('../utils/response');
+const { recordAudit } = require('../services/auditService');
+const { broadcastVoteUpdate, broadcastPollUpdate, revalidatePollRoom } = require('../services/socketService');
+const { findPollImageUrls, releaseUploadedImages } = require('../services/uploadService');
+
+const prisma = new PrismaClient();
+
+// Fields returned for users in admin endpoints
+const adminUserSelect = {
+    id: true,
+    name: true,
+    email: true,
+    role: true,
+    suspendedAt: true,
+    suspendedReason: true,
+    createdAt: true,
+    updatedAt: true
+};
+
+/**
+ * List users (moderators + admins)
+ * - Supports pagination, search on name/email, and role/suspension filters
+ */
+const listUsers = async (req, res) => {
+    try {
+        const { page, limit, search, role, suspended } = req.query;
+        const skip = (page - 1) * limit;
+
+        const whereClause = {};
+
+        if (search) {
+            whereClause.OR = [
+                { name: { contains: search, mode: 'insensitive' } },
+                { email: { contains: search, mode: 'insensitive' } }
+            ];
+        }
+
+        if (role) {
+            whereClause.role = role;
+        }
+
+        if (suspended !== undefined) {
+            whereClause.suspendedAt = suspended ? { not: null } : null;
+        }
+
+        const [users, totalCount] = await Promise.all([
+            prisma.user.findMany({
+                where: whereClause,
+                select: {
+                    ...adminUserSelect,
+                    _count: { select: { polls: true, votes: true } }
+                },
+                skip,
+                take: limit,
+                orderBy: { createdAt: 'desc' }
+            }),
+            prisma.user.count({ where: whereClause })
+        ]);
+
+        const pagination = {
+            page,
+            limit,
+            total: totalCount,
+            pages: Math.ceil(totalCount / limit)
+        };
+
+        return successResponse(res, { users, pagination }, 'Users retrieved successfully');
+    } catch (error) {
+        console.error('List users error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Suspend a user account (moderators + admins)
+ * - Moderators can only suspend regular users
+ * - Nobody can suspend themselves
+ */
+const suspendUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { reason } = req.body || {};
+        const actor = req.user;
+
+        if (userId === actor.id) {
+            return errorResponse(res, 'You cannot suspend your own account', 400);
+        }
+
+        const target = await prisma.user.findUnique({ where: { id: userId } });
+        if (!target) {
+            return errorResponse(res, 'User not found', 404);
+        }
+
+        if (target.role !== 'user' && actor.role !== 'admin') {
+            return errorResponse(res, 'Only admins can suspend moderators and admins', 403);
+        }
+
+        if (target.suspendedAt) {
+            return errorResponse(res, 'User is already suspended', 409);
+        }
+
+        const user = await prisma.$transaction(async (tx) => {
+            const suspended = await tx.user.update({
+                where: { id: userId },
+                data: { suspendedAt: new Date(), suspendedReason: reason || null },
+                select: adminUserSelect
+            });
+
+            await recordAudit(tx, {
+                actorId: actor.id,
+                action: 'user.suspend',
+                targetType: 'user',
+                targetId: userId,
+                details: { reason: reason || null }
+            });
+
+            return suspended;
+        });
+
+        return successResponse(res, user, 'User suspended successfully');
+    } catch (error) {
+        console.error('Suspend user error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Lift a user's suspension (moderators + admins)
+ */
+const unsuspendUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const actor = req.user;
+
+        const target = await prisma.user.findUnique({ where: { id: userId } });
+        if (!target) {
+            return errorResponse(res, 'User not found', 404);
+        }
+
+        if (target.role !== 'user' && actor.role !== 'admin') {
+            return errorResponse(res, 'Only admins can unsuspend moderators and admins', 403);
+        }
+
+        if (!target.suspendedAt) {
+            return errorResponse(res, 'User is not suspended', 409);
+        }
+
+        const user = await prisma.$transaction(async (tx) => {
+            const restored = await tx.user.update({
+                where: { id: userId },
+                data: { suspendedAt: null, suspendedReason: null },
+                select: adminUserSelect
+            });
+
+            await recordAudit(tx, {
+                actorId: actor.id,
+                action: 'user.unsuspend',
+                targetType: 'user',
+                targetId: userId
+            });
+
+            return restored;
+        });
+
+        return successResponse(res, user, 'User unsuspended successfully');
+    } catch (error) {
+        console.error('Unsuspend user error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Change a user's role (admins only)
+ * - Admins cannot change their own role, so there is always an admin left
+ */
+const updateUserRole = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role } = req.body;
+        const actor = req.user;
+
+        if (userId === actor.id) {
+            return errorResponse(res, 'You cannot change your own role', 400);
+        }
+
+        const target = await prisma.user.findUnique({ where: { id: userId } });
+        if (!target) {
+            return errorResponse(res, 'User not found', 404);
+        }
+
+        const user = await prisma.$transaction(async (tx) => {
+            const updated = await tx.user.update({
+                where: { id: userId },
+                data: { role },
+                select: adminUserSelect
+            });
+
+            await recordAudit(tx, {
+                actorId: actor.id,
+                action: 'user.role',
+                targetType: 'user',
+                targetId: userId,
+                details: { from: target.role, to: role }
+            });
+
+            return updated;
+        });
+
+        return successResponse(res, user, 'User role updated successfully');
+    } catch (error) {
+        console.error('Update user role error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Force-unpublish a poll (moderators + admins)
+ */
+const unpublishPoll = async (req, res) => {
+    try {
+        const { pollId } = req.params;
+        const { reason } = req.body || {};
+
+        const poll = await prisma.$transaction(async (tx) => {
+            const updated = await tx.poll.update({
+                where: { id: pollId },
+                data: { isPublished: false }
+            });
+
+            await recordAudit(tx, {
+                actorId: req.user.id,
+                action: 'poll.unpublish',
+                targetType: 'poll',
+                targetId: pollId,
+                details: { reason: reason || null }
+            });
+
+            return updated;
+        });
+
+        await broadcastPollUpdate(pollId, 'unpublished', { reason: reason || null });
+        await revalidatePollRoom(pollId);
+
+        return successResponse(res, poll, 'Poll unpublished successfully');
+    } catch (error) {
+        console.error('Admin unpublish poll error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Delete a poll (moderators + admins)
+ * - The audit entry keeps the question and author of the deleted poll
+ */
+const deletePoll = async (req, res) => {
+    try {
+        const { pollId } = req.params;
+        const { reason } = req.body || {};
+        const poll = req.poll;
+        const imageUrls = await findPollImageUrls(pollId);
+
+        await prisma.$transaction(async (tx) => {
+            await recordAudit(tx, {
+                actorId: req.user.id,
+                action: 'poll.delete',
+                targetType: 'poll',
+                targetId: pollId,
+                details: { question: poll.question, authorId: poll.authorId, reason: reason || null }
+            });
+
+            await tx.poll.delete({ where: { id: pollId } });
+        });
+
+        await releaseUploadedImages(imageUrls);
+        await broadcastPollUpdate(pollId, 'deleted', { reason: reason || null });
+
+        return successResponse(res, null, 'Poll deleted successfully');
+    } catch (error) {
+        console.error('Admin delete poll error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Purge votes from a poll (admins only)
+ * - Removes every vote, or only one user's votes when `userId` is given
+ */
+const purgePollVotes = async (req, res) => {
+    try {
+        const { pollId } = req.params;
+        const { userId } = req.query;
+
+        const whereClause = { pollId, ...(userId && { userId }) };
+
+        const count = await prisma.$transaction(async (tx) => {
+            const result = await tx.vote.deleteMany({ where: whereClause });
+
+            await recordAudit(tx, {
+                actorId: req.user.id,
+                action: 'poll.purge_votes',
+                targetType: 'poll',
+                targetId: pollId,
+                details: { userId: userId || null, deleted: result.count }
+            });
+
+            return result.count;
+        });
+
+        await broadcastVoteUpdate(pollId);
+
+        return successResponse(res, { deleted: count }, 'Votes purged successfully');
+    } catch (error) {
+        console.error('Purge poll votes error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Get the audit log (admins only)
+ * - Supports pagination and filtering by actor, action and target
+ */
+const getAuditLogs = async (req, res) => {
+    try {
+        const { page, limit, actorId, action, targetType, targetId } = req.query;
+        const skip = (page - 1) * limit;
+
+        const whereClause = {
+            ...(actorId && { actorId }),
+            ...(action && { action }),
+            ...(targetType && { targetType }),
+            ...(targetId && { targetId })
+        };
+
+        const [logs, totalCount] = await Promise.all([
+            prisma.auditLog.findMany({
+                where: whereClause,
+                include: {
+                    actor: { select: { id: true, name: true, email: true, role: true } }
+                },
+                skip,
+                take: limit,
+                orderBy: { createdAt: 'desc' }
+            }),
+            prisma.auditLog.count({ where: whereClause })
+        ]);
+
+        const pagination = {
+            page,
+            limit,
+            total: totalCount,
+            pages: Math.ceil(totalCount / limit)
+        };
+
+        return successResponse(res, { logs, pagination }, 'Audit logs retrieved successfully');
+    } catch (error) {
+        console.error('Get audit logs error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+module.exports = {
+    listUsers,
+    suspendUser,
+    unsuspendUser,
+    updateUserRole,
+    unpublishPoll,
+    deletePoll,
+    purgePollVotes,
+    getAuditLogs
+};
@@ -0,0 +1,95 @@
+const { PrismaClient } = require('@prisma/client');
+const { errorResponse } = require('../utils/response');
+const { streamPollExport } = require('../services/exportService');
+
+const prisma = new PrismaClient();
+
+// Poll fields included in exports
+const exportPollSelect = {
+    id: true,
+    question: true,
+    votingMode: true,
+    status: true,
+    isPublished: true,
+    opensAt: true,
+    closesAt: true,
+    createdAt: true,
+    authorId: true,
+    voterVisibility: true,
+    options: {
+        select: { id: true, text: true, position: true },
+        orderBy: { position: 'asc' }
+    }
+};
+
+/**
+ * Send an export, or an error if it fails before streaming started
+ * - Once rows have been sent the status can no longer change, so the
+ *   response is cut off instead and the client sees an incomplete download
+ */
+const sendExport = async (res, polls, options, label) => {
+    try {
+        await streamPollExport(res, polls, options);
+    } catch (error) {
+        console.error(`${label} error:`, error);
+
+        if (!res.headersSent) {
+            return errorResponse(res, 'Internal server error', 500);
+        }
+        res.destroy(error);
+    }
+};
+
+/**
+ * Export a poll's results (poll author only, enforced by the route's authorization policies)
+ * - `format`: csv, excel (CSV with a BOM) or json
+ * - `type`: votes (one row per vote) or summary (one row per option)
+ * - Votes are streamed from the database in batches
+ * - Voter columns are empty for polls whose voters are hidden from everyone
+ */
+const exportPollResults = async (req, res) => {
+    const { pollId } = req.params;
+    const { format, type } = req.query;
+
+    try {
+        const poll = await prisma.poll.findUnique({
+            where: { id: pollId },
+            select: exportPollSelect
+        });
+
+        return sendExport(res, [poll], { format, type, fileName: `poll-${pollId}`, viewer: req.user }, 'Export poll results');
+    } catch (error) {
+        console.error('Export poll results error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Export the results of all polls created by the logged-in user
+ * - Same formats and types as exportPollResults
+ * - Optional `isPublished` filter, like getMyPolls
+ */
+const exportMyPollsResults = async (req, res) => {
+    const { format, type, isPublished } = req.query;
+
+    try {
+        const polls = await prisma.poll.findMany({
+            where: {
+                authorId: req.user.id,
+                ...(isPublished !== undefined && { isPublished })
+            },
+            select: exportPollSelect,
+            orderBy: { createdAt: 'desc' }
+        });
+
+        return sendExport(res, polls, { format, type, fileName: 'my-polls', viewer: req.user }, 'Export my polls results');
+    } catch (error) {
+        console.error('Export my polls results error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+module.exports = {
+    exportPollResults,
+    exportMyPollsResults
+};
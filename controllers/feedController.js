@@ -0,0 +1,164 @@
+const { PrismaClient } = require('@prisma/client');
+const { successResponse, errorResponse } = require('../utils/response');
+const { applyResultsVisibility } = require('../services/resultsService');
+const { tagsInclude, flattenTags } = require('../services/tagService');
+const { feedPollWhere, countBallotsByPoll, getTrendingScores } = require('../services/feedService');
+const { publicUserSelect } = require('../serializers/userSerializer');
+const { findPage, findRankedPage } = require('../utils/pagination');
+
+const prisma = new PrismaClient();
+
+// Same poll shape as the main listing
+const feedPollInclude = {
+    author: { select: publicUserSelect },
+    options: {
+        include: { _count: { select: { votes: true } } },
+        orderBy: { position: 'asc' }
+    },
+    ...tagsInclude,
+    _count: { select: { votes: true } }
+};
+
+/**
+ * Prepare feed polls for a viewer
+ * - Hides vote counts the viewer may not see, including the feed's own
+ *   score (`extra`), which is only added to polls with visible results
+ */
+const presentFeedPolls = async (polls, userId, extra = () => ({})) => {
+    const visiblePolls = await applyResultsVisibility(polls, userId);
+
+    return visiblePolls.map(poll => ({
+        ...flattenTags(poll),
+        ...(!poll.resultsHidden && extra(poll))
+    }));
+};
+
+/**
+ * Trending polls: most ballots per hour over a recent window
+ * - `windowHours` defaults to TRENDING_WINDOW_HOURS
+ * - Page mode only, since scores change with every vote
+ */
+const getTrendingPolls = async (req, res) => {
+    try {
+        const { windowHours } = req.query;
+
+        const scores = await getTrendingScores(prisma, windowHours);
+
+        const { items, pagination, error } = await findRankedPage(prisma.poll, {
+            where: feedPollWhere,
+            include: feedPollInclude
+        }, scores, req.query);
+
+        if (error) {
+            return errorResponse(res, error, 400, null, 'INVALID_CURSOR');
+        }
+
+        const polls = await presentFeedPolls(items, req.user?.id, poll => ({
+            votesPerHour: Math.round(scores.get(poll.id) * 100) / 100
+        }));
+
+        return successResponse(res, { polls, pagination }, 'Trending polls retrieved successfully');
+    } catch (error) {
+        console.error('Get trending polls error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Most voted polls (ballots, so a multi-choice or ranked ballot counts once)
+ * - Page mode only, since counts change with every vote
+ */
+const getMostVotedPolls = async (req, res) => {
+    try {
+        const counts = await countBallotsByPoll(prisma);
+
+        const { items, pagination, error } = await findRankedPage(prisma.poll, {
+            where: feedPollWhere,
+            include: feedPollInclude
+        }, counts, req.query);
+
+        if (error) {
+            return errorResponse(res, error, 400, null, 'INVALID_CURSOR');
+        }
+
+        const polls = await presentFeedPolls(items, req.user?.id, poll => ({
+            ballotCount: counts.get(poll.id)
+        }));
+
+        return successResponse(res, { polls, pagination }, 'Most voted polls retrieved successfully');
+    } catch (error) {
+        console.error('Get most voted polls error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Open polls closing within `withinHours`, soonest first
+ * - Page or cursor pagination (cursors are keyed on closesAt)
+ */
+const getClosingSoonPolls = async (req, res) => {
+    try {
+        const { withinHours } = req.query;
+        const now = new Date();
+
+        const { items, pagination, error } = await findPage(prisma.poll, {
+            where: {
+                ...feedPollWhere,
+                status: 'open',
+                closesAt: { gt: now, lte: new Date(now.getTime() + withinHours * 60 * 60 * 1000) }
+            },
+            include: feedPollInclude,
+            sortBy: 'closesAt',
+            sortOrder: 'asc',
+            cursorField: 'closesAt'
+        }, req.query);
+
+        if (error) {
+            return errorResponse(res, error, 400, null, 'INVALID_CURSOR');
+        }
+
+        const polls = await presentFeedPolls(items, req.user?.id);
+
+        return successResponse(res, { polls, pagination }, 'Closing soon polls retrieved successfully');
+    } catch (error) {
+        console.error('Get closing soon polls error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Open polls the logged-in user has not voted on yet, newest first
+ * - Page or cursor pagination
+ */
+const getUnvotedPolls = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const { items, pagination, error } = await findPage(prisma.poll, {
+            where: {
+                ...feedPollWhere,
+                status: 'open',
+                votes: { none: { userId } }
+            },
+            include: feedPollInclude
+        }, req.query);
+
+        if (error) {
+            return errorResponse(res, error, 400, null, 'INVALID_CURSOR');
+        }
+
+        const polls = await presentFeedPolls(items, userId);
+
+        return successResponse(res, { polls, pagination }, 'Polls to vote on retrieved successfully');
+    } catch (error) {
+        console.error('Get unvoted polls error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+module.exports = {
+    getTrendingPolls,
+    getMostVotedPolls,
+    getClosingSoonPolls,
+    getUnvotedPolls
+};
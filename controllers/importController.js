@@ -0,0 +1,116 @@
+const { PrismaClient } = require('@prisma/client');
+const { successResponse, errorResponse, validationErrorResponse } = require('../utils/response');
+const { parseCsv } = require('../utils/csv');
+const { validateObject } = require('../middleware/validate');
+const { createPollSchema } = require('../validators/pollSchemas');
+const { preparePoll, createPreparedPoll } = require('../services/pollCreationService');
+const { getImageOwnershipError } = require('../services/uploadService');
+
+const prisma = new PrismaClient();
+
+const IMPORT_MAX_POLLS = 100;
+
+// Separator between options (and tags) in a column of a CSV import
+const CSV_OPTION_SEPARATOR = '|';
+
+/**
+ * Turn a CSV row into a poll definition
+ * - Empty cells are left out so schema defaults apply
+ * - `options` holds the option texts separated by "|", and `tags` the tag names
+ */
+const csvRowToPoll = (row) => {
+    const poll = Object.fromEntries(
+        Object.entries(row).filter(([, value]) => value.trim() !== '')
+    );
+
+    if (poll.options !== undefined) {
+        poll.options = poll.options
+            .split(CSV_OPTION_SEPARATOR)
+            .map(text => ({ text }))
+            .filter(option => option.text.trim() !== '');
+    }
+
+    if (poll.tags !== undefined) {
+        poll.tags = poll.tags
+            .split(CSV_OPTION_SEPARATOR)
+            .filter(tag => tag.trim() !== '');
+    }
+
+    return poll;
+};
+
+/**
+ * Bulk import polls from JSON or CSV
+ * - JSON: `{ "polls": [ <createPoll body>, ... ] }`
+ * - CSV (Content-Type: text/csv): one poll per row with createPoll fields as
+ *   columns and `options`/`tags` separated by "|"
+ * - Every row is checked first; if any row fails nothing is created and the
+ *   errors are reported per row (`row` is the JSON index + 1, or the CSV line)
+ * - Otherwise all polls are created in one transaction
+ */
+const importPolls = async (req, res) => {
+    try {
+        const authorId = req.user.id;
+        const isCsv = typeof req.body === 'string';
+
+        const rows = isCsv ? parseCsv(req.body).map(csvRowToPoll) : req.body?.polls;
+
+        if (!Array.isArray(rows) || rows.length === 0) {
+            return errorResponse(res, isCsv ? 'The CSV file has no polls' : 'Body must contain a non-empty `polls` array', 400);
+        }
+
+        if (rows.length > IMPORT_MAX_POLLS) {
+            return errorResponse(res, `At most ${IMPORT_MAX_POLLS} polls can be imported at once`, 400);
+        }
+
+        const prepared = [];
+        const rowErrors = [];
+
+        for (const [index, row] of rows.entries()) {
+            // CSV line numbers count the header line
+            const rowNumber = isCsv ? index + 2 : index + 1;
+
+            const errors = [];
+            const input = validateObject(row, createPollSchema, errors);
+            if (errors.length > 0) {
+                rowErrors.push({ row: rowNumber, errors });
+                continue;
+            }
+
+            const poll = preparePoll(input);
+            if (poll.error) {
+                rowErrors.push({ row: rowNumber, errors: [{ field: null, code: 'INVALID_POLL', message: poll.error }] });
+                continue;
+            }
+
+            const imageError = await getImageOwnershipError(poll.options.map(option => option.imageUrl), [authorId]);
+            if (imageError) {
+                rowErrors.push({ row: rowNumber, errors: [{ field: 'options', code: imageError.code, message: imageError.message }] });
+                continue;
+            }
+
+            prepared.push(poll);
+        }
+
+        if (rowErrors.length > 0) {
+            return validationErrorResponse(res, rowErrors, 'Import failed, no polls were created');
+        }
+
+        const polls = await prisma.$transaction(async (tx) => {
+            const created = [];
+            for (const poll of prepared) {
+                created.push(await createPreparedPoll(tx, authorId, poll));
+            }
+            return created;
+        }, { timeout: 30000 });
+
+        return successResponse(res, { created: polls.length, polls }, 'Polls imported successfully', 201);
+    } catch (error) {
+        console.error('Import polls error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+module.exports = {
+    importPolls
+};
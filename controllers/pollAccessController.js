@@ -0,0 +1,227 @@
+const { PrismaClient } = require('@prisma/client');
+const { successResponse, errorResponse } = require('../utils/response');
+const { MAX_POLL_INVITES, generateShareToken } = require('../services/pollVisibilityService');
+const { publicUserSelect } = require('../serializers/userSerializer');
+const { revalidatePollRoom } = require('../services/socketService');
+
+const prisma = new PrismaClient();
+
+// Fields returned for invites
+const inviteSelect = {
+    id: true,
+    email: true,
+    createdAt: true,
+    user: { select: publicUserSelect }
+};
+
+/**
+ * List a poll's invites, oldest first
+ * - Invites only grant access while the poll is invite-only, but are kept
+ *   when the access mode changes
+ */
+const getPollInvites = async (req, res) => {
+    try {
+        const { pollId } = req.params;
+        const { page, limit } = req.query;
+
+        const [invites, total] = await Promise.all([
+            prisma.pollInvite.findMany({
+                where: { pollId },
+                select: inviteSelect,
+                orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+                skip: (page - 1) * limit,
+                take: limit
+            }),
+            prisma.pollInvite.count({ where: { pollId } })
+        ]);
+
+        return successResponse(res, {
+            accessMode: req.poll.accessMode,
+            invites,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        }, 'Poll invites retrieved successfully');
+    } catch (error) {
+        console.error('Get poll invites error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Invite users to a poll by user id and/or email
+ * - Emails are stored lowercased and linked to the matching account if its
+ *   email is verified; anyone else gets access once they verify that email
+ *   (see linkEmailInvites)
+ * - Already invited users and emails are skipped
+ */
+const addPollInvites = async (req, res) => {
+    try {
+        const { pollId } = req.params;
+        const { userIds = [], emails = [] } = req.body;
+
+        if (userIds.length === 0 && emails.length === 0) {
+            return errorResponse(res, 'Provide userIds or emails to invite', 400);
+        }
+
+        const lowercasedEmails = [...new Set(emails.map(email => email.toLowerCase()))];
+
+        const users = await prisma.user.findMany({
+            where: {
+                OR: [
+                    { id: { in: userIds } },
+                    { email: { in: lowercasedEmails, mode: 'insensitive' } }
+                ]
+            },
+            select: { id: true, email: true, emailVerifiedAt: true }
+        });
+
+        const foundIds = new Set(users.map(user => user.id));
+        const unknownIds = userIds.filter(userId => !foundIds.has(userId));
+
+        if (unknownIds.length > 0) {
+            return errorResponse(res, `Unknown users: ${unknownIds.join(', ')}`, 400);
+        }
+
+        // One invite per email; accounts take precedence over bare emails, but
+        // an email only points at an account whose owner verified it
+        const invitees = new Map(lowercasedEmails.map(email => [email, null]));
+        for (const user of users) {
+            if (userIds.includes(user.id) || user.emailVerifiedAt) {
+                invitees.set(user.email.toLowerCase(), user.id);
+            }
+        }
+
+        const result = await prisma.$transaction(async (tx) => {
+            const existing = await tx.pollInvite.findMany({
+                where: { pollId },
+                select: { email: true }
+            });
+            const existingEmails = new Set(existing.map(invite => invite.email));
+            const newInvites = [...invitees].filter(([email]) => !existingEmails.has(email));
+
+            if (existing.length + newInvites.length > MAX_POLL_INVITES) {
+                return { error: `A poll can have at most ${MAX_POLL_INVITES} invites` };
+            }
+
+            const { count } = await tx.pollInvite.createMany({
+                data: newInvites.map(([email, userId]) => ({ pollId, email, userId })),
+                skipDuplicates: true
+            });
+
+            return { count };
+        });
+
+        if (result.error) {
+            return errorResponse(res, result.error, 400);
+        }
+
+        const invites = await prisma.pollInvite.findMany({
+            where: { pollId, email: { in: [...invitees.keys()] } },
+            select: inviteSelect,
+            orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+        });
+
+        return successResponse(res, {
+            added: result.count,
+            invites
+        }, 'Poll invites added successfully', 201);
+    } catch (error) {
+        console.error('Add poll invites error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Remove an invite
+ * - Votes the invitee already cast are kept, and so is their access to the poll
+ */
+const removePollInvite = async (req, res) => {
+    try {
+        const { pollId, inviteId } = req.params;
+
+        const { count } = await prisma.pollInvite.deleteMany({
+            where: { id: inviteId, pollId }
+        });
+
+        if (count === 0) {
+            return errorResponse(res, 'Invite not found', 404);
+        }
+
+        await revalidatePollRoom(pollId);
+
+        return successResponse(res, null, 'Poll invite removed successfully');
+    } catch (error) {
+        console.error('Remove poll invite error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Get the share token of a link-only poll
+ */
+const getShareLink = async (req, res) => {
+    try {
+        const { pollId } = req.params;
+
+        if (req.poll.accessMode !== 'link') {
+            return errorResponse(res, 'Only link-only polls have a share token', 400);
+        }
+
+        const shareLink = await prisma.pollShareLink.findUnique({
+            where: { pollId },
+            select: { token: true, createdAt: true }
+        });
+
+        if (!shareLink) {
+            return errorResponse(res, 'Share token not found', 404);
+        }
+
+        return successResponse(res, { shareLink }, 'Share token retrieved successfully');
+    } catch (error) {
+        console.error('Get share link error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Replace the share token of a link-only poll
+ * - Links with the old token stop working; people who already voted keep access
+ */
+const rotateShareLink = async (req, res) => {
+    try {
+        const { pollId } = req.params;
+
+        if (req.poll.accessMode !== 'link') {
+            return errorResponse(res, 'Only link-only polls have a share token', 400);
+        }
+
+        const token = generateShareToken();
+
+        const shareLink = await prisma.pollShareLink.upsert({
+            where: { pollId },
+            create: { pollId, token },
+            update: { token, createdAt: new Date() },
+            select: { token: true, createdAt: true }
+        });
+
+        // Sockets that joined with the old token must not keep watching
+        await revalidatePollRoom(pollId);
+
+        return successResponse(res, { shareLink }, 'Share token rotated successfully');
+    } catch (error) {
+        console.error('Rotate share link error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+module.exports = {
+    getPollInvites,
+    addPollInvites,
+    removePollInvite,
+    getShareLink,
+    rotateShareLink
+};
@@ -1,58 +1,64 @@
 const { PrismaClient } = require('@prisma/client');
-const { successResponse, errorResponse } = require('../utils/response');
+const { successResponse, errorResponse, validationErrorResponse } = require('../utils/response');
+const { validateObject } = require('../middleware/validate');
+const { createPollSchema } = require('../validators/pollSchemas');
+const {
+    groupFreeTextAnswers,
+    buildRankedBallots,
+    computeInstantRunoff
+} = require('../services/votingService');
+const {
+    parseScheduleDate,
+    validateSchedule,
+    getPollStatus
+} = require('../services/scheduleService');
+const {
+    normalizeResultsVisibility,
+    resolveResultsAccess,
+    hidePollResults,
+    applyResultsVisibility
+} = require('../services/resultsService');
+const { broadcastPollUpdate, revalidatePollRoom } = require('../services/socketService');
+const { preparePoll, createPreparedPoll } = require('../services/pollCreationService');
+const { recordRevision } = require('../services/revisionService');
+const { normalizeTags, tagsInclude, flattenTags, setPollTags, tagFilter, getTagFacets } = require('../services/tagService');
+const { searchPolls } = require('../services/searchService');
+const {
+    visiblePollWhere,
+    findVisiblePoll,
+    getShareToken,
+    generateShareToken
+} = require('../services/pollVisibilityService');
+const { isVoterVisibilityWidening } = require('../services/privacyService');
+const { publicUserSelect } = require('../serializers/userSerializer');
+const { getImageOwnershipError, findPollImageUrls, releaseUploadedImages } = require('../services/uploadService');
+const { findPage, findRankedPage } = require('../utils/pagination');
 
 const prisma = new PrismaClient();
 
 /**
  * Create a new poll with options.
- * - Validates the request body.
+ * - The request body is validated by the route schema; voting mode limits
+ *   are checked against the number of options here.
+ * - Accepts an optional `opensAt`/`closesAt` voting window.
  * - Creates the poll and its options inside a transaction to ensure atomicity.
  */
 const createPoll = async (req, res) => {
     try {
-        const { question, options, isPublished = false } = req.body;
         const authorId = req.user.id;
 
-        // Basic validation: must have a question and at least 2 options
-        if (!question || !options || !Array.isArray(options) || options.length < 2) {
-            return errorResponse(res, 'Question and at least 2 options are required', 400);
+        const prepared = preparePoll(req.body);
+        if (prepared.error) {
+            return errorResponse(res, prepared.error, 400);
         }
 
-        // Validate that each option has valid non-empty text
-        for (const option of options) {
-            if (!option.text || typeof option.text !== 'string' || option.text.trim().length === 0) {
-                return errorResponse(res, 'All options must have valid text', 400);
-            }
+        const imageError = await getImageOwnershipError(prepared.options.map(option => option.imageUrl), [authorId]);
+        if (imageError) {
+            return errorResponse(res, imageError.message, 403, null, imageError.code);
         }
 
         // Use a transaction so poll + options are created together safely
-        const poll = await prisma.$transaction(async (tx) => {
-            // Create poll
-            const newPoll = await tx.poll.create({
-                data: {
-                    question: question.trim(),
-                    isPublished,
-                    authorId
-                }
-            });
-
-            // Create all poll options
-            const pollOptions = await Promise.all(
-                options.map(option =>
-                    tx.pollOption.create({
-                        data: {
-                            text: option.text.trim(),
-                            pollId: newPoll.id
-                        }
-                    })
-                )
-            );
-
-            return {
-                ...newPoll,
-                options: pollOptions
-            };
-        });
+        const poll = await prisma.$transaction(tx => createPreparedPoll(tx, authorId, prepared));
 
         return successResponse(res, poll, 'Poll created successfully', 201);
     } catch (error) {
@@ -63,30 +69,42 @@ const createPoll = async (req, res) => {
 
 /**
  * Get all polls with pagination, search, filtering, and sorting.
+ * - Page or cursor pagination (see utils/pagination.js); cursors require sortBy=createdAt.
+ * - `search` is a full-text search over questions and option texts; results
+ *   are sorted by relevance unless another `sortBy` is given.
+ * - `tags` filters by tag (all of them, or any with `tagMatch=any`).
+ * - Only lists published polls, plus the viewer's own drafts and unlisted
+ *   polls (admins see every poll).
+ * - `facets.tags` counts the matching polls per tag.
+ * - Vote counts are omitted for polls whose results the viewer may not see.
  */
 const getAllPolls = async (req, res) => {
     try {
         // Extract query params with defaults
         const {
-            page = 1,
-            limit = 10,
             search,
+            tags,
+            tagMatch,
             authorId,
             isPublished,
-            sortBy = 'createdAt',
+            sortBy = search ? 'relevance' : 'createdAt',
             sortOrder = 'desc'
         } = req.query;
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        if (sortBy === 'relevance' && !search) {
+            return errorResponse(res, 'sortBy=relevance requires a search', 400);
+        }
 
         // Build dynamic filter (WHERE clause)
         const whereClause = {};
 
-        if (search) {
-            whereClause.question = {
-                contains: search,
-                mode: 'insensitive'
-            };
+        const searchRanks = search ? await searchPolls(prisma, search, req.user) : null;
+        if (searchRanks) {
+            whereClause.id = { in: [...searchRanks.keys()] };
+        }
+
+        if (tags && tags.length > 0) {
+            Object.assign(whereClause, tagFilter(normalizeTags(tags), tagMatch));
         }
 
         if (authorId) {
@@ -94,73 +112,113 @@ const getAllPolls = async (req, res) => {
         }
 
         if (isPublished !== undefined) {
-            whereClause.isPublished = isPublished === 'true';
+            whereClause.isPublished = isPublished;
         }
 
-        // Only allow sorting on certain fields
-        const allowedSortFields = ['createdAt', 'updatedAt', 'question'];
-        const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'createdAt';
-        const orderBy = { [sortField]: sortOrder };
+        // Drafts are only listed for their author (and admins), unlisted polls never
+        const visibleWhere = { AND: [visiblePollWhere(req.user, { listed: true }), whereClause] };
 
-        // Fetch polls + total count in parallel
-        const [polls, totalCount] = await Promise.all([
-            prisma.poll.findMany({
-                where: whereClause,
+        const include = {
+            author: { select: publicUserSelect },
+            options: {
                 include: {
-                    author: { select: { id: true, name: true, email: true } },
-                    options: {
-                        include: {
-                            _count: { select: { votes: true } }
-                        }
-                    },
                     _count: { select: { votes: true } }
                 },
-                skip,
-                take: parseInt(limit),
-                orderBy
-            }),
-            prisma.poll.count({ where: whereClause })
+                orderBy: { position: 'asc' }
+            },
+            ...tagsInclude,
+            _count: { select: { votes: true } }
+        };
+
+        // sortBy/sortOrder are restricted to known values by the route schema
+        const [{ items: polls, pagination, error }, tagFacets] = await Promise.all([
+            sortBy === 'relevance'
+                ? findRankedPage(prisma.poll, { where: visibleWhere, include }, searchRanks, req.query)
+                : findPage(prisma.poll, { where: visibleWhere, include, sortBy, sortOrder }, req.query),
+            getTagFacets(prisma, visibleWhere)
         ]);
 
-        const pagination = {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: totalCount,
-            pages: Math.ceil(totalCount / parseInt(limit))
-        };
+        if (error) {
+            return errorResponse(res, error, 400, null, 'INVALID_CURSOR');
+        }
 
-        return successResponse(res, { polls, pagination }, 'Polls retrieved successfully');
+        // Hide vote counts the viewer is not allowed to see
+        const visiblePolls = (await applyResultsVisibility(polls, req.user?.id)).map(poll => ({
+            ...flattenTags(poll),
+            ...(searchRanks && { searchRank: searchRanks.get(poll.id) })
+        }));
+
+        return successResponse(res, {
+            polls: visiblePolls,
+            pagination,
+            facets: { tags: tagFacets }
+        }, 'Polls retrieved successfully');
     } catch (error) {
         console.error('Get all polls error:', error);
         return errorResponse(res, 'Internal server error', 500);
     }
 };
 
+/**
+ * Get the revision of a poll that a user's vote was cast against
+ * - Returns null if the user has not voted, or voted before revisions were kept
+ */
+const getVotedRevision = async (pollId, userId) => {
+    const vote = await prisma.vote.findFirst({
+        where: { pollId, userId, pollVersion: { not: null } },
+        select: { pollVersion: true }
+    });
+
+    if (!vote) {
+        return null;
+    }
+
+    return prisma.pollRevision.findUnique({
+        where: { pollId_version: { pollId, version: vote.pollVersion } },
+        select: { version: true, question: true, options: true, change: true, createdAt: true }
+    });
+};
+
 /**
  * Get a specific poll by its ID (with author + options + vote counts).
+ * - Drafts are reported as not found to anyone but their author and admins;
+ *   unlisted polls can be opened by anyone with the link.
+ * - Link-only polls need the share token (X-Share-Token header or
+ *   `shareToken` query param), invite-only polls an invite.
+ * - Vote counts are omitted when the results visibility policy hides them.
+ * - `votedRevision` is the question/options snapshot the viewer's vote was
+ *   cast against (compare its `version` with `currentVersion`).
  */
 const getPollById = async (req, res) => {
     try {
         const { pollId } = req.params;
 
-        const poll = await prisma.poll.findUnique({
-            where: { id: pollId },
+        // Drafts are only visible to their author and admins; private polls need access
+        const poll = await findVisiblePoll(prisma, pollId, req.user, {
             include: {
-                author: { select: { id: true, name: true, email: true } },
+                author: { select: publicUserSelect },
                 options: {
                     include: {
                         _count: { select: { votes: true } }
-                    }
+                    },
+                    orderBy: { position: 'asc' }
                 },
+                ...tagsInclude,
                 _count: { select: { votes: true } }
             }
-        });
+        }, getShareToken(req));
 
         if (!poll) {
             return errorResponse(res, 'Poll not found', 404);
         }
 
-        return successResponse(res, poll, 'Poll retrieved successfully');
+        // Hide vote counts unless the poll's results policy allows this viewer to see them
+        const canView = await resolveResultsAccess(poll, req.user?.id);
+        const visiblePoll = canView ? { ...poll, resultsHidden: false } : hidePollResults(poll);
+
+        const votedRevision = req.user ? await getVotedRevision(pollId, req.user.id) : null;
+
+        return successResponse(res, { ...flattenTags(visiblePoll), votedRevision }, 'Poll retrieved successfully');
     } catch (error) {
         console.error('Get poll by ID error:', error);
         return errorResponse(res, 'Internal server error', 500);
@@ -168,45 +226,128 @@ const getPollById = async (req, res) => {
 };
 
 /**
- * Update poll (only if the logged-in user is the poll author).
+ * Update poll (poll author or admin, enforced by the route's authorization policies).
+ * - Changing `opensAt`/`closesAt` re-evaluates the poll status and
+ *   notifies connected clients if voting opened or closed as a result.
+ * - Changing the question records a new poll revision.
+ * - `tags` replaces the poll's tags.
+ * - Switching `accessMode` to link creates a share token; switching away
+ *   from link deletes it, so old links stop working.
+ * - Once a poll has votes, `voterVisibility` can only become more private,
+ *   so voters are never exposed to more people than they were promised.
  */
 const updatePoll = async (req, res) => {
     try {
         const { pollId } = req.params;
-        const { question, isPublished } = req.body;
-        const userId = req.user.id;
+        const {
+            question,
+            isPublished,
+            isUnlisted,
+            accessMode,
+            allowAnonymous,
+            resultsVisibility,
+            voterVisibility,
+            opensAt,
+            closesAt,
+            tags
+        } = req.body;
+        // Loaded + authorized by the loadPoll / authorize route middleware
+        const existingPoll = req.poll;
+
+        // Merge the requested window with the current one and validate it
+        const parsedOpensAt = parseScheduleDate(opensAt, 'opensAt');
+        const parsedClosesAt = parseScheduleDate(closesAt, 'closesAt');
+        const schedule = {
+            opensAt: opensAt !== undefined ? parsedOpensAt.value : existingPoll.opensAt,
+            closesAt: closesAt !== undefined ? parsedClosesAt.value : existingPoll.closesAt
+        };
+        const scheduleError = parsedOpensAt.error || parsedClosesAt.error
+            || validateSchedule(schedule.opensAt, schedule.closesAt);
 
-        // Check poll exists
-        const existingPoll = await prisma.poll.findUnique({
-            where: { id: pollId }
-        });
+        if (scheduleError) {
+            return errorResponse(res, scheduleError, 400);
+        }
 
-        if (!existingPoll) {
-            return errorResponse(res, 'Poll not found', 404);
+        const visibility = normalizeResultsVisibility(resultsVisibility);
+        if (visibility.error) {
+            return errorResponse(res, visibility.error, 400);
         }
 
-        // Ensure only poll author can update
-        if (existingPoll.authorId !== userId) {
-            return errorResponse(res, 'You can only update your own polls', 403);
+        if (voterVisibility !== undefined && isVoterVisibilityWidening(existingPoll.voterVisibility, voterVisibility)) {
+            const voteCount = await prisma.vote.count({ where: { pollId } });
+            if (voteCount > 0) {
+                return errorResponse(res, 'Voter visibility can only be made more private once a poll has votes', 400);
+            }
         }
 
-        // Update poll with conditional fields
-        const updatedPoll = await prisma.poll.update({
-            where: { id: pollId },
-            data: {
-                ...(question && { question: question.trim() }),
-                ...(isPublished !== undefined && { isPublished })
-            },
-            include: {
-                author: { select: { id: true, name: true, email: true } },
-                options: {
-                    include: { _count: { select: { votes: true } } }
-                },
-                _count: { select: { votes: true } }
+        const scheduleChanged = opensAt !== undefined || closesAt !== undefined;
+        const status = scheduleChanged ? getPollStatus(schedule) : existingPoll.status;
+
+        const questionChanged = Boolean(question) && question !== existingPoll.question;
+
+        // Update poll with conditional fields; a new question is recorded as a revision
+        const updatedPoll = await prisma.$transaction(async (tx) => {
+            await tx.poll.update({
+                where: { id: pollId },
+                data: {
+                    ...(questionChanged && { question }),
+                    ...(isPublished !== undefined && { isPublished }),
+                    ...(isUnlisted !== undefined && { isUnlisted }),
+                    ...(accessMode !== undefined && { accessMode }),
+                    ...(allowAnonymous !== undefined && { allowAnonymous: allowAnonymous === true }),
+                    ...(visibility.value && { resultsVisibility: visibility.value }),
+                    ...(voterVisibility !== undefined && { voterVisibility }),
+                    ...(scheduleChanged && { ...schedule, status })
+                }
+            });
+
+            if (questionChanged) {
+                await recordRevision(tx, pollId, { editorId: req.user.id, change: 'question' });
             }
+
+            if (tags !== undefined) {
+                await setPollTags(tx, pollId, normalizeTags(tags));
+            }
+
+            if (accessMode === 'link') {
+                await tx.pollShareLink.upsert({
+                    where: { pollId },
+                    create: { pollId, token: generateShareToken() },
+                    update: {}
+                });
+            } else if (accessMode !== undefined) {
+                await tx.pollShareLink.deleteMany({ where: { pollId } });
+            }
+
+            return tx.poll.findUnique({
+                where: { id: pollId },
+                include: {
+                    author: { select: publicUserSelect },
+                    options: {
+                        include: { _count: { select: { votes: true } } },
+                        orderBy: { position: 'asc' }
+                    },
+                    ...tagsInclude,
+                    _count: { select: { votes: true } }
+                }
+            });
         });
 
-        return successResponse(res, updatedPoll, 'Poll updated successfully');
+        if (status !== existingPoll.status) {
+            const updateType = { open: 'opened', closed: 'closed', scheduled: 'scheduled' }[status];
+            await broadcastPollUpdate(pollId, updateType, {
+                status,
+                opensAt: updatedPoll.opensAt,
+                closesAt: updatedPoll.closesAt
+            });
+        }
+
+        // Viewers watching the poll may have lost access to it
+        if (isPublished === false || (accessMode !== undefined && accessMode !== existingPoll.accessMode)) {
+            await revalidatePollRoom(pollId);
+        }
+
+        return successResponse(res, flattenTags(updatedPoll), 'Poll updated successfully');
     } catch (error) {
         console.error('Update poll error:', error);
         return errorResponse(res, 'Internal server error', 500);
@@ -214,26 +355,15 @@ const updatePoll = async (req, res) => {
 };
 
 /**
- * Delete poll (only if the logged-in user is the poll author).
+ * Delete poll (poll author or admin, enforced by the route's authorization policies).
  */
 const deletePoll = async (req, res) => {
     try {
         const { pollId } = req.params;
-        const userId = req.user.id;
-
-        const existingPoll = await prisma.poll.findUnique({
-            where: { id: pollId }
-        });
-
-        if (!existingPoll) {
-            return errorResponse(res, 'Poll not found', 404);
-        }
-
-        if (existingPoll.authorId !== userId) {
-            return errorResponse(res, 'You can only delete your own polls', 403);
-        }
 
+        const imageUrls = await findPollImageUrls(pollId);
         await prisma.poll.delete({ where: { id: pollId } });
+        await releaseUploadedImages(imageUrls);
 
         return successResponse(res, null, 'Poll deleted successfully');
     } catch (error) {
@@ -243,55 +373,45 @@ const deletePoll = async (req, res) => {
 };
 
 /**
- * Get all polls created by the logged-in user (with pagination).
+ * Get all polls created by the logged-in user (with page or cursor pagination).
  */
 const getMyPolls = async (req, res) => {
     try {
         const {
-            page = 1,
-            limit = 10,
             isPublished,
             sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
         const userId = req.user.id;
 
         const whereClause = { authorId: userId };
 
         if (isPublished !== undefined) {
-            whereClause.isPublished = isPublished === 'true';
+            whereClause.isPublished = isPublished;
         }
 
-        const allowedSortFields = ['createdAt', 'updatedAt', 'question'];
-        const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'createdAt';
-        const orderBy = { [sortField]: sortOrder };
-
-        const [polls, totalCount] = await Promise.all([
-            prisma.poll.findMany({
-                where: whereClause,
-                include: {
-                    options: {
-                        include: { _count: { select: { votes: true } } }
-                    },
-                    _count: { select: { votes: true } }
+        const { items: polls, pagination, error } = await findPage(prisma.poll, {
+            where: whereClause,
+            include: {
+                options: {
+                    include: { _count: { select: { votes: true } } },
+                    orderBy: { position: 'asc' }
                 },
-                skip,
-                take: parseInt(limit),
-                orderBy
-            }),
-            prisma.poll.count({ where: whereClause })
-        ]);
+                ...tagsInclude,
+                _count: { select: { votes: true } }
+            },
+            sortBy,
+            sortOrder
+        }, req.query);
 
-        const pagination = {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: totalCount,
-            pages: Math.ceil(totalCount / parseInt(limit))
-        };
+        if (error) {
+            return errorResponse(res, error, 400, null, 'INVALID_CURSOR');
+        }
+
+        const visiblePolls = (await applyResultsVisibility(polls, userId)).map(flattenTags);
 
-        return successResponse(res, { polls, pagination }, 'Your polls retrieved successfully');
+        return successResponse(res, { polls: visiblePolls, pagination }, 'Your polls retrieved successfully');
     } catch (error) {
         console.error('Get my polls error:', error);
         return errorResponse(res, 'Internal server error', 500);
@@ -299,36 +419,27 @@ const getMyPolls = async (req, res) => {
 };
 
 /**
- * Publish/unpublish a poll (only poll author can do this).
+ * Publish/unpublish a poll (poll author or admin, enforced by the route's authorization policies).
  */
 const togglePollPublish = async (req, res) => {
     try {
         const { pollId } = req.params;
         const { isPublished } = req.body;
-        const userId = req.user.id;
-
-        const existingPoll = await prisma.poll.findUnique({
-            where: { id: pollId }
-        });
-
-        if (!existingPoll) {
-            return errorResponse(res, 'Poll not found', 404);
-        }
-
-        if (existingPoll.authorId !== userId) {
-            return errorResponse(res, 'You can only modify your own polls', 403);
-        }
 
         const updatedPoll = await prisma.poll.update({
             where: { id: pollId },
             data: { isPublished },
             include: {
-                author: { select: { id: true, name: true, email: true } },
-                options: { include: { _count: { select: { votes: true } } } },
+                author: { select: publicUserSelect },
+                options: { include: { _count: { select: { votes: true } } }, orderBy: { position: 'asc' } },
                 _count: { select: { votes: true } }
             }
         });
 
+        if (!isPublished) {
+            await revalidatePollRoom(pollId);
+        }
+
         const message = isPublished ? 'Poll published successfully' : 'Poll unpublished successfully';
         return successResponse(res, updatedPoll, message);
     } catch (error) {
@@ -339,31 +450,119 @@ const togglePollPublish = async (req, res) => {
 
 /**
  * Get poll statistics (vote count + percentage per option).
+ * - Ranked polls count first preferences per option and include
+ *   the instant-runoff rounds.
+ * - Guest votes are also reported separately (`guestVoteCount`).
+ * - The "Other" option lists the typed answers grouped with their counts.
+ * - Drafts and private polls the viewer cannot access are reported as not
+ *   found, like getPollById.
+ * - Rejected with RESULTS_HIDDEN when the results policy hides them.
  */
 const getPollStats = async (req, res) => {
     try {
         const { pollId } = req.params;
 
-        const poll = await prisma.poll.findUnique({
-            where: { id: pollId },
+        const poll = await findVisiblePoll(prisma, pollId, req.user, {
             include: {
                 options: {
-                    include: { _count: { select: { votes: true } } }
+                    include: { _count: { select: { votes: true } } },
+                    orderBy: { position: 'asc' }
                 },
                 _count: { select: { votes: true } }
             }
-        });
+        }, getShareToken(req));
 
         if (!poll) {
             return errorResponse(res, 'Poll not found', 404);
         }
 
+        const canView = await resolveResultsAccess(poll, req.user?.id);
+        if (!canView) {
+            return errorResponse(res, 'Results for this poll are not visible yet', 403, null, 'RESULTS_HIDDEN');
+        }
+
+        // Guest votes are counted separately so they can be told apart
+        const guestCounts = await prisma.vote.groupBy({
+            by: ['pollOptionId'],
+            where: {
+                pollId,
+                guestVoterId: { not: null },
+                ...(poll.votingMode === 'ranked' && { rank: 1 })
+            },
+            _count: { _all: true }
+        });
+        const guestVotesByOption = new Map(
+            guestCounts.map(row => [row.pollOptionId, row._count._all])
+        );
+        const guestVotes = guestCounts.reduce((sum, row) => sum + row._count._all, 0);
+
+        // Group the answers typed into the "Other" option
+        const freeTextVotes = poll.options.some(option => option.allowsFreeText)
+            ? await prisma.vote.findMany({
+                where: { pollId, freeText: { not: null } },
+                select: { pollOptionId: true, freeText: true }
+            })
+            : [];
+        const withFreeTextAnswers = (option) => {
+            if (!option.allowsFreeText) {
+                return option;
+            }
+
+            const answers = freeTextVotes
+                .filter(vote => vote.pollOptionId === option.id)
+                .map(vote => vote.freeText);
+
+            return { ...option, freeTextAnswers: groupFreeTextAnswers(answers) };
+        };
+
+        if (poll.votingMode === 'ranked') {
+            const votes = await prisma.vote.findMany({
+                where: { pollId },
+                select: { userId: true, guestVoterId: true, pollOptionId: true, rank: true }
+            });
+
+            const ballots = buildRankedBallots(votes);
+            const runoff = computeInstantRunoff(poll.options, ballots);
+            const firstRound = runoff.rounds[0];
+            const totalBallots = ballots.length;
+
+            const optionsWithPercentages = poll.options.map(option => {
+                const firstPreferences = firstRound
+                    ? firstRound.tallies.find(tally => tally.optionId === option.id).votes
+                    : 0;
+
+                return {
+                    ...withFreeTextAnswers(option),
+                    voteCount: firstPreferences,
+                    guestVoteCount: guestVotesByOption.get(option.id) || 0,
+                    percentage: totalBallots > 0
+                        ? Math.round((firstPreferences / totalBallots) * 100)
+                        : 0
+                };
+            });
+
+            const stats = {
+                pollId: poll.id,
+                question: poll.question,
+                votingMode: poll.votingMode,
+                totalVotes: totalBallots,
+                guestVotes,
+                options: optionsWithPercentages,
+                runoff,
+                createdAt: poll.createdAt,
+                updatedAt: poll.updatedAt
+            };
+
+            return successResponse(res, stats, 'Poll statistics retrieved successfully');
+        }
+
         const totalVotes = poll._count.votes;
 
         // Attach percentage calculation for each option
         const optionsWithPercentages = poll.options.map(option => ({
-            ...option,
+            ...withFreeTextAnswers(option),
             voteCount: option._count.votes,
+            guestVoteCount: guestVotesByOption.get(option.id) || 0,
             percentage: totalVotes > 0
                 ? Math.round((option._count.votes / totalVotes) * 100)
                 : 0
@@ -372,7 +571,9 @@ const getPollStats = async (req, res) => {
         const stats = {
             pollId: poll.id,
             question: poll.question,
+            votingMode: poll.votingMode,
             totalVotes,
+            guestVotes,
             options: optionsWithPercentages,
             createdAt: poll.createdAt,
             updatedAt: poll.updatedAt
@@ -385,6 +586,110 @@ const getPollStats = async (req, res) => {
     }
 };
 
+/**
+ * Get a poll's change log (poll author or admin, enforced by the route's authorization policies).
+ * - Newest revision first, with pagination
+ * - Each revision is a snapshot of the question and options after the edit
+ */
+const getPollRevisions = async (req, res) => {
+    try {
+        const { pollId } = req.params;
+
+        // Page mode only (revisionsQuery has no cursor), ordered by version
+        const { items: revisions, pagination } = await findPage(prisma.pollRevision, {
+            where: { pollId },
+            include: { editor: { select: publicUserSelect } },
+            sortBy: 'version'
+        }, req.query);
+
+        return successResponse(res, {
+            currentVersion: req.poll.currentVersion,
+            revisions,
+            pagination
+        }, 'Poll revisions retrieved successfully');
+    } catch (error) {
+        console.error('Get poll revisions error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Duplicate a poll
+ * - Works for any poll the user can see (see getPollById)
+ * - Copies the question, voting settings, access mode, tags and (unless
+ *   `includeOptions` is false) the options; votes, invites, the share token
+ *   and the voting window are never copied
+ * - Option images are shared with the copy, not copied
+ * - Any createPoll field in the body overrides the copy; the copy is a
+ *   draft unless `isPublished` is given
+ */
+const duplicatePoll = async (req, res) => {
+    try {
+        const { includeOptions, ...overrides } = req.body;
+        const authorId = req.user.id;
+        const source = await findVisiblePoll(prisma, req.params.pollId, req.user, {}, getShareToken(req));
+
+        if (!source) {
+            return errorResponse(res, 'Poll not found', 404);
+        }
+
+        const sourceTags = await prisma.pollTag.findMany({
+            where: { pollId: source.id },
+            select: { tag: { select: { name: true } } }
+        });
+
+        const options = includeOptions
+            ? await prisma.pollOption.findMany({
+                where: { pollId: source.id },
+                select: { text: true, description: true, imageUrl: true, allowsFreeText: true },
+                orderBy: { position: 'asc' }
+            })
+            : undefined;
+
+        // Selection limits belong to the source poll's voting mode
+        const keepSelections = overrides.votingMode === undefined || overrides.votingMode === source.votingMode;
+
+        const merged = {
+            question: source.question,
+            ...(options && { options }),
+            allowAnonymous: source.allowAnonymous,
+            votingMode: source.votingMode,
+            resultsVisibility: source.resultsVisibility,
+            voterVisibility: source.voterVisibility,
+            accessMode: source.accessMode,
+            ...(keepSelections && source.minSelections !== null && { minSelections: source.minSelections }),
+            ...(keepSelections && source.maxSelections !== null && { maxSelections: source.maxSelections }),
+            tags: sourceTags.map(({ tag }) => tag.name),
+            ...overrides
+        };
+
+        const errors = [];
+        const input = validateObject(merged, createPollSchema, errors);
+        if (errors.length > 0) {
+            return validationErrorResponse(res, errors);
+        }
+
+        const prepared = preparePoll(input);
+        if (prepared.error) {
+            return errorResponse(res, prepared.error, 400);
+        }
+
+        // Copied options keep the source's images; only images sent by the client are checked
+        const imageError = overrides.options
+            && await getImageOwnershipError(input.options.map(option => option.imageUrl), [authorId]);
+        if (imageError) {
+            return errorResponse(res, imageError.message, 403, null, imageError.code);
+        }
+
+        const poll = await prisma.$transaction(tx => createPreparedPoll(tx, authorId, prepared));
+
+        return successResponse(res, { ...poll, duplicatedFromId: source.id }, 'Poll duplicated successfully', 201);
+    } catch (error) {
+        console.error('Duplicate poll error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
 module.exports = {
     createPoll,
     getAllPolls,
@@ -393,5 +698,7 @@ module.exports = {
     deletePoll,
     getMyPolls,
     togglePollPublish,
-    getPollStats
+    getPollStats,
+    getPollRevisions,
+    duplicatePoll
 };
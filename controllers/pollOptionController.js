@@ -0,0 +1,436 @@
+const { PrismaClient } = require('@prisma/client');
+const { successResponse, errorResponse } = require('../utils/response');
+const { isPollClosed } = require('../services/scheduleService');
+const { broadcastPollUpdate, broadcastVoteUpdate } = require('../services/socketService');
+const { saveOptionImage, getImageOwnershipError, releaseUploadedImage } = require('../services/uploadService');
+const { recordRevision } = require('../services/revisionService');
+
+const prisma = new PrismaClient();
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 20;
+
+// Fields returned for options in option endpoints and broadcasts
+const optionSelect = {
+    id: true,
+    text: true,
+    description: true,
+    imageUrl: true,
+    allowsFreeText: true,
+    position: true,
+    _count: { select: { votes: true } }
+};
+
+/**
+ * Load a poll's options in display order
+ */
+const getOrderedOptions = (client, pollId) => {
+    return client.pollOption.findMany({
+        where: { pollId },
+        select: optionSelect,
+        orderBy: { position: 'asc' }
+    });
+};
+
+/**
+ * Rewrite option positions so they follow the given order (0, 1, 2, ...)
+ * - Polls have at most MAX_POLL_OPTIONS options, so one update per option is fine
+ */
+const writePositions = (tx, optionIds) => {
+    return Promise.all(
+        optionIds.map((id, position) =>
+            tx.pollOption.update({ where: { id }, data: { position } })
+        )
+    );
+};
+
+/**
+ * Move an item of an ID list to a new index (clamped to the list bounds)
+ */
+const moveTo = (ids, id, position) => {
+    const reordered = ids.filter(existingId => existingId !== id);
+    const index = Math.min(Math.max(position, 0), reordered.length);
+    reordered.splice(index, 0, id);
+    return reordered;
+};
+
+/**
+ * Tell connected clients to refresh the option list
+ * - Vote counts are left out, they follow the poll's results visibility
+ *   and are sent through `vote-update`
+ */
+const broadcastOptions = async (pollId) => {
+    const options = await getOrderedOptions(prisma, pollId);
+    await broadcastPollUpdate(pollId, 'options', {
+        options: options.map(({ _count, ...option }) => option)
+    });
+    return options;
+};
+
+/**
+ * Move the votes of an option that is being deleted to another option
+ * - Voters who already chose the target option just lose the deleted vote;
+ *   on ranked polls their lower preferences move up one rank
+ * - Returns the number of votes that were moved or dropped
+ */
+const migrateVotes = async (tx, poll, fromOptionId, toOptionId) => {
+    const votes = await tx.vote.findMany({ where: { pollOptionId: fromOptionId } });
+
+    for (const vote of votes) {
+        const voter = vote.userId ? { userId: vote.userId } : { guestVoterId: vote.guestVoterId };
+
+        const existing = await tx.vote.findFirst({
+            where: { pollOptionId: toOptionId, ...voter }
+        });
+
+        if (!existing) {
+            await tx.vote.update({
+                where: { id: vote.id },
+                data: { pollOptionId: toOptionId, freeText: null }
+            });
+            continue;
+        }
+
+        await tx.vote.delete({ where: { id: vote.id } });
+
+        if (poll.votingMode === 'ranked' && vote.rank !== null) {
+            await tx.vote.updateMany({
+                where: { pollId: poll.id, ...voter, rank: { gt: vote.rank } },
+                data: { rank: { decrement: 1 } }
+            });
+        }
+    }
+
+    return votes.length;
+};
+
+/**
+ * Add an option to a poll (poll author or admin, enforced by the route's authorization policies)
+ * - Appended at the end unless a `position` is given
+ * - Allowed while votes exist; existing ballots simply don't include it
+ */
+const addPollOption = async (req, res) => {
+    try {
+        const { pollId } = req.params;
+        const { text, description, imageUrl, allowsFreeText, position } = req.body;
+        const poll = req.poll;
+
+        // Options of closed polls are frozen
+        if (isPollClosed(poll)) {
+            return errorResponse(res, 'Options of a closed poll cannot be changed', 409, null, 'POLL_CLOSED');
+        }
+
+        const imageError = await getImageOwnershipError([imageUrl], [poll.authorId, req.user.id]);
+        if (imageError) {
+            return errorResponse(res, imageError.message, 403, null, imageError.code);
+        }
+
+        const result = await prisma.$transaction(async (tx) => {
+            const options = await getOrderedOptions(tx, pollId);
+
+            if (options.length >= MAX_POLL_OPTIONS) {
+                return { error: { message: `A poll can have at most ${MAX_POLL_OPTIONS} options`, code: 'TOO_MANY_OPTIONS' } };
+            }
+
+            if (allowsFreeText && options.some(existing => existing.allowsFreeText)) {
+                return { error: { message: 'A poll can only have one free-text option', code: 'FREE_TEXT_OPTION_EXISTS' } };
+            }
+
+            const created = await tx.pollOption.create({
+                data: {
+                    text,
+                    description: description || null,
+                    imageUrl: imageUrl || null,
+                    allowsFreeText: allowsFreeText === true,
+                    pollId,
+                    position: options.length
+                }
+            });
+
+            const ids = options.map(existing => existing.id);
+            await writePositions(tx, moveTo(ids, created.id, position ?? ids.length));
+            await recordRevision(tx, pollId, { editorId: req.user.id, change: 'option.add' });
+
+            return { created };
+        });
+
+        if (result.error) {
+            return errorResponse(res, result.error.message, 409, null, result.error.code);
+        }
+
+        const option = result.created;
+
+        const options = await broadcastOptions(pollId);
+
+        return successResponse(res, options.find(existing => existing.id === option.id), 'Poll option added successfully', 201);
+    } catch (error) {
+        console.error('Add poll option error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Edit an option's text, details and/or position (poll author or admin)
+ * - The text and free-text flag of an option that already has votes
+ *   cannot change, since voters chose the original wording
+ * - Description and image can always be changed
+ */
+const updatePollOption = async (req, res) => {
+    try {
+        const { pollId, optionId } = req.params;
+        const { text, description, imageUrl, allowsFreeText, position } = req.body;
+        const poll = req.poll;
+
+        // Options of closed polls are frozen
+        if (isPollClosed(poll)) {
+            return errorResponse(res, 'Options of a closed poll cannot be changed', 409, null, 'POLL_CLOSED');
+        }
+
+        const options = await getOrderedOptions(prisma, pollId);
+        const option = options.find(existing => existing.id === optionId);
+
+        if (!option) {
+            return errorResponse(res, 'Poll option not found', 404);
+        }
+
+        const textChanged = text !== undefined && text !== option.text;
+        const freeTextChanged = allowsFreeText !== undefined && allowsFreeText !== option.allowsFreeText;
+
+        if ((textChanged || freeTextChanged) && option._count.votes > 0) {
+            return errorResponse(res, 'The text of an option that has votes cannot be changed', 409, null, 'OPTION_HAS_VOTES');
+        }
+
+        if (allowsFreeText && options.some(existing => existing.allowsFreeText && existing.id !== optionId)) {
+            return errorResponse(res, 'A poll can only have one free-text option', 409, null, 'FREE_TEXT_OPTION_EXISTS');
+        }
+
+        const imageChanged = imageUrl !== undefined && imageUrl !== option.imageUrl;
+        const imageError = imageChanged && await getImageOwnershipError([imageUrl], [poll.authorId, req.user.id]);
+        if (imageError) {
+            return errorResponse(res, imageError.message, 403, null, imageError.code);
+        }
+
+        const data = {
+            ...(textChanged && { text }),
+            ...(freeTextChanged && { allowsFreeText }),
+            ...(description !== undefined && { description }),
+            ...(imageUrl !== undefined && { imageUrl })
+        };
+
+        await prisma.$transaction(async (tx) => {
+            if (Object.keys(data).length > 0) {
+                await tx.pollOption.update({ where: { id: optionId }, data });
+            }
+
+            const moved = position !== undefined && position !== option.position;
+            if (moved) {
+                const ids = options.map(existing => existing.id);
+                await writePositions(tx, moveTo(ids, optionId, position));
+            }
+
+            if (Object.keys(data).length > 0 || moved) {
+                await recordRevision(tx, pollId, {
+                    editorId: req.user.id,
+                    change: Object.keys(data).length > 0 ? 'option.edit' : 'option.move'
+                });
+            }
+        });
+
+        if (imageChanged) {
+            await releaseUploadedImage(option.imageUrl);
+        }
+
+        const updatedOptions = await broadcastOptions(pollId);
+
+        return successResponse(res, updatedOptions.find(existing => existing.id === optionId), 'Poll option updated successfully');
+    } catch (error) {
+        console.error('Update poll option error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Upload an option image (poll author or admin)
+ * - The request body is the raw image (see the imageUpload middleware)
+ * - Replaces the option's imageUrl; the previous file is deleted if
+ *   nothing uses it anymore (see releaseUploadedImage)
+ * - The file is recorded as uploaded by the poll's author
+ * - Options of closed polls are frozen (409 POLL_CLOSED)
+ */
+const uploadPollOptionImage = async (req, res) => {
+    try {
+        const { pollId, optionId } = req.params;
+        const poll = req.poll;
+
+        // Options of closed polls are frozen
+        if (isPollClosed(poll)) {
+            return errorResponse(res, 'Options of a closed poll cannot be changed', 409, null, 'POLL_CLOSED');
+        }
+
+        const option = await prisma.pollOption.findFirst({ where: { id: optionId, pollId } });
+        if (!option) {
+            return errorResponse(res, 'Poll option not found', 404);
+        }
+
+        const { url, error } = await saveOptionImage(req.body, poll.authorId);
+        if (error) {
+            return errorResponse(res, error, 400, null, 'INVALID_IMAGE');
+        }
+
+        await prisma.$transaction(async (tx) => {
+            await tx.pollOption.update({ where: { id: optionId }, data: { imageUrl: url } });
+            await recordRevision(tx, pollId, { editorId: req.user.id, change: 'option.image' });
+        });
+        await releaseUploadedImage(option.imageUrl);
+
+        const options = await broadcastOptions(pollId);
+
+        return successResponse(res, options.find(existing => existing.id === optionId), 'Poll option image uploaded successfully');
+    } catch (error) {
+        console.error('Upload poll option image error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Reorder all options of a poll (poll author or admin)
+ * - `optionIds` must list every option of the poll exactly once
+ */
+const reorderPollOptions = async (req, res) => {
+    try {
+        const { pollId } = req.params;
+        const { optionIds } = req.body;
+        const poll = req.poll;
+
+        // Options of closed polls are frozen
+        if (isPollClosed(poll)) {
+            return errorResponse(res, 'Options of a closed poll cannot be changed', 409, null, 'POLL_CLOSED');
+        }
+
+        const options = await getOrderedOptions(prisma, pollId);
+        const currentIds = new Set(options.map(option => option.id));
+
+        const isPermutation = optionIds.length === currentIds.size
+            && new Set(optionIds).size === optionIds.length
+            && optionIds.every(id => currentIds.has(id));
+
+        if (!isPermutation) {
+            return errorResponse(res, 'optionIds must contain every option of the poll exactly once', 400);
+        }
+
+        await prisma.$transaction(async (tx) => {
+            await writePositions(tx, optionIds);
+            await recordRevision(tx, pollId, { editorId: req.user.id, change: 'option.reorder' });
+        });
+
+        const updatedOptions = await broadcastOptions(pollId);
+
+        return successResponse(res, updatedOptions, 'Poll options reordered successfully');
+    } catch (error) {
+        console.error('Reorder poll options error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Remove an option from a poll (poll author or admin)
+ * - A poll keeps at least MIN_POLL_OPTIONS options
+ * - An option with votes can only be removed together with a
+ *   `migrateToOptionId` that receives its votes
+ * - maxSelections is lowered if it would exceed the remaining options
+ */
+const deletePollOption = async (req, res) => {
+    try {
+        const { pollId, optionId } = req.params;
+        const { migrateToOptionId } = req.query;
+        const poll = req.poll;
+
+        // Options of closed polls are frozen
+        if (isPollClosed(poll)) {
+            return errorResponse(res, 'Options of a closed poll cannot be changed', 409, null, 'POLL_CLOSED');
+        }
+
+        const options = await getOrderedOptions(prisma, pollId);
+        const option = options.find(existing => existing.id === optionId);
+
+        if (!option) {
+            return errorResponse(res, 'Poll option not found', 404);
+        }
+
+        const remainingCount = options.length - 1;
+        if (remainingCount < MIN_POLL_OPTIONS) {
+            return errorResponse(res, `A poll needs at least ${MIN_POLL_OPTIONS} options`, 409, null, 'TOO_FEW_OPTIONS');
+        }
+
+        if (poll.minSelections !== null && poll.minSelections > remainingCount) {
+            return errorResponse(res, 'Removing this option would leave fewer options than minSelections', 409, null, 'TOO_FEW_OPTIONS');
+        }
+
+        const target = options.find(existing => existing.id === migrateToOptionId);
+
+        if (migrateToOptionId && (!target || target.id === optionId)) {
+            return errorResponse(res, 'migrateToOptionId must be another option of this poll', 400);
+        }
+
+        // Migrated votes would have no typed answer
+        if (target?.allowsFreeText) {
+            return errorResponse(res, 'Votes cannot be migrated to the free-text option', 400);
+        }
+
+        // Votes are counted inside the transaction, so a vote cast since the
+        // options were read is migrated (or blocks the removal) instead of
+        // being deleted with the option
+        const result = await prisma.$transaction(async (tx) => {
+            const voteCount = await tx.vote.count({ where: { pollOptionId: optionId } });
+
+            if (voteCount > 0 && !migrateToOptionId) {
+                return { error: { message: 'This option has votes; pass migrateToOptionId to move them to another option', code: 'OPTION_HAS_VOTES' } };
+            }
+
+            const migrated = voteCount > 0 ? await migrateVotes(tx, poll, optionId, migrateToOptionId) : 0;
+
+            await tx.pollOption.delete({ where: { id: optionId } });
+            await writePositions(tx, options.map(existing => existing.id).filter(id => id !== optionId));
+
+            if (poll.maxSelections !== null && poll.maxSelections > remainingCount) {
+                await tx.poll.update({
+                    where: { id: pollId },
+                    data: { maxSelections: remainingCount }
+                });
+            }
+
+            await recordRevision(tx, pollId, { editorId: req.user.id, change: 'option.remove' });
+
+            return { migrated };
+        }, { isolationLevel: 'Serializable' });
+
+        if (result.error) {
+            return errorResponse(res, result.error.message, 409, null, result.error.code);
+        }
+
+        const { migrated } = result;
+
+        await releaseUploadedImage(option.imageUrl);
+        await broadcastOptions(pollId);
+
+        if (migrated > 0) {
+            await broadcastVoteUpdate(pollId);
+        }
+
+        return successResponse(res, { migratedVotes: migrated }, 'Poll option deleted successfully');
+    } catch (error) {
+        if (error.code === 'P2034') {
+            return errorResponse(res, 'The poll changed while the option was being removed, please retry', 409, null, 'OPTION_CONFLICT');
+        }
+        console.error('Delete poll option error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+module.exports = {
+    addPollOption,
+    updatePollOption,
+    uploadPollOptionImage,
+    reorderPollOptions,
+    deletePollOption
+};
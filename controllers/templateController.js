@@ -0,0 +1,209 @@
+const { PrismaClient } = require('@prisma/client');
+const { successResponse, errorResponse, validationErrorResponse } = require('../utils/response');
+const { validateObject } = require('../middleware/validate');
+const { createPollSchema } = require('../validators/pollSchemas');
+const { preparePoll, createPreparedPoll } = require('../services/pollCreationService');
+const { findVisiblePoll, getShareToken } = require('../services/pollVisibilityService');
+const { getImageOwnershipError, releaseUploadedImage } = require('../services/uploadService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Save a poll as a template
+ * - Works for any poll the user can open (see getPollById)
+ * - Copies the question, options and voting settings (not votes or schedule)
+ * - Option images are shared with the poll; uploaded files stay while the
+ *   template uses them (see releaseUploadedImage)
+ */
+const createTemplate = async (req, res) => {
+    try {
+        const { pollId, name } = req.body;
+        const userId = req.user.id;
+
+        const poll = await findVisiblePoll(prisma, pollId, req.user, {
+            include: { options: { orderBy: { position: 'asc' } } }
+        }, getShareToken(req));
+
+        if (!poll) {
+            return errorResponse(res, 'Poll not found', 404);
+        }
+
+        const template = await prisma.pollTemplate.create({
+            data: {
+                name: name || poll.question.slice(0, 100),
+                question: poll.question,
+                options: poll.options.map(option => ({
+                    text: option.text,
+                    description: option.description,
+                    imageUrl: option.imageUrl,
+                    allowsFreeText: option.allowsFreeText
+                })),
+                allowAnonymous: poll.allowAnonymous,
+                votingMode: poll.votingMode,
+                resultsVisibility: poll.resultsVisibility,
+                minSelections: poll.minSelections,
+                maxSelections: poll.maxSelections,
+                sourcePollId: poll.id,
+                authorId: userId
+            }
+        });
+
+        return successResponse(res, template, 'Template created successfully', 201);
+    } catch (error) {
+        console.error('Create template error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Get the logged-in user's templates (with pagination, newest first)
+ */
+const getMyTemplates = async (req, res) => {
+    try {
+        const { page, limit } = req.query;
+        const skip = (page - 1) * limit;
+        const whereClause = { authorId: req.user.id };
+
+        const [templates, totalCount] = await Promise.all([
+            prisma.pollTemplate.findMany({
+                where: whereClause,
+                skip,
+                take: limit,
+                orderBy: { createdAt: 'desc' }
+            }),
+            prisma.pollTemplate.count({ where: whereClause })
+        ]);
+
+        const pagination = {
+            page,
+            limit,
+            total: totalCount,
+            pages: Math.ceil(totalCount / limit)
+        };
+
+        return successResponse(res, { templates, pagination }, 'Templates retrieved successfully');
+    } catch (error) {
+        console.error('Get my templates error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Get one of the logged-in user's templates
+ */
+const getTemplateById = async (req, res) => {
+    try {
+        const { templateId } = req.params;
+
+        const template = await prisma.pollTemplate.findFirst({
+            where: { id: templateId, authorId: req.user.id }
+        });
+
+        if (!template) {
+            return errorResponse(res, 'Template not found', 404);
+        }
+
+        return successResponse(res, template, 'Template retrieved successfully');
+    } catch (error) {
+        console.error('Get template error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Delete one of the logged-in user's templates
+ * - Uploaded images only it still used are deleted too
+ */
+const deleteTemplate = async (req, res) => {
+    try {
+        const { templateId } = req.params;
+
+        const template = await prisma.pollTemplate.findFirst({
+            where: { id: templateId, authorId: req.user.id },
+            select: { options: true }
+        });
+
+        if (!template) {
+            return errorResponse(res, 'Template not found', 404);
+        }
+
+        await prisma.pollTemplate.delete({ where: { id: templateId } });
+
+        for (const option of template.options) {
+            await releaseUploadedImage(option.imageUrl);
+        }
+
+        return successResponse(res, null, 'Template deleted successfully');
+    } catch (error) {
+        console.error('Delete template error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Create a poll from one of the logged-in user's templates
+ * - Any createPoll field in the body overrides the template
+ *   (e.g. a new `question`, `options`, `opensAt`/`closesAt` or `isPublished`)
+ * - The merged poll goes through the same checks as createPoll
+ */
+const createPollFromTemplate = async (req, res) => {
+    try {
+        const { templateId } = req.params;
+        const authorId = req.user.id;
+
+        const template = await prisma.pollTemplate.findFirst({
+            where: { id: templateId, authorId }
+        });
+
+        if (!template) {
+            return errorResponse(res, 'Template not found', 404);
+        }
+
+        // Selection limits belong to the template's voting mode
+        const keepSelections = req.body.votingMode === undefined || req.body.votingMode === template.votingMode;
+
+        const merged = {
+            question: template.question,
+            options: template.options,
+            allowAnonymous: template.allowAnonymous,
+            votingMode: template.votingMode,
+            resultsVisibility: template.resultsVisibility,
+            ...(keepSelections && template.minSelections !== null && { minSelections: template.minSelections }),
+            ...(keepSelections && template.maxSelections !== null && { maxSelections: template.maxSelections }),
+            ...req.body
+        };
+
+        const errors = [];
+        const input = validateObject(merged, createPollSchema, errors);
+        if (errors.length > 0) {
+            return validationErrorResponse(res, errors);
+        }
+
+        const prepared = preparePoll(input);
+        if (prepared.error) {
+            return errorResponse(res, prepared.error, 400);
+        }
+
+        // The template's own images are kept; only images sent by the client are checked
+        const imageError = req.body.options
+            && await getImageOwnershipError(input.options.map(option => option.imageUrl), [authorId]);
+        if (imageError) {
+            return errorResponse(res, imageError.message, 403, null, imageError.code);
+        }
+
+        const poll = await prisma.$transaction(tx => createPreparedPoll(tx, authorId, prepared));
+
+        return successResponse(res, poll, 'Poll created from template successfully', 201);
+    } catch (error) {
+        console.error('Create poll from template error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+module.exports = {
+    createTemplate,
+    getMyTemplates,
+    getTemplateById,
+    deleteTemplate,
+    createPollFromTemplate
+};
@@ -1,25 +1,67 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
-const { successResponse, errorResponse } = require('../utils/response');
-const { generateTokens, verifyToken } = require('../services/jwtService');
+const { successResponse, errorResponse, tooManyRequestsResponse } = require('../utils/response');
+const { verifyToken } = require('../services/jwtService');
+const {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions
+} = require('../services/sessionService');
+const {
+    consumeUserToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    REQUIRE_EMAIL_VERIFICATION
+} = require('../services/accountService');
+const { getClientIp } = require('../services/guestVoterService');
+const { getLoginLockout, recordLoginFailure, clearLoginFailures } = require('../services/rateLimit/loginLockout');
+const { visiblePollWhere, linkEmailInvites } = require('../services/pollVisibilityService');
+const { canViewProfile, canViewVoteHistory, profileVotesWhere } = require('../services/privacyService');
+const { privateUserSelect, serializeProfile } = require('../serializers/userSerializer');
+const { findUserImageUrls, releaseUploadedImages } = require('../services/uploadService');
 
 const prisma = new PrismaClient();
 
+/**
+ * Store access + refresh tokens in secure cookies
+ */
+const setAuthCookies = (res, tokens) => {
+    // Secure cookie settings
+    const cookieOptions = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production', // only secure in production
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    };
+
+    res.cookie('accessToken', tokens.accessToken, cookieOptions);
+    res.cookie('refreshToken', tokens.refreshToken, {
+        ...cookieOptions,
+        maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+    });
+};
+
+/**
+ * Remove auth cookies
+ */
+const clearAuthCookies = (res) => {
+    res.clearCookie('accessToken');
+    res.clearCookie('refreshToken');
+};
+
 /**
  * Register a new user
- * - Validates input
+ * - Input is validated by the route schema
  * - Ensures email is unique
  * - Hashes password before saving
+ * - Sends an email verification link
  */
 const registerUser = async (req, res) => {
     try {
         const { name, email, password } = req.body;
 
-        // Check required fields
-        if (!name || !email || !password) {
-            return errorResponse(res, 'Name, email, and password are required', 400);
-        }
-
         // Prevent duplicate registrations with same email
         const existingUser = await prisma.user.findUnique({ where: { email } });
         if (existingUser) {
@@ -33,10 +75,17 @@ const registerUser = async (req, res) => {
         // Save new user
         const user = await prisma.user.create({
             data: { name, email, passwordHash },
-            select: { id: true, name: true, email: true, createdAt: true, updatedAt: true }
+            select: privateUserSelect
         });
 
-        return successResponse(res, user, 'User registered successfully', 201);
+        // A mail failure should not fail the registration, the link can be resent
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Send verification email error:', mailError);
+        }
+
+        return successResponse(res, user, 'User registered successfully. Please check your email to verify your address.', 201);
     } catch (error) {
         console.error('Register user error:', error);
         return errorResponse(res, 'Internal server error', 500);
@@ -47,53 +96,62 @@ const registerUser = async (req, res) => {
  * Login user
  * - Validates email/password
  * - Compares hashed password
- * - Issues JWT tokens and sets them in cookies
+ * - Locks the account / IP out after repeated failures (429 LOGIN_LOCKED,
+ *   see services/rateLimit/loginLockout.js)
+ * - Rejects suspended accounts (and unverified ones if REQUIRE_EMAIL_VERIFICATION is set)
+ * - Starts a session, issues its JWT tokens and sets them in cookies
  */
 const loginUser = async (req, res) => {
     try {
         const { email, password } = req.body;
+        const ip = getClientIp(req);
 
-        if (!email || !password) {
-            return errorResponse(res, 'Email and password are required', 400);
+        // Refuse accounts and IPs locked after repeated failures
+        const lockedFor = await getLoginLockout(email, ip);
+        if (lockedFor > 0) {
+            return tooManyRequestsResponse(res, 'Too many failed login attempts, please try again later', lockedFor, 'LOGIN_LOCKED');
         }
 
         // Look up user by email
         const user = await prisma.user.findUnique({ where: { email } });
         if (!user) {
+            await recordLoginFailure(email, ip);
             return errorResponse(res, 'Invalid email or password', 401);
         }
 
         // Validate password
         const isValidPassword = await bcrypt.compare(password, user.passwordHash);
         if (!isValidPassword) {
+            await recordLoginFailure(email, ip);
             return errorResponse(res, 'Invalid email or password', 401);
         }
 
-        // Generate JWT tokens (access + refresh)
-        const tokens = generateTokens(user);
+        await clearLoginFailures(email);
 
-        // Secure cookie settings
-        const cookieOptions = {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production', // only secure in production
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        };
+        if (user.suspendedAt) {
+            return errorResponse(res, 'Your account has been suspended', 403, null, 'ACCOUNT_SUSPENDED');
+        }
+
+        if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerifiedAt) {
+            return errorResponse(res, 'Please verify your email address before logging in', 403, null, 'EMAIL_NOT_VERIFIED');
+        }
+
+        // Start a session and generate its JWT tokens (access + refresh)
+        const { session, tokens } = await createSession(user, req);
 
         // Store tokens in cookies
-        res.cookie('accessToken', tokens.accessToken, cookieOptions);
-        res.cookie('refreshToken', tokens.refreshToken, {
-            ...cookieOptions,
-            maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-        });
+        setAuthCookies(res, tokens);
 
         // Prepare response object
         const userData = {
             id: user.id,
             name: user.name,
             email: user.email,
+            emailVerifiedAt: user.emailVerifiedAt,
+            role: user.role,
             createdAt: user.createdAt,
             updatedAt: user.updatedAt,
+            sessionId: session.id,
             accessToken: tokens.accessToken,
             refreshToken: tokens.refreshToken
         };
@@ -107,7 +165,11 @@ const loginUser = async (req, res) => {
 
 /**
  * Get a user profile by ID
- * - Includes polls created and votes cast
+ * - The user themself and admins get the private fields (email, settings)
+ * - Others get the public profile: name, join date and polls they could
+ *   find in a listing; private profiles only show the name
+ * - Votes are only listed to others if the user turned on `showVoteHistory`,
+ *   and only for polls whose voters are public
  */
 const getUserProfile = async (req, res) => {
     try {
@@ -115,37 +177,55 @@ const getUserProfile = async (req, res) => {
 
         const user = await prisma.user.findUnique({
             where: { id: userId },
-            select: {
-                id: true,
-                name: true,
-                email: true,
-                createdAt: true,
-                updatedAt: true,
-                polls: {
-                    select: {
-                        id: true,
-                        question: true,
-                        isPublished: true,
-                        createdAt: true,
-                        _count: { select: { votes: true } }
-                    }
-                },
-                votes: {
-                    select: {
-                        id: true,
-                        poll: { select: { id: true, question: true } },
-                        pollOption: { select: { id: true, text: true } },
-                        createdAt: true
-                    }
-                }
-            }
+            select: privateUserSelect
         });
 
         if (!user) {
             return errorResponse(res, 'User not found', 404);
         }
 
-        return successResponse(res, user, 'User profile retrieved successfully');
+        const profile = serializeProfile(user, req.user);
+
+        if (!canViewProfile(user, req.user)) {
+            return successResponse(res, profile, 'User profile retrieved successfully');
+        }
+
+        // Only polls and votes the viewer could find in a listing
+        const [polls, votes] = await Promise.all([
+            prisma.poll.findMany({
+                where: { AND: [{ authorId: userId }, visiblePollWhere(req.user, { listed: true })] },
+                select: {
+                    id: true,
+                    question: true,
+                    isPublished: true,
+                    createdAt: true,
+                    _count: { select: { votes: true } }
+                }
+            }),
+            canViewVoteHistory(user, req.user)
+                ? prisma.vote.findMany({
+                    where: {
+                        userId,
+                        AND: [
+                            { poll: visiblePollWhere(req.user, { listed: true }) },
+                            profileVotesWhere(user, req.user)
+                        ]
+                    },
+                    select: {
+                        id: true,
+                        poll: { select: { id: true, question: true } },
+                        pollOption: { select: { id: true, text: true } },
+                        createdAt: true
+                    }
+                })
+                : null
+        ]);
+
+        return successResponse(res, {
+            ...profile,
+            polls,
+            ...(votes && { votes })
+        }, 'User profile retrieved successfully');
     } catch (error) {
         console.error('Get user profile error:', error);
         return errorResponse(res, 'Internal server error', 500);
@@ -154,13 +234,16 @@ const getUserProfile = async (req, res) => {
 
 /**
  * Update user profile
- * - Allows updating name/email
+ * - Allows updating name/email and the privacy settings
  * - Ensures new email (if provided) is unique
+ * - A new email only takes effect once confirmed through the link sent to it;
+ *   if that mail cannot be sent the change is still saved and the response
+ *   says so (the link can be resent)
  */
 const updateUserProfile = async (req, res) => {
     try {
         const { userId } = req.params;
-        const { name, email } = req.body;
+        const { name, email, profileVisibility, showVoteHistory } = req.body;
 
         // Ensure user exists
         const existingUser = await prisma.user.findUnique({ where: { id: userId } });
@@ -169,23 +252,37 @@ const updateUserProfile = async (req, res) => {
         }
 
         // If email is changed, check uniqueness
-        if (email && email !== existingUser.email) {
+        const emailChanged = Boolean(email) && email !== existingUser.email;
+        if (emailChanged) {
             const emailExists = await prisma.user.findUnique({ where: { email } });
             if (emailExists) {
                 return errorResponse(res, 'Email already in use', 409);
             }
         }
 
-        // Update user details
+        // Update user details (a new email waits in pendingEmail until verified)
         const updatedUser = await prisma.user.update({
             where: { id: userId },
             data: {
                 ...(name && { name }),
-                ...(email && { email })
+                ...(emailChanged && { pendingEmail: email }),
+                ...(profileVisibility !== undefined && { profileVisibility }),
+                ...(showVoteHistory !== undefined && { showVoteHistory })
             },
-            select: { id: true, name: true, email: true, createdAt: true, updatedAt: true }
+            select: { ...privateUserSelect, pendingEmail: true }
         });
 
+        if (emailChanged) {
+            try {
+                await sendVerificationEmail(updatedUser, email);
+            } catch (mailError) {
+                console.error('Send verification email error:', mailError);
+                return successResponse(res, updatedUser, 'User profile updated, but the confirmation email could not be sent. Request a new link with POST /api/users/me/verify-email/resend.');
+            }
+
+            return successResponse(res, updatedUser, 'User profile updated. Please confirm your new email address using the link we sent to it.');
+        }
+
         return successResponse(res, updatedUser, 'User profile updated successfully');
     } catch (error) {
         console.error('Update user profile error:', error);
@@ -197,16 +294,13 @@ const updateUserProfile = async (req, res) => {
  * Change password
  * - Validates current password
  * - Updates with securely hashed new password
+ * - Revokes all other sessions of the user
  */
 const changePassword = async (req, res) => {
     try {
         const { userId } = req.params;
         const { currentPassword, newPassword } = req.body;
 
-        if (!currentPassword || !newPassword) {
-            return errorResponse(res, 'Current password and new password are required', 400);
-        }
-
         // Check user exists
         const user = await prisma.user.findUnique({ where: { id: userId } });
         if (!user) {
@@ -229,6 +323,9 @@ const changePassword = async (req, res) => {
             data: { passwordHash: newPasswordHash }
         });
 
+        // Sign out every other device
+        await revokeUserSessions(userId, 'password_change', req.sessionId);
+
         return successResponse(res, null, 'Password changed successfully');
     } catch (error) {
         console.error('Change password error:', error);
@@ -238,6 +335,8 @@ const changePassword = async (req, res) => {
 
 /**
  * Delete user account
+ * - Their polls and templates are deleted with it; uploaded images only
+ *   those pointed at are released afterwards
  */
 const deleteUser = async (req, res) => {
     try {
@@ -248,7 +347,9 @@ const deleteUser = async (req, res) => {
             return errorResponse(res, 'User not found', 404);
         }
 
+        const imageUrls = await findUserImageUrls(userId);
         await prisma.user.delete({ where: { id: userId } });
+        await releaseUploadedImages(imageUrls);
 
         return successResponse(res, null, 'User account deleted successfully');
     } catch (error) {
@@ -259,12 +360,29 @@ const deleteUser = async (req, res) => {
 
 /**
  * Logout user
+ * - Revokes the session of the presented refresh (or access) token
  * - Clears auth cookies
  */
 const logoutUser = async (req, res) => {
     try {
-        res.clearCookie('accessToken');
-        res.clearCookie('refreshToken');
+        const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+        const accessToken = req.cookies?.accessToken;
+
+        // Find which session to end; an invalid token just means nothing to revoke
+        let sessionId = null;
+        try {
+            sessionId = refreshToken
+                ? verifyToken(refreshToken, 'refresh').sid
+                : accessToken && verifyToken(accessToken).sid;
+        } catch (error) {
+            sessionId = null;
+        }
+
+        if (sessionId) {
+            await revokeSession(sessionId, 'logout');
+        }
+
+        clearAuthCookies(res);
 
         return successResponse(res, null, 'Logout successful');
     } catch (error) {
@@ -275,54 +393,245 @@ const logoutUser = async (req, res) => {
 
 /**
  * Refresh access/refresh tokens
- * - Requires valid refresh token from cookies
- * - Issues new tokens
+ * - Requires valid refresh token (cookie or body)
+ * - Rotates the refresh token: the old one stops working
+ * - Reusing an old refresh token revokes the whole session
  */
 const refreshToken = async (req, res) => {
     try {
-        const refreshToken = req.cookies?.refreshToken;
+        const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
 
         if (!refreshToken) {
             return errorResponse(res, 'Refresh token required', 401);
         }
 
-        // Verify token validity
-        const decoded = verifyToken(refreshToken);
+        const { user, tokens, error } = await rotateSession(refreshToken);
 
-        // Fetch user for whom token was issued
-        const user = await prisma.user.findUnique({
-            where: { id: decoded.userId },
-            select: { id: true, name: true, email: true, createdAt: true, updatedAt: true }
-        });
-
-        if (!user) {
-            return errorResponse(res, 'User not found', 401);
+        if (error) {
+            clearAuthCookies(res);
+            return errorResponse(res, error.message, 401, null, error.code);
         }
 
-        // Generate new tokens
-        const tokens = generateTokens(user);
-
-        const cookieOptions = {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        };
+        if (user.suspendedAt) {
+            return errorResponse(res, 'Your account has been suspended', 403, null, 'ACCOUNT_SUSPENDED');
+        }
 
         // Update cookies
-        res.cookie('accessToken', tokens.accessToken, cookieOptions);
-        res.cookie('refreshToken', tokens.refreshToken, {
-            ...cookieOptions,
-            maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-        });
+        setAuthCookies(res, tokens);
+
+        const { suspendedAt, ...userData } = user;
 
-        return successResponse(res, { user, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken }, 'Token refreshed successfully');
+        return successResponse(res, { user: userData, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken }, 'Token refreshed successfully');
     } catch (error) {
         console.error('Refresh token error:', error);
         return errorResponse(res, 'Invalid or expired refresh token', 401);
     }
 };
 
+/**
+ * List the current user's active sessions
+ * - Marks the session making this request with `current: true`
+ */
+const getMySessions = async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user.id);
+
+        const data = sessions.map(session => ({
+            ...session,
+            current: session.id === req.sessionId
+        }));
+
+        return successResponse(res, data, 'Sessions retrieved successfully');
+    } catch (error) {
+        console.error('Get my sessions error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * - Revoking the current session also clears auth cookies
+ */
+const revokeMySession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const revoked = await revokeSession(sessionId, 'logout', req.user.id);
+        if (!revoked) {
+            return errorResponse(res, 'Session not found', 404);
+        }
+
+        if (sessionId === req.sessionId) {
+            clearAuthCookies(res);
+        }
+
+        return successResponse(res, null, 'Session revoked successfully');
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Log out everywhere
+ * - Revokes every session of the current user, including this one
+ */
+const revokeAllMySessions = async (req, res) => {
+    try {
+        const count = await revokeUserSessions(req.user.id, 'logout_all');
+
+        clearAuthCookies(res);
+
+        return successResponse(res, { revoked: count }, 'All sessions revoked successfully');
+    } catch (error) {
+        console.error('Revoke all sessions error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Verify an email address
+ * - Consumes a single-use verification token
+ * - Confirms the current email, or swaps in the pending email on email change
+ * - Links invites sent to the verified address to the account
+ */
+const verifyEmail = async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const userToken = await consumeUserToken(token, 'email_verification');
+        if (!userToken) {
+            return errorResponse(res, 'Invalid or expired verification link', 400, null, 'INVALID_TOKEN');
+        }
+
+        const user = await prisma.user.findUnique({ where: { id: userToken.userId } });
+        if (!user) {
+            return errorResponse(res, 'User not found', 404);
+        }
+
+        if (userToken.email === user.email) {
+            await prisma.$transaction([
+                prisma.user.update({
+                    where: { id: user.id },
+                    data: { emailVerifiedAt: new Date() }
+                }),
+                linkEmailInvites(prisma, user.id, user.email)
+            ]);
+
+            return successResponse(res, null, 'Email verified successfully');
+        }
+
+        // Email change: the link must still match the pending address
+        if (userToken.email !== user.pendingEmail) {
+            return errorResponse(res, 'Invalid or expired verification link', 400, null, 'INVALID_TOKEN');
+        }
+
+        const emailTaken = await prisma.user.findUnique({ where: { email: user.pendingEmail } });
+        if (emailTaken) {
+            return errorResponse(res, 'Email already in use', 409);
+        }
+
+        await prisma.$transaction([
+            prisma.user.update({
+                where: { id: user.id },
+                data: { email: user.pendingEmail, pendingEmail: null, emailVerifiedAt: new Date() }
+            }),
+            linkEmailInvites(prisma, user.id, user.pendingEmail)
+        ]);
+
+        return successResponse(res, null, 'Email changed successfully');
+    } catch (error) {
+        console.error('Verify email error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Resend the verification email for the current user
+ * - Targets the pending email if an email change is in progress
+ */
+const resendVerificationEmail = async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+        if (!user.pendingEmail && user.emailVerifiedAt) {
+            return errorResponse(res, 'Email is already verified', 400);
+        }
+
+        await sendVerificationEmail(user, user.pendingEmail || user.email);
+
+        return successResponse(res, null, 'Verification email sent');
+    } catch (error) {
+        console.error('Resend verification email error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Start a password reset
+ * - Always responds the same way so it cannot be used to find accounts
+ * - Sends a single-use reset link if the account exists
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        const user = await prisma.user.findUnique({ where: { email } });
+        // A mail failure answers like an unknown email too, so it reveals nothing
+        if (user && !user.suspendedAt) {
+            try {
+                await sendPasswordResetEmail(user);
+            } catch (mailError) {
+                console.error('Send password reset email error:', mailError);
+            }
+        }
+
+        return successResponse(res, null, 'If an account exists for this email, a password reset link has been sent');
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Complete a password reset
+ * - Consumes a single-use reset token and sets the new password
+ * - Signs the user out everywhere
+ */
+const resetPassword = async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        const userToken = await consumeUserToken(token, 'password_reset');
+        if (!userToken) {
+            return errorResponse(res, 'Invalid or expired reset link', 400, null, 'INVALID_TOKEN');
+        }
+
+        const saltRounds = 12;
+        const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+        // Receiving the reset email also proves ownership of the address
+        const user = await prisma.user.findUnique({ where: { id: userToken.userId } });
+        await prisma.$transaction([
+            prisma.user.update({
+                where: { id: userToken.userId },
+                data: {
+                    passwordHash,
+                    ...(!user.emailVerifiedAt && { emailVerifiedAt: new Date() })
+                }
+            }),
+            linkEmailInvites(prisma, user.id, user.email)
+        ]);
+
+        await revokeUserSessions(userToken.userId, 'password_reset');
+
+        return successResponse(res, null, 'Password reset successfully');
+    } catch (error) {
+        console.error('Reset password error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
 /**
  * Get the currently logged-in user (from auth middleware)
  */
@@ -340,6 +649,13 @@ module.exports = {
     loginUser,
     logoutUser,
     refreshToken,
+    getMySessions,
+    revokeMySession,
+    revokeAllMySessions,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
     getCurrentUser,
     getUserProfile,
     updateUserProfile,
@@ -1,30 +1,121 @@
 const { PrismaClient } = require('@prisma/client');
 const { successResponse, errorResponse } = require('../utils/response');
 const { broadcastVoteUpdate } = require('../services/socketService');
+const { getSelectionBounds, validateBallot, resolveFreeText } = require('../services/votingService');
+const { getVotingWindowError } = require('../services/scheduleService');
+const {
+    hashIdentifier,
+    getClientIp,
+    issueGuestIdentity,
+    checkGuestVoteAbuse
+} = require('../services/guestVoterService');
+const { visiblePollWhere, findVisiblePoll, getShareToken } = require('../services/pollVisibilityService');
+const { resolveResultsAccess } = require('../services/resultsService');
+const { publicUserSelect, serializeVote } = require('../serializers/userSerializer');
+const { findPage } = require('../utils/pagination');
 
 const prisma = new PrismaClient();
 
+// Prisma errors raised when two ballot changes or votes race each other
+const CONFLICT_ERROR_CODES = ['P2002', 'P2034'];
+
+/**
+ * Check whether two selections are the same ballot
+ * - Order only matters for ranked polls
+ */
+const isSameBallot = (previous, next, isRanked) => {
+    if (previous.length !== next.length) {
+        return false;
+    }
+
+    if (isRanked) {
+        return previous.every((id, index) => id === next[index]);
+    }
+
+    const nextIds = new Set(next);
+    return previous.every(id => nextIds.has(id));
+};
+
+/**
+ * Replace a user's ballot for a poll in a single transaction
+ * - Reads the previous ballot, swaps in the new one and records a
+ *   VoteChange row when an existing ballot actually changes
+ * - `answer` is the resolved free-text answer (see resolveFreeText)
+ * - With `requireExisting`, nothing is written if the user has not voted yet
+ * - Returns { votes, previousSelections, changed }
+ */
+const replaceUserBallot = async (poll, userId, selections, answer, { requireExisting = false } = {}) => {
+    const pollId = poll.id;
+    const isRanked = poll.votingMode === 'ranked';
+
+    return prisma.$transaction(async (tx) => {
+        const previousVotes = await tx.vote.findMany({
+            where: { userId, pollId },
+            select: { pollOptionId: true, freeText: true },
+            orderBy: { rank: 'asc' }
+        });
+        const previousSelections = previousVotes.map(vote => vote.pollOptionId);
+        const previousFreeText = previousVotes.find(vote => vote.freeText !== null)?.freeText ?? null;
+
+        if (requireExisting && previousSelections.length === 0) {
+            return { votes: null, previousSelections, changed: false };
+        }
+
+        const changed = !isSameBallot(previousSelections, selections, isRanked)
+            || previousFreeText !== answer.freeText;
+
+        if (changed) {
+            await tx.vote.deleteMany({ where: { userId, pollId } });
+
+            await tx.vote.createMany({
+                data: selections.map((pollOptionId, index) => ({
+                    userId,
+                    pollId,
+                    pollOptionId,
+                    rank: isRanked ? index + 1 : null,
+                    freeText: pollOptionId === answer.freeTextOptionId ? answer.freeText : null,
+                    pollVersion: poll.currentVersion
+                }))
+            });
+
+            if (previousSelections.length > 0) {
+                await tx.voteChange.create({
+                    data: { userId, pollId, previousSelections, newSelections: selections }
+                });
+            }
+        }
+
+        const votes = await tx.vote.findMany({
+            where: { userId, pollId },
+            include: {
+                pollOption: { select: { id: true, text: true } }
+            },
+            orderBy: { rank: 'asc' }
+        });
+
+        return { votes, previousSelections, changed };
+    }, { isolationLevel: 'Serializable' });
+};
+
 /**
  * Add a new vote
  * - Validates poll + poll option existence
  * - Prevents duplicate votes for the same option
+ * - Enforces the poll's voting mode (ranked polls require a full ballot)
+ * - Checks the selection bounds and inserts in one serializable transaction,
+ *   so parallel requests cannot exceed them (409 VOTE_CONFLICT for the loser);
+ *   polls needing several selections must be voted on with a whole ballot
+ * - Rejects votes outside the poll's open/close window
+ * - Requires `freeText` when voting for the poll's "Other" option
  * - Broadcasts vote updates in real-time
  */
 const addVote = async (req, res) => {
     try {
-        const { pollId, pollOptionId } = req.body;
+        const { pollId, pollOptionId, freeText } = req.body;
         const userId = req.user.id;
 
-        // Basic validation
-        if (!pollId || !pollOptionId) {
-            return errorResponse(res, 'Poll ID and Poll Option ID are required', 400);
-        }
-
-        // Ensure poll exists
-        const poll = await prisma.poll.findUnique({
-            where: { id: pollId },
-            include: { options: true }
-        });
+        // Ensure poll exists and the user may access it (share token / invite)
+        const poll = await findVisiblePoll(prisma, pollId, req.user, { include: { options: true } }, getShareToken(req));
 
         if (!poll) {
             return errorResponse(res, 'Poll not found', 404);
@@ -35,6 +126,17 @@ const addVote = async (req, res) => {
             return errorResponse(res, 'Cannot vote on unpublished poll', 403);
         }
 
+        // Only allow voting inside the poll's open/close window
+        const windowError = getVotingWindowError(poll);
+        if (windowError) {
+            return errorResponse(res, windowError.message, 403, null, windowError.code);
+        }
+
+        // Ranked preferences only make sense as a whole ballot
+        if (poll.votingMode === 'ranked') {
+            return errorResponse(res, 'Ranked-choice polls must be voted on with a full ballot', 400);
+        }
+
         // Ensure poll option belongs to this poll
         const pollOption = await prisma.pollOption.findFirst({
             where: { id: pollOptionId, pollId: pollId }
@@ -44,84 +146,319 @@ const addVote = async (req, res) => {
             return errorResponse(res, 'Invalid poll option for this poll', 400);
         }
 
-        // Prevent user from voting for the same option more than once
-        const existingVote = await prisma.vote.findUnique({
-            where: {
-                userId_pollOptionId: { userId, pollOptionId }
+        const answer = resolveFreeText(poll, [pollOptionId], freeText);
+        if (answer.error) {
+            return errorResponse(res, answer.error, 400);
+        }
+
+        const { min, max } = getSelectionBounds(poll);
+
+        const { vote, rejection } = await prisma.$transaction(async (tx) => {
+            // Prevent user from voting for the same option more than once
+            const existingVote = await tx.vote.findUnique({
+                where: {
+                    userId_pollOptionId: { userId, pollOptionId }
+                }
+            });
+
+            if (existingVote) {
+                return { rejection: 'You have already voted for this option' };
             }
-        });
 
-        if (existingVote) {
-            return errorResponse(res, 'You have already voted for this option', 400);
-        }
+            // Enforce the maximum number of selections for this poll
+            const userVoteCount = await tx.vote.count({ where: { userId, pollId } });
 
-        // Create vote
-        const vote = await prisma.vote.create({
-            data: { userId, pollId, pollOptionId },
-            include: {
-                user: { select: { id: true, name: true, email: true } },
-                poll: { select: { id: true, question: true } },
-                pollOption: { select: { id: true, text: true } }
+            if (userVoteCount >= max) {
+                return {
+                    rejection: poll.votingMode === 'single'
+                        ? 'You have already voted on this poll'
+                        : `You can select at most ${max} options`
+                };
+            }
+
+            // A single extra vote cannot reach the minimum yet
+            if (userVoteCount + 1 < min) {
+                return {
+                    rejection: `This poll needs at least ${min} selections, submit them together with PUT /api/votes/poll/${pollId}/ballot`
+                };
             }
-        });
+
+            return {
+                vote: await tx.vote.create({
+                    data: { userId, pollId, pollOptionId, freeText: answer.freeText, pollVersion: poll.currentVersion },
+                    include: {
+                        user: { select: publicUserSelect },
+                        poll: { select: { id: true, question: true } },
+                        pollOption: { select: { id: true, text: true } }
+                    }
+                })
+            };
+        }, { isolationLevel: 'Serializable' });
+
+        if (rejection) {
+            return errorResponse(res, rejection, 400);
+        }
 
         // Notify clients via WebSocket about updated results
         await broadcastVoteUpdate(pollId);
 
         return successResponse(res, vote, 'Vote added successfully', 201);
     } catch (error) {
+        if (CONFLICT_ERROR_CODES.includes(error.code)) {
+            return errorResponse(res, 'Your vote was changed by another request, please retry', 409, null, 'VOTE_CONFLICT');
+        }
         console.error('Add vote error:', error);
         return errorResponse(res, 'Internal server error', 500);
     }
 };
 
 /**
- * Update an existing vote
- * - Finds user’s vote for the given option
- * - Updates to a new poll option if valid
+ * Submit a full ballot for a poll
+ * - Creates or replaces all of the user's votes for the poll in one transaction
+ * - Validates the selections against the poll's voting mode and window
+ * - For ranked polls, the order of `selections` is the preference order
+ * - Broadcasts vote updates in real-time
  */
-const updateVote = async (req, res) => {
+const submitBallot = async (req, res) => {
     try {
-        const { pollId, pollOptionId } = req.body;
+        const { pollId } = req.params;
+        const { selections, freeText } = req.body;
         const userId = req.user.id;
 
-        if (!pollId || !pollOptionId) {
-            return errorResponse(res, 'Poll ID and Poll Option ID are required', 400);
+        const poll = await findVisiblePoll(prisma, pollId, req.user, { include: { options: true } }, getShareToken(req));
+
+        if (!poll) {
+            return errorResponse(res, 'Poll not found', 404);
         }
 
-        // Ensure vote exists
-        const existingVote = await prisma.vote.findUnique({
-            where: { userId_pollOptionId: { userId, pollOptionId } }
-        });
+        if (!poll.isPublished) {
+            return errorResponse(res, 'Cannot vote on unpublished poll', 403);
+        }
 
-        if (!existingVote) {
-            return errorResponse(res, 'No vote found to update', 404);
+        // Only allow voting inside the poll's open/close window
+        const windowError = getVotingWindowError(poll);
+        if (windowError) {
+            return errorResponse(res, windowError.message, 403, null, windowError.code);
         }
 
-        // Ensure option belongs to this poll
-        const pollOption = await prisma.pollOption.findFirst({
-            where: { id: pollOptionId, pollId: pollId }
-        });
+        const ballotError = validateBallot(poll, selections);
+        if (ballotError) {
+            return errorResponse(res, ballotError, 400);
+        }
 
-        if (!pollOption) {
-            return errorResponse(res, 'Invalid poll option for this poll', 400);
+        const answer = resolveFreeText(poll, selections, freeText);
+        if (answer.error) {
+            return errorResponse(res, answer.error, 400);
         }
 
-        // Update vote
-        const updatedVote = await prisma.vote.update({
-            where: { userId_pollOptionId: { userId, pollOptionId } },
-            data: { pollOptionId },
-            include: {
-                user: { select: { id: true, name: true, email: true } },
-                poll: { select: { id: true, question: true } },
-                pollOption: { select: { id: true, text: true } }
+        const { votes, changed } = await replaceUserBallot(poll, userId, selections, answer);
+
+        if (changed) {
+            await broadcastVoteUpdate(pollId);
+        }
+
+        return successResponse(res, votes, 'Ballot submitted successfully');
+    } catch (error) {
+        if (CONFLICT_ERROR_CODES.includes(error.code)) {
+            return errorResponse(res, 'Your ballot was changed by another request, please retry', 409, null, 'VOTE_CONFLICT');
+        }
+        console.error('Submit ballot error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Issue a guest voter token for the current device
+ * - Creates a device cookie if the browser does not have one yet
+ * - The same device always maps to the same guest voter
+ */
+const issueGuestVoterToken = async (req, res) => {
+    try {
+        const { guestVoter, voterToken } = await issueGuestIdentity(req, res);
+
+        return successResponse(res, { guestVoterId: guestVoter.id, voterToken }, 'Guest voter token issued successfully');
+    } catch (error) {
+        console.error('Issue guest voter token error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Cast a guest ballot on a poll that allows anonymous voting
+ * - Requires a guest voter token (see authenticateGuestVoter)
+ * - Each guest votes once per poll; guest ballots cannot be changed
+ * - Runs the IP / fingerprint abuse checks and the insert in one
+ *   serializable transaction (409 VOTE_CONFLICT if a parallel vote wins)
+ * - Broadcasts vote updates in real-time
+ */
+const addGuestVote = async (req, res) => {
+    try {
+        const { pollId, selections, freeText, fingerprint } = req.body;
+        const guestVoterId = req.guestVoter.id;
+
+        const poll = await findVisiblePoll(prisma, pollId, req.user, { include: { options: true } }, getShareToken(req));
+
+        if (!poll) {
+            return errorResponse(res, 'Poll not found', 404);
+        }
+
+        if (!poll.isPublished) {
+            return errorResponse(res, 'Cannot vote on unpublished poll', 403);
+        }
+
+        if (!poll.allowAnonymous) {
+            return errorResponse(res, 'This poll does not allow guest voting', 403, null, 'GUEST_VOTING_DISABLED');
+        }
+
+        const windowError = getVotingWindowError(poll);
+        if (windowError) {
+            return errorResponse(res, windowError.message, 403, null, windowError.code);
+        }
+
+        const ballotError = validateBallot(poll, selections);
+        if (ballotError) {
+            return errorResponse(res, ballotError, 400);
+        }
+
+        const answer = resolveFreeText(poll, selections, freeText);
+        if (answer.error) {
+            return errorResponse(res, answer.error, 400);
+        }
+
+        const clientIp = getClientIp(req);
+        const rawFingerprint = fingerprint || req.headers['x-device-fingerprint'];
+        const ipHash = clientIp ? hashIdentifier(clientIp) : null;
+        const fingerprintHash = rawFingerprint ? hashIdentifier(rawFingerprint) : null;
+        const isRanked = poll.votingMode === 'ranked';
+
+        // The checks and the insert share one transaction, so parallel requests
+        // cannot all pass the checks before any ballot is written
+        const { votes, rejection } = await prisma.$transaction(async (tx) => {
+            // One ballot per guest per poll
+            const existingVote = await tx.vote.findFirst({
+                where: { pollId, guestVoterId },
+                select: { id: true }
+            });
+
+            if (existingVote) {
+                return {
+                    rejection: { message: 'You have already voted on this poll', code: 'GUEST_ALREADY_VOTED', statusCode: 409 }
+                };
             }
-        });
+
+            const abuseError = await checkGuestVoteAbuse(tx, { pollId, ipHash, fingerprintHash });
+            if (abuseError) {
+                return { rejection: abuseError };
+            }
+
+            await tx.vote.createMany({
+                data: selections.map((pollOptionId, index) => ({
+                    guestVoterId,
+                    pollId,
+                    pollOptionId,
+                    rank: isRanked ? index + 1 : null,
+                    freeText: pollOptionId === answer.freeTextOptionId ? answer.freeText : null,
+                    pollVersion: poll.currentVersion,
+                    ipHash,
+                    fingerprintHash
+                }))
+            });
+
+            return {
+                votes: await tx.vote.findMany({
+                    where: { pollId, guestVoterId },
+                    include: {
+                        pollOption: { select: { id: true, text: true } }
+                    },
+                    orderBy: { rank: 'asc' }
+                })
+            };
+        }, { isolationLevel: 'Serializable' });
+
+        if (rejection) {
+            return errorResponse(res, rejection.message, rejection.statusCode, null, rejection.code);
+        }
+
+        await broadcastVoteUpdate(pollId);
+
+        return successResponse(res, votes, 'Guest vote added successfully', 201);
+    } catch (error) {
+        if (CONFLICT_ERROR_CODES.includes(error.code)) {
+            return errorResponse(res, 'Another vote was cast at the same time, please retry', 409, null, 'VOTE_CONFLICT');
+        }
+        console.error('Add guest vote error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
+/**
+ * Change the current user's vote on a poll
+ * - Takes the poll and the complete new selection (`selections`, or a
+ *   single `pollOptionId` for single-choice polls)
+ * - Moves the existing ballot in one transaction and records the change
+ * - Respects the poll's voting mode, publish state and voting window
+ * - Broadcasts a single vote update when something changed
+ */
+const updateVote = async (req, res) => {
+    try {
+        const { pollId, pollOptionId, freeText } = req.body;
+        const selections = Array.isArray(req.body.selections)
+            ? req.body.selections
+            : pollOptionId && [pollOptionId];
+        const userId = req.user.id;
+
+        if (!selections) {
+            return errorResponse(res, 'The new selections (or a pollOptionId) are required', 400);
+        }
+
+        const poll = await findVisiblePoll(prisma, pollId, req.user, { include: { options: true } }, getShareToken(req));
+
+        if (!poll) {
+            return errorResponse(res, 'Poll not found', 404);
+        }
+
+        if (!poll.isPublished) {
+            return errorResponse(res, 'Cannot vote on unpublished poll', 403);
+        }
+
+        const windowError = getVotingWindowError(poll);
+        if (windowError) {
+            return errorResponse(res, windowError.message, 403, null, windowError.code);
+        }
+
+        const ballotError = validateBallot(poll, selections);
+        if (ballotError) {
+            return errorResponse(res, ballotError, 400);
+        }
+
+        const answer = resolveFreeText(poll, selections, freeText);
+        if (answer.error) {
+            return errorResponse(res, answer.error, 400);
+        }
+
+        const { votes, previousSelections, changed } = await replaceUserBallot(
+            poll,
+            userId,
+            selections,
+            answer,
+            { requireExisting: true }
+        );
+
+        if (!votes) {
+            return errorResponse(res, 'No vote found to update', 404);
+        }
+
+        if (!changed) {
+            return successResponse(res, { votes, previousSelections }, 'Vote unchanged');
+        }
 
         await broadcastVoteUpdate(pollId);
 
-        return successResponse(res, updatedVote, 'Vote updated successfully');
+        return successResponse(res, { votes, previousSelections }, 'Vote updated successfully');
     } catch (error) {
+        if (CONFLICT_ERROR_CODES.includes(error.code)) {
+            return errorResponse(res, 'Your vote was changed by another request, please retry', 409, null, 'VOTE_CONFLICT');
+        }
         console.error('Update vote error:', error);
         return errorResponse(res, 'Internal server error', 500);
     }
@@ -130,6 +467,10 @@ const updateVote = async (req, res) => {
 /**
  * Remove a user’s vote
  * - Ensures the vote exists before deletion
+ * - Only on published polls the user can still open, while voting is open
+ * - What is left must be no ballot at all or one within the poll's selection
+ *   bounds, checked in the same serializable transaction as the delete;
+ *   ranked ballots can only be replaced as a whole
  * - Broadcasts updated poll results
  */
 const removeVote = async (req, res) => {
@@ -146,23 +487,55 @@ const removeVote = async (req, res) => {
             return errorResponse(res, 'No vote found to remove', 404);
         }
 
-        // Get poll ID for broadcasting updates later
-        const poll = await prisma.pollOption.findUnique({
-            where: { id: pollOptionId },
-            select: { pollId: true }
-        });
+        const poll = await findVisiblePoll(prisma, existingVote.pollId, req.user, { include: { options: true } }, getShareToken(req));
 
-        // Delete vote
-        await prisma.vote.delete({
-            where: { userId_pollOptionId: { userId, pollOptionId } }
-        });
+        if (!poll) {
+            return errorResponse(res, 'Poll not found', 404);
+        }
+
+        if (!poll.isPublished) {
+            return errorResponse(res, 'Cannot vote on unpublished poll', 403);
+        }
+
+        // Votes can only be withdrawn while the poll is open
+        const windowError = getVotingWindowError(poll);
+        if (windowError) {
+            return errorResponse(res, windowError.message, 403, null, windowError.code);
+        }
 
-        if (poll) {
-            await broadcastVoteUpdate(poll.pollId);
+        if (poll.votingMode === 'ranked') {
+            return errorResponse(res, `Ranked-choice ballots can only be changed as a whole with PUT /api/votes/poll/${poll.id}/ballot`, 400);
         }
 
+        const { min } = getSelectionBounds(poll);
+
+        const { rejection } = await prisma.$transaction(async (tx) => {
+            const remaining = await tx.vote.count({
+                where: { userId, pollId: poll.id, pollOptionId: { not: pollOptionId } }
+            });
+
+            if (remaining > 0 && remaining < min) {
+                return {
+                    rejection: `This poll needs at least ${min} selections, change your ballot with PUT /api/votes/poll/${poll.id}/ballot`
+                };
+            }
+
+            // Delete vote (deleteMany, so a vote removed in the meantime is not an error)
+            await tx.vote.deleteMany({ where: { userId, pollOptionId } });
+            return {};
+        }, { isolationLevel: 'Serializable' });
+
+        if (rejection) {
+            return errorResponse(res, rejection, 400);
+        }
+
+        await broadcastVoteUpdate(poll.id);
+
         return successResponse(res, null, 'Vote removed successfully');
     } catch (error) {
+        if (CONFLICT_ERROR_CODES.includes(error.code)) {
+            return errorResponse(res, 'Your vote was changed by another request, please retry', 409, null, 'VOTE_CONFLICT');
+        }
         console.error('Remove vote error:', error);
         return errorResponse(res, 'Internal server error', 500);
     }
@@ -170,36 +543,26 @@ const removeVote = async (req, res) => {
 
 /**
  * Get all votes by the current user
- * - Supports pagination
+ * - Votes on polls the user can no longer see (e.g. unpublished) are left out
+ * - Supports page or cursor pagination (see utils/pagination.js)
  */
 const getUserVotes = async (req, res) => {
     try {
-        const { page = 1, limit = 10 } = req.query;
         const userId = req.user.id;
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const [votes, totalCount] = await Promise.all([
-            prisma.vote.findMany({
-                where: { userId },
-                include: {
-                    poll: {
-                        select: { id: true, question: true, isPublished: true, createdAt: true }
-                    },
-                    pollOption: { select: { id: true, text: true } }
+
+        const { items: votes, pagination, error } = await findPage(prisma.vote, {
+            where: { userId, poll: visiblePollWhere(req.user) },
+            include: {
+                poll: {
+                    select: { id: true, question: true, isPublished: true, createdAt: true }
                 },
-                skip,
-                take: parseInt(limit),
-                orderBy: { createdAt: 'desc' }
-            }),
-            prisma.vote.count({ where: { userId } })
-        ]);
-
-        const pagination = {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: totalCount,
-            pages: Math.ceil(totalCount / parseInt(limit))
-        };
+                pollOption: { select: { id: true, text: true } }
+            }
+        }, req.query);
+
+        if (error) {
+            return errorResponse(res, error, 400, null, 'INVALID_CURSOR');
+        }
 
         return successResponse(res, { votes, pagination }, 'User votes retrieved successfully');
     } catch (error) {
@@ -210,41 +573,46 @@ const getUserVotes = async (req, res) => {
 
 /**
  * Get all votes for a specific poll
- * - Supports pagination
+ * - Drafts are reported as not found to anyone but their author and admins
+ * - Follows the poll's resultsVisibility like getPollStats, since the chosen
+ *   options add up to the results
+ * - Supports page or cursor pagination (see utils/pagination.js)
+ * - Voters are only shown as the poll's voterVisibility allows
+ *   (see serializeVote); guest votes are flagged with `isGuest: true`
  */
 const getPollVotes = async (req, res) => {
     try {
         const { pollId } = req.params;
-        const { page = 1, limit = 10 } = req.query;
-        const skip = (parseInt(page) - 1) * parseInt(limit);
 
-        // Ensure poll exists
-        const poll = await prisma.poll.findUnique({ where: { id: pollId } });
+        // Ensure poll exists and is visible to the viewer
+        const poll = await findVisiblePoll(prisma, pollId, req.user, {}, getShareToken(req));
         if (!poll) {
             return errorResponse(res, 'Poll not found', 404);
         }
 
+        const canView = await resolveResultsAccess(poll, req.user?.id);
+        if (!canView) {
+            return errorResponse(res, 'Results for this poll are not visible yet', 403, null, 'RESULTS_HIDDEN');
+        }
+
         // Fetch votes with user + option details
-        const [votes, totalCount] = await Promise.all([
-            prisma.vote.findMany({
-                where: { pollId },
-                include: {
-                    user: { select: { id: true, name: true, email: true } },
-                    pollOption: { select: { id: true, text: true } }
-                },
-                skip,
-                take: parseInt(limit),
-                orderBy: { createdAt: 'desc' }
-            }),
-            prisma.vote.count({ where: { pollId } })
-        ]);
-
-        const pagination = {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: totalCount,
-            pages: Math.ceil(totalCount / parseInt(limit))
-        };
+        const { items: rows, pagination, error } = await findPage(prisma.vote, {
+            where: { pollId },
+            select: {
+                id: true,
+                rank: true,
+                createdAt: true,
+                guestVoterId: true,
+                user: { select: publicUserSelect },
+                pollOption: { select: { id: true, text: true } }
+            }
+        }, req.query);
+
+        if (error) {
+            return errorResponse(res, error, 400, null, 'INVALID_CURSOR');
+        }
+
+        const votes = rows.map(vote => serializeVote(vote, poll, req.user));
 
         return successResponse(res, { votes, pagination }, 'Poll votes retrieved successfully');
     } catch (error) {
@@ -262,10 +630,11 @@ const getUserVoteForPoll = async (req, res) => {
         const userId = req.user.id;
 
         const votes = await prisma.vote.findMany({
-            where: { userId, pollId },
+            where: { userId, pollId, poll: visiblePollWhere(req.user) },
             include: {
                 pollOption: { select: { id: true, text: true } }
-            }
+            },
+            orderBy: { rank: 'asc' }
         });
 
         return successResponse(res, votes, 'User votes for poll retrieved successfully');
@@ -275,11 +644,41 @@ const getUserVoteForPoll = async (req, res) => {
     }
 };
 
+/**
+ * Get the current user's vote change history for a poll (newest first)
+ */
+const getUserVoteHistory = async (req, res) => {
+    try {
+        const { pollId } = req.params;
+        const userId = req.user.id;
+
+        const changes = await prisma.voteChange.findMany({
+            where: { userId, pollId, poll: visiblePollWhere(req.user) },
+            select: {
+                id: true,
+                previousSelections: true,
+                newSelections: true,
+                createdAt: true
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        return successResponse(res, changes, 'Vote history retrieved successfully');
+    } catch (error) {
+        console.error('Get user vote history error:', error);
+        return errorResponse(res, 'Internal server error', 500);
+    }
+};
+
 module.exports = {
     addVote,
+    submitBallot,
+    issueGuestVoterToken,
+    addGuestVote,
     updateVote,
     removeVote,
     getUserVotes,
     getPollVotes,
-    getUserVoteForPoll
+    getUserVoteForPoll,
+    getUserVoteHistory
 };
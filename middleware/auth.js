@@ -1,14 +1,34 @@
-const { verifyToken } = require('../services/jwtService');
+const { verifyToken, verifyVoterToken } = require('../services/jwtService');
+const {
+    GUEST_DEVICE_COOKIE,
+    GUEST_TOKEN_COOKIE,
+    hashIdentifier
+} = require('../services/guestVoterService');
+const { isSessionActive } = require('../services/sessionService');
 const { PrismaClient } = require('@prisma/client');
 const { errorResponse } = require('../utils/response');
 
 const prisma = new PrismaClient();
 
+// Fields attached to req.user by the auth middleware
+const userSelect = {
+    id: true,
+    name: true,
+    email: true,
+    emailVerifiedAt: true,
+    role: true,
+    suspendedAt: true,
+    profileVisibility: true,
+    showVoteHistory: true,
+    createdAt: true,
+    updatedAt: true
+};
+
 /**
  * Authentication middleware
  * - Ensures request has a valid JWT (from cookie or Authorization header).
- * - Looks up user in DB and attaches it to req.user.
- * - Rejects request if no token or invalid token.
+ * - Looks up user in DB and attaches it to req.user (session ID to req.sessionId).
+ * - Rejects request if no token, invalid token, revoked session, or the account is suspended.
  */
 const authenticateToken = async (req, res, next) => {
     try {
@@ -31,24 +51,29 @@ const authenticateToken = async (req, res, next) => {
         // Verify token validity and extract payload
         const decoded = verifyToken(token);
 
+        // Token must belong to a session that has not been logged out
+        if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+            return errorResponse(res, 'Session has been revoked', 401, null, 'SESSION_REVOKED');
+        }
+
         // Fetch user from DB to ensure they still exist
         const user = await prisma.user.findUnique({
             where: { id: decoded.userId },
-            select: {
-                id: true,
-                name: true,
-                email: true,
-                createdAt: true,
-                updatedAt: true
-            }
+            select: userSelect
         });
 
         if (!user) {
             return errorResponse(res, 'User not found', 401);
         }
 
+        // Suspended accounts keep their data but cannot use the API
+        if (user.suspendedAt) {
+            return errorResponse(res, 'Your account has been suspended', 403, null, 'ACCOUNT_SUSPENDED');
+        }
+
         // Attach user object to request for later handlers
         req.user = user;
+        req.sessionId = decoded.sid;
         next();
     } catch (error) {
         console.error('Auth middleware error:', error);
@@ -61,6 +86,7 @@ const authenticateToken = async (req, res, next) => {
  * - Similar to authenticateToken, but does not reject if no token.
  * - If token is present and valid → attaches user to req.user.
  * - If token is missing/invalid → continues without user.
+ * - Suspended users and revoked sessions are treated as anonymous.
  */
 const optionalAuth = async (req, res, next) => {
     try {
@@ -76,20 +102,16 @@ const optionalAuth = async (req, res, next) => {
         // If token exists, try to verify and attach user
         if (token) {
             const decoded = verifyToken(token);
+            const sessionActive = await isSessionActive(decoded.sid, decoded.userId);
 
             const user = await prisma.user.findUnique({
                 where: { id: decoded.userId },
-                select: {
-                    id: true,
-                    name: true,
-                    email: true,
-                    createdAt: true,
-                    updatedAt: true
-                }
+                select: userSelect
             });
 
-            if (user) {
+            if (user && !user.suspendedAt && sessionActive) {
                 req.user = user;
+                req.sessionId = decoded.sid;
             }
         }
 
@@ -101,30 +123,47 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Ownership check middleware factory
- * - Ensures the logged-in user owns the resource they are trying to modify.
- * - Default checks against `authorId`, but can be customized by passing a field.
- *
- * Example:
- *   app.put('/polls/:authorId', authenticateToken, checkOwnership('authorId'), ...)
+ * Guest voter authentication middleware
+ * - Expects a voter token (cookie or `X-Voter-Token` header) issued by
+ *   POST /api/votes/guest/token.
+ * - The token is bound to the device cookie it was issued for, so a copied
+ *   token is useless without that cookie.
+ * - Attaches the guest voter to req.guestVoter.
  */
-const checkOwnership = (resourceUserIdField = 'authorId') => {
-    return (req, res, next) => {
-        // Get the resource owner ID either from params or body
-        const resourceUserId = req.params[resourceUserIdField] || req.body[resourceUserIdField];
-        const currentUserId = req.user.id;
-
-        // Deny if the resource does not belong to current user
-        if (resourceUserId !== currentUserId) {
-            return errorResponse(res, 'Access denied. You can only access your own resources.', 403);
+const authenticateGuestVoter = async (req, res, next) => {
+    try {
+        const token = req.cookies?.[GUEST_TOKEN_COOKIE] || req.headers['x-voter-token'];
+        const deviceId = req.cookies?.[GUEST_DEVICE_COOKIE];
+
+        if (!token || !deviceId) {
+            return errorResponse(res, 'Guest voter token required', 401);
         }
 
+        const decoded = verifyVoterToken(token);
+
+        // Token must belong to this device
+        if (decoded.deviceHash !== hashIdentifier(deviceId)) {
+            return errorResponse(res, 'Voter token does not match this device', 401);
+        }
+
+        const guestVoter = await prisma.guestVoter.findUnique({
+            where: { id: decoded.guestVoterId }
+        });
+
+        if (!guestVoter || guestVoter.deviceHash !== decoded.deviceHash) {
+            return errorResponse(res, 'Guest voter not found', 401);
+        }
+
+        req.guestVoter = guestVoter;
         next();
-    };
+    } catch (error) {
+        console.error('Guest voter auth error:', error);
+        return errorResponse(res, 'Invalid or expired voter token', 401);
+    }
 };
 
 module.exports = {
     authenticateToken,
     optionalAuth,
-    checkOwnership
+    authenticateGuestVoter
 };
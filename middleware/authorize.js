@@ -0,0 +1,97 @@
+const { PrismaClient } = require('@prisma/client');
+const { errorResponse } = require('../utils/response');
+const { REQUIRE_EMAIL_VERIFICATION } = require('../services/accountService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Authorization policies
+ * - A policy is a function (req) => boolean
+ * - Routes declare which policies may access them via `authorize(...)`
+ * - Policies run after `authenticateToken`, so req.user is always set
+ */
+const policies = {
+    /**
+     * The user in the URL is the logged-in user
+     */
+    self: (param = 'userId') => (req) => req.params[param] === req.user.id,
+
+    /**
+     * The logged-in user wrote the poll loaded by `loadPoll`
+     */
+    pollAuthor: () => (req) => Boolean(req.poll) && req.poll.authorId === req.user.id,
+
+    /**
+     * The logged-in user is a moderator or an administrator
+     */
+    moderator: () => (req) => ['moderator', 'admin'].includes(req.user.role),
+
+    /**
+     * The logged-in user is an administrator
+     */
+    admin: () => (req) => req.user.role === 'admin',
+
+    /**
+     * The logged-in user may cast and change votes
+     * - With REQUIRE_EMAIL_VERIFICATION set, only once their email is verified
+     * - Vote routes only ever touch the caller's own ballot (the voter comes
+     *   from the token, never from the request)
+     */
+    voter: () => (req) => !REQUIRE_EMAIL_VERIFICATION || Boolean(req.user.emailVerifiedAt)
+};
+
+/**
+ * Authorization middleware factory
+ * - Allows the request if any of the given policies passes
+ * - Rejects with 403 otherwise
+ *
+ * Example:
+ *   router.put('/:userId', authenticateToken, authorize([policies.self(), policies.admin()]), ...)
+ */
+const authorize = (allowedPolicies, message = 'Access denied. You can only access your own resources.') => {
+    return async (req, res, next) => {
+        try {
+            for (const policy of allowedPolicies) {
+                if (await policy(req)) {
+                    return next();
+                }
+            }
+
+            return errorResponse(res, message, 403);
+        } catch (error) {
+            console.error('Authorization error:', error);
+            return errorResponse(res, 'Internal server error', 500);
+        }
+    };
+};
+
+/**
+ * Load the poll referenced by a route param and attach it to req.poll
+ * - Responds with 404 if the poll does not exist
+ * - Lets poll policies and controllers share a single lookup
+ */
+const loadPoll = (param = 'pollId') => {
+    return async (req, res, next) => {
+        try {
+            const poll = await prisma.poll.findUnique({
+                where: { id: req.params[param] }
+            });
+
+            if (!poll) {
+                return errorResponse(res, 'Poll not found', 404);
+            }
+
+            req.poll = poll;
+            next();
+        } catch (error) {
+            console.error('Load poll error:', error);
+            return errorResponse(res, 'Internal server error', 500);
+        }
+    };
+};
+
+module.exports = {
+    policies,
+    authorize,
+    loadPoll
+};
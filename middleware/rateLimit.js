@@ -0,0 +1,63 @@
+const { tooManyRequestsResponse } = require('../utils/response');
+const { getClientIp } = require('../services/guestVoterService');
+const { RATE_LIMIT_ENABLED, RATE_LIMIT_POLICIES, consumeRateLimit } = require('../services/rateLimit');
+
+/**
+ * Client key of a request for a policy (see RATE_LIMIT_POLICIES)
+ */
+const getRateLimitKey = (policy, req) => {
+    if (policy.key === 'user' && req.user) {
+        return `user:${req.user.id}`;
+    }
+
+    return `ip:${getClientIp(req)}`;
+};
+
+/**
+ * Rate limit middleware factory
+ * - `policyName` is a key of RATE_LIMIT_POLICIES (services/rateLimit)
+ * - Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset headers
+ * - Rejects with 429 and a Retry-After header once the limit is reached
+ * - If the store fails the request is let through (fail open)
+ * - Place after `authenticateToken` for per-user policies
+ *
+ * Example:
+ *   router.post('/', authenticateToken, rateLimit('vote'), ...)
+ */
+const rateLimit = (policyName) => {
+    const policy = RATE_LIMIT_POLICIES[policyName];
+
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${policyName}`);
+    }
+
+    return async (req, res, next) => {
+        if (!RATE_LIMIT_ENABLED) {
+            return next();
+        }
+
+        let result;
+        try {
+            result = await consumeRateLimit(policy, getRateLimitKey(policy, req));
+        } catch (error) {
+            console.error('Rate limit store error:', error.message);
+            return next();
+        }
+
+        res.set({
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(result.retryAfter)
+        });
+
+        if (!result.allowed) {
+            return tooManyRequestsResponse(res, 'Too many requests, please try again later', result.retryAfter);
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    rateLimit
+};
@@ -0,0 +1,50 @@
+const express = require('express');
+const { errorResponse } = require('../utils/response');
+const { OPTION_IMAGE_MAX_BYTES, IMAGE_CONTENT_TYPES } = require('../services/uploadService');
+
+const rawImageParser = express.raw({ type: IMAGE_CONTENT_TYPES, limit: OPTION_IMAGE_MAX_BYTES });
+const csvParser = express.text({ type: 'text/csv', limit: process.env.IMPORT_MAX_BYTES || '1mb' });
+
+/**
+ * Read a raw image upload into req.body (a Buffer)
+ * - The request body is the image itself, sent with its image/* Content-Type
+ * - Oversized uploads are rejected with 413
+ */
+const imageUpload = (req, res, next) => {
+    rawImageParser(req, res, (error) => {
+        if (error) {
+            if (error.type === 'entity.too.large') {
+                return errorResponse(res, `Image must be at most ${OPTION_IMAGE_MAX_BYTES} bytes`, 413, null, 'IMAGE_TOO_LARGE');
+            }
+            return errorResponse(res, 'Invalid image upload', 400);
+        }
+
+        if (!req.is(IMAGE_CONTENT_TYPES)) {
+            return errorResponse(res, `Content-Type must be one of: ${IMAGE_CONTENT_TYPES.join(', ')}`, 415);
+        }
+
+        next();
+    });
+};
+
+/**
+ * Read a CSV upload (Content-Type: text/csv) into req.body as a string
+ * - Other content types are left to the JSON body parser
+ */
+const csvUpload = (req, res, next) => {
+    csvParser(req, res, (error) => {
+        if (error) {
+            if (error.type === 'entity.too.large') {
+                return errorResponse(res, 'CSV file is too large', 413, null, 'FILE_TOO_LARGE');
+            }
+            return errorResponse(res, 'Invalid CSV upload', 400);
+        }
+
+        next();
+    });
+};
+
+module.exports = {
+    imageUpload,
+    csvUpload
+};
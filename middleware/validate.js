@@ -0,0 +1,214 @@
+const { validationErrorResponse } = require('../utils/response');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Stable error codes returned for each failed field
+ */
+const ERROR_CODES = {
+    REQUIRED: 'REQUIRED',
+    INVALID_TYPE: 'INVALID_TYPE',
+    INVALID_FORMAT: 'INVALID_FORMAT',
+    INVALID_EMAIL: 'INVALID_EMAIL',
+    INVALID_DATE: 'INVALID_DATE',
+    INVALID_ENUM: 'INVALID_ENUM',
+    TOO_SHORT: 'TOO_SHORT',
+    TOO_LONG: 'TOO_LONG',
+    TOO_SMALL: 'TOO_SMALL',
+    TOO_LARGE: 'TOO_LARGE',
+    WEAK_PASSWORD: 'WEAK_PASSWORD'
+};
+
+/**
+ * Check password strength
+ * - At least 8 characters with a letter and a number
+ */
+const isStrongPassword = (value) => value.length >= 8 && /[a-z]/i.test(value) && /\d/.test(value);
+
+/**
+ * Validate a single value against a field rule
+ * - Rule: { type, required, nullable, default, min, max, minLength, maxLength,
+ *           pattern, values, trim, items, fields, split }
+ * - Query string values are coerced (numbers, booleans); arrays with a
+ *   `split` separator also accept a single string, e.g. `tags=a,b`
+ * - Array items are required, so `['', 'a']` fails on its first item
+ * - Pushes { field, code, message } into `errors`, returns the cleaned value
+ */
+const validateField = (value, rule, field, errors) => {
+    const fail = (code, message) => {
+        errors.push({ field, code, message });
+        return undefined;
+    };
+
+    if (value === undefined || value === '') {
+        if (rule.required) {
+            return fail(ERROR_CODES.REQUIRED, `${field} is required`);
+        }
+        return rule.default;
+    }
+
+    if (value === null) {
+        if (rule.nullable) {
+            return null;
+        }
+        return rule.required
+            ? fail(ERROR_CODES.REQUIRED, `${field} is required`)
+            : fail(ERROR_CODES.INVALID_TYPE, `${field} cannot be null`);
+    }
+
+    switch (rule.type) {
+        case 'string':
+        case 'email':
+        case 'password': {
+            if (typeof value !== 'string') {
+                return fail(ERROR_CODES.INVALID_TYPE, `${field} must be a string`);
+            }
+
+            const text = rule.trim === false ? value : value.trim();
+
+            if (rule.required && text.length === 0) {
+                return fail(ERROR_CODES.REQUIRED, `${field} is required`);
+            }
+            if (rule.minLength !== undefined && text.length < rule.minLength) {
+                return fail(ERROR_CODES.TOO_SHORT, `${field} must be at least ${rule.minLength} characters`);
+            }
+            if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+                return fail(ERROR_CODES.TOO_LONG, `${field} must be at most ${rule.maxLength} characters`);
+            }
+            if (rule.type === 'email' && !EMAIL_PATTERN.test(text)) {
+                return fail(ERROR_CODES.INVALID_EMAIL, `${field} must be a valid email address`);
+            }
+            if (rule.type === 'password' && !isStrongPassword(text)) {
+                return fail(ERROR_CODES.WEAK_PASSWORD, `${field} must be at least 8 characters and contain a letter and a number`);
+            }
+            if (rule.pattern && !rule.pattern.test(text)) {
+                return fail(ERROR_CODES.INVALID_FORMAT, `${field} has an invalid format`);
+            }
+
+            return text;
+        }
+
+        case 'integer': {
+            const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+
+            if (!Number.isInteger(number)) {
+                return fail(ERROR_CODES.INVALID_TYPE, `${field} must be an integer`);
+            }
+            if (rule.min !== undefined && number < rule.min) {
+                return fail(ERROR_CODES.TOO_SMALL, `${field} must be at least ${rule.min}`);
+            }
+            if (rule.max !== undefined && number > rule.max) {
+                return fail(ERROR_CODES.TOO_LARGE, `${field} must be at most ${rule.max}`);
+            }
+
+            return number;
+        }
+
+        case 'boolean': {
+            if (value === true || value === 'true') return true;
+            if (value === false || value === 'false') return false;
+            return fail(ERROR_CODES.INVALID_TYPE, `${field} must be true or false`);
+        }
+
+        case 'enum': {
+            if (!rule.values.includes(value)) {
+                return fail(ERROR_CODES.INVALID_ENUM, `${field} must be one of: ${rule.values.join(', ')}`);
+            }
+            return value;
+        }
+
+        case 'date': {
+            const date = new Date(value);
+            if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+                return fail(ERROR_CODES.INVALID_DATE, `${field} must be a valid date`);
+            }
+            return date;
+        }
+
+        case 'array': {
+            if (rule.split && typeof value === 'string') {
+                value = value.split(rule.split).filter(item => item.trim() !== '');
+            }
+            if (!Array.isArray(value)) {
+                return fail(ERROR_CODES.INVALID_TYPE, `${field} must be an array`);
+            }
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return fail(ERROR_CODES.TOO_SHORT, `${field} must contain at least ${rule.minLength} items`);
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fail(ERROR_CODES.TOO_LONG, `${field} must contain at most ${rule.maxLength} items`);
+            }
+
+            // Items are always required: an empty item is an error, never a hole in the array
+            return rule.items
+                ? value.map((item, index) => validateField(item, { ...rule.items, required: true }, `${field}[${index}]`, errors))
+                : value;
+        }
+
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return fail(ERROR_CODES.INVALID_TYPE, `${field} must be an object`);
+            }
+            return validateObject(value, rule.fields, errors, `${field}.`);
+        }
+
+        default:
+            return value;
+    }
+};
+
+/**
+ * Validate an object against a schema ({ fieldName: rule })
+ * - Unknown fields are dropped
+ */
+const validateObject = (source = {}, schema, errors, prefix = '') => {
+    const result = {};
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const value = validateField(source?.[name], rule, `${prefix}${name}`, errors);
+        if (value !== undefined) {
+            result[name] = value;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Validation middleware factory
+ * - Takes schemas for `params`, `query` and/or `body`
+ * - Replaces each validated part of the request with its cleaned value
+ * - Responds with validationErrorResponse (per-field errors + codes) on failure
+ *
+ * Example:
+ *   router.post('/', validate({ body: createPollSchema }), createPoll)
+ */
+const validate = (schemas) => {
+    return (req, res, next) => {
+        const errors = [];
+        const cleaned = {};
+
+        for (const part of ['params', 'query', 'body']) {
+            if (schemas[part]) {
+                cleaned[part] = validateObject(req[part], schemas[part], errors);
+            }
+        }
+
+        if (errors.length > 0) {
+            return validationErrorResponse(res, errors);
+        }
+
+        for (const [part, value] of Object.entries(cleaned)) {
+            // req.query is a getter in Express 5, so shadow it instead of assigning
+            Object.defineProperty(req, part, { value, writable: true, configurable: true, enumerable: true });
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    ERROR_CODES,
+    validate,
+    validateObject
+};
@@ -0,0 +1,43 @@
+const express = require('express');
+const {
+    listUsers,
+    suspendUser,
+    unsuspendUser,
+    updateUserRole,
+    unpublishPoll,
+    deletePoll,
+    purgePollVotes,
+    getAuditLogs
+} = require('../controllers/adminController');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize, loadPoll, policies } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const {
+    userIdParams,
+    pollIdParams,
+    listUsersQuery,
+    reasonSchema,
+    roleSchema,
+    purgeVotesQuery,
+    auditLogsQuery
+} = require('../validators/adminSchemas');
+
+const router = express.Router();
+
+// Every admin route requires at least a moderator
+router.use(authenticateToken, authorize([policies.moderator()], 'Moderator access required'));
+
+const adminOnly = authorize([policies.admin()], 'Admin access required');
+
+router.get('/users', validate({ query: listUsersQuery }), listUsers);
+router.patch('/users/:userId/suspend', validate({ params: userIdParams, body: reasonSchema }), suspendUser);
+router.patch('/users/:userId/unsuspend', validate({ params: userIdParams }), unsuspendUser);
+router.patch('/users/:userId/role', adminOnly, validate({ params: userIdParams, body: roleSchema }), updateUserRole);
+
+router.patch('/polls/:pollId/unpublish', validate({ params: pollIdParams, body: reasonSchema }), loadPoll(), unpublishPoll);
+router.delete('/polls/:pollId', validate({ params: pollIdParams, body: reasonSchema }), loadPoll(), deletePoll);
+router.delete('/polls/:pollId/votes', adminOnly, validate({ params: pollIdParams, query: purgeVotesQuery }), loadPoll(), purgePollVotes);
+
+router.get('/audit-logs', adminOnly, validate({ query: auditLogsQuery }), getAuditLogs);
+
+module.exports = router;
@@ -7,6 +7,8 @@ const router = express.Router();
 const userRoutes = require('./userRoutes');
 const pollRoutes = require('./pollRoutes');
 const voteRoutes = require('./voteRoutes');
+const adminRoutes = require('./adminRoutes');
+const templateRoutes = require('./templateRoutes');
 
 router.get('/', (req, res) => {
     return successResponse(res, { message: 'PulsePoll API is running' }, 'Welcome to PulsePoll API');
@@ -41,5 +43,7 @@ router.get('/health', async (req, res) => {
 router.use('/users', userRoutes);
 router.use('/polls', pollRoutes);
 router.use('/votes', voteRoutes);
+router.use('/templates', templateRoutes);
+router.use('/admin', adminRoutes);
 
 module.exports = router;
\ No newline at end of file
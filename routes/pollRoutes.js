@@ -7,20 +7,99 @@ const {
     deletePoll,
     getMyPolls,
     togglePollPublish,
-    getPollStats
+    getPollStats,
+    getPollRevisions,
+    duplicatePoll
 } = require('../controllers/pollController');
+const {
+    addPollOption,
+    updatePollOption,
+    uploadPollOptionImage,
+    reorderPollOptions,
+    deletePollOption
+} = require('../controllers/pollOptionController');
+const {
+    getPollInvites,
+    addPollInvites,
+    removePollInvite,
+    getShareLink,
+    rotateShareLink
+} = require('../controllers/pollAccessController');
+const {
+    getTrendingPolls,
+    getMostVotedPolls,
+    getClosingSoonPolls,
+    getUnvotedPolls
+} = require('../controllers/feedController');
+const { exportPollResults, exportMyPollsResults } = require('../controllers/exportController');
+const { importPolls } = require('../controllers/importController');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authorize, loadPoll, policies } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const { imageUpload, csvUpload } = require('../middleware/upload');
+const {
+    pollIdParams,
+    createPollSchema,
+    updatePollSchema,
+    publishPollSchema,
+    duplicatePollSchema,
+    revisionsQuery,
+    inviteParams,
+    addInvitesSchema,
+    invitesQuery,
+    optionParams,
+    addOptionSchema,
+    updateOptionSchema,
+    reorderOptionsSchema,
+    deleteOptionQuery,
+    listPollsQuery,
+    myPollsQuery,
+    rankedFeedQuery,
+    trendingFeedQuery,
+    closingSoonFeedQuery,
+    unvotedFeedQuery,
+    exportQuery,
+    myPollsExportQuery
+} = require('../validators/pollSchemas');
 
 const router = express.Router();
 
-router.get('/', optionalAuth, getAllPolls);
-router.get('/:pollId', optionalAuth, getPollById);
-router.get('/:pollId/stats', optionalAuth, getPollStats);
+// Poll mutations are allowed for the poll author and admins
+const authorOrAdmin = [policies.pollAuthor(), policies.admin()];
+
+router.get('/', optionalAuth, validate({ query: listPollsQuery }), getAllPolls);
+
+// Feeds of published polls
+router.get('/feeds/trending', optionalAuth, validate({ query: trendingFeedQuery }), getTrendingPolls);
+router.get('/feeds/most-voted', optionalAuth, validate({ query: rankedFeedQuery }), getMostVotedPolls);
+router.get('/feeds/closing-soon', optionalAuth, validate({ query: closingSoonFeedQuery }), getClosingSoonPolls);
+router.get('/feeds/needs-my-vote', authenticateToken, validate({ query: unvotedFeedQuery }), getUnvotedPolls);
+
+router.get('/:pollId', optionalAuth, validate({ params: pollIdParams }), getPollById);
+router.get('/:pollId/stats', optionalAuth, validate({ params: pollIdParams }), getPollStats);
+
+router.post('/', authenticateToken, validate({ body: createPollSchema }), createPoll);
+// Rows are validated one by one in the controller so errors can be reported per row
+router.post('/import', authenticateToken, csvUpload, importPolls);
+router.get('/my/polls', authenticateToken, validate({ query: myPollsQuery }), getMyPolls);
+router.get('/my/polls/export', authenticateToken, validate({ query: myPollsExportQuery }), exportMyPollsResults);
+router.get('/:pollId/export', authenticateToken, validate({ params: pollIdParams, query: exportQuery }), loadPoll(), authorize([policies.pollAuthor()], 'Only the poll author can export its results'), exportPollResults);
+router.put('/:pollId', authenticateToken, validate({ params: pollIdParams, body: updatePollSchema }), loadPoll(), authorize(authorOrAdmin, 'You can only update your own polls'), updatePoll);
+router.delete('/:pollId', authenticateToken, validate({ params: pollIdParams }), loadPoll(), authorize(authorOrAdmin, 'You can only delete your own polls'), deletePoll);
+router.get('/:pollId/revisions', authenticateToken, validate({ params: pollIdParams, query: revisionsQuery }), loadPoll(), authorize(authorOrAdmin, 'You can only view the history of your own polls'), getPollRevisions);
+router.post('/:pollId/duplicate', authenticateToken, validate({ params: pollIdParams, body: duplicatePollSchema }), duplicatePoll);
+router.patch('/:pollId/publish', authenticateToken, validate({ params: pollIdParams, body: publishPollSchema }), loadPoll(), authorize(authorOrAdmin, 'You can only modify your own polls'), togglePollPublish);
+
+router.get('/:pollId/invites', authenticateToken, validate({ params: pollIdParams, query: invitesQuery }), loadPoll(), authorize(authorOrAdmin, 'You can only manage invites of your own polls'), getPollInvites);
+router.post('/:pollId/invites', authenticateToken, validate({ params: pollIdParams, body: addInvitesSchema }), loadPoll(), authorize(authorOrAdmin, 'You can only manage invites of your own polls'), addPollInvites);
+router.delete('/:pollId/invites/:inviteId', authenticateToken, validate({ params: inviteParams }), loadPoll(), authorize(authorOrAdmin, 'You can only manage invites of your own polls'), removePollInvite);
+router.get('/:pollId/share-link', authenticateToken, validate({ params: pollIdParams }), loadPoll(), authorize(authorOrAdmin, 'You can only manage the share link of your own polls'), getShareLink);
+router.post('/:pollId/share-link/rotate', authenticateToken, validate({ params: pollIdParams }), loadPoll(), authorize(authorOrAdmin, 'You can only manage the share link of your own polls'), rotateShareLink);
 
-router.post('/', authenticateToken, createPoll);
-router.get('/my/polls', authenticateToken, getMyPolls);
-router.put('/:pollId', authenticateToken, updatePoll);
-router.delete('/:pollId', authenticateToken, deletePoll);
-router.patch('/:pollId/publish', authenticateToken, togglePollPublish);
+router.post('/:pollId/options', authenticateToken, validate({ params: pollIdParams, body: addOptionSchema }), loadPoll(), authorize(authorOrAdmin, 'You can only modify your own polls'), addPollOption);
+router.put('/:pollId/options/order', authenticateToken, validate({ params: pollIdParams, body: reorderOptionsSchema }), loadPoll(), authorize(authorOrAdmin, 'You can only modify your own polls'), reorderPollOptions);
+router.patch('/:pollId/options/:optionId', authenticateToken, validate({ params: optionParams, body: updateOptionSchema }), loadPoll(), authorize(authorOrAdmin, 'You can only modify your own polls'), updatePollOption);
+router.put('/:pollId/options/:optionId/image', authenticateToken, validate({ params: optionParams }), loadPoll(), authorize(authorOrAdmin, 'You can only modify your own polls'), imageUpload, uploadPollOptionImage);
+router.delete('/:pollId/options/:optionId', authenticateToken, validate({ params: optionParams, query: deleteOptionQuery }), loadPoll(), authorize(authorOrAdmin, 'You can only modify your own polls'), deletePollOption);
 
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+    createTemplate,
+    getMyTemplates,
+    getTemplateById,
+    deleteTemplate,
+    createPollFromTemplate
+} = require('../controllers/templateController');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const {
+    templateIdParams,
+    createTemplateSchema,
+    instantiateTemplateSchema,
+    listTemplatesQuery
+} = require('../validators/templateSchemas');
+
+const router = express.Router();
+
+// Templates are private to their author
+router.use(authenticateToken);
+
+router.post('/', validate({ body: createTemplateSchema }), createTemplate);
+router.get('/', validate({ query: listTemplatesQuery }), getMyTemplates);
+router.get('/:templateId', validate({ params: templateIdParams }), getTemplateById);
+router.delete('/:templateId', validate({ params: templateIdParams }), deleteTemplate);
+router.post('/:templateId/polls', validate({ params: templateIdParams, body: instantiateTemplateSchema }), createPollFromTemplate);
+
+module.exports = router;
@@ -4,6 +4,13 @@ const {
     loginUser,
     logoutUser,
     refreshToken,
+    getMySessions,
+    revokeMySession,
+    revokeAllMySessions,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
     getCurrentUser,
     getUserProfile,
     updateUserProfile,
@@ -11,18 +18,43 @@ const {
     deleteUser
 } = require('../controllers/userController');
 const { authenticateToken } = require('../middleware/auth');
+const { authorize, policies } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+    userIdParams,
+    registerSchema,
+    loginSchema,
+    refreshTokenSchema,
+    tokenSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    updateProfileSchema,
+    changePasswordSchema,
+    sessionParams
+} = require('../validators/userSchemas');
 
 const router = express.Router();
 
-router.post('/register', registerUser);
-router.post('/login', loginUser);
+// Account changes are allowed for the account owner (and admins, except passwords)
+const selfOrAdmin = [policies.self(), policies.admin()];
+
+router.post('/register', rateLimit('register'), validate({ body: registerSchema }), registerUser);
+router.post('/login', rateLimit('login'), validate({ body: loginSchema }), loginUser);
 router.post('/logout', logoutUser);
-router.post('/refresh-token', refreshToken);
+router.post('/refresh-token', validate({ body: refreshTokenSchema }), refreshToken);
+router.post('/verify-email', validate({ body: tokenSchema }), verifyEmail);
+router.post('/forgot-password', rateLimit('accountEmail'), validate({ body: forgotPasswordSchema }), forgotPassword);
+router.post('/reset-password', rateLimit('accountEmail'), validate({ body: resetPasswordSchema }), resetPassword);
 
 router.get('/me', authenticateToken, getCurrentUser);
-router.get('/:userId', authenticateToken, getUserProfile);
-router.put('/:userId', authenticateToken, updateUserProfile);
-router.put('/:userId/password', authenticateToken, changePassword);
-router.delete('/:userId', authenticateToken, deleteUser);
+router.post('/me/verify-email/resend', authenticateToken, rateLimit('accountEmail'), resendVerificationEmail);
+router.get('/me/sessions', authenticateToken, getMySessions);
+router.delete('/me/sessions', authenticateToken, revokeAllMySessions);
+router.delete('/me/sessions/:sessionId', authenticateToken, validate({ params: sessionParams }), revokeMySession);
+router.get('/:userId', authenticateToken, validate({ params: userIdParams }), getUserProfile);
+router.put('/:userId', authenticateToken, validate({ params: userIdParams, body: updateProfileSchema }), authorize(selfOrAdmin, 'You can only update your own profile'), updateUserProfile);
+router.put('/:userId/password', authenticateToken, validate({ params: userIdParams, body: changePasswordSchema }), authorize([policies.self()], 'You can only change your own password'), changePassword);
+router.delete('/:userId', authenticateToken, validate({ params: userIdParams }), authorize(selfOrAdmin, 'You can only delete your own account'), deleteUser);
 
 module.exports = router;
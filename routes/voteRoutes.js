@@ -1,21 +1,46 @@
 const express = require('express');
 const {
     addVote,
+    submitBallot,
+    issueGuestVoterToken,
+    addGuestVote,
     updateVote,
     removeVote,
     getUserVotes,
     getPollVotes,
-    getUserVoteForPoll
+    getUserVoteForPoll,
+    getUserVoteHistory
 } = require('../controllers/voteController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authenticateGuestVoter } = require('../middleware/auth');
+const { authorize, policies } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+    addVoteSchema,
+    ballotSchema,
+    updateVoteSchema,
+    guestVoteSchema,
+    pollIdParams,
+    pollOptionIdParams,
+    paginationQuery,
+    pollVotesQuery
+} = require('../validators/voteSchemas');
 
 const router = express.Router();
 
-router.post('/', authenticateToken, addVote);
-router.put('/', authenticateToken, updateVote);
-router.delete('/:pollOptionId', authenticateToken, removeVote);
-router.get('/my', authenticateToken, getUserVotes);
-router.get('/poll/:pollId', authenticateToken, getPollVotes);
-router.get('/poll/:pollId/my', authenticateToken, getUserVoteForPoll);
+// Ballot changes are allowed for accounts that may vote
+const canVote = authorize([policies.voter()], 'Verify your email address before voting');
+
+router.post('/', authenticateToken, rateLimit('vote'), validate({ body: addVoteSchema }), canVote, addVote);
+router.put('/', authenticateToken, rateLimit('vote'), validate({ body: updateVoteSchema }), canVote, updateVote);
+router.delete('/:pollOptionId', authenticateToken, rateLimit('vote'), validate({ params: pollOptionIdParams }), canVote, removeVote);
+router.get('/my', authenticateToken, validate({ query: paginationQuery }), getUserVotes);
+router.get('/poll/:pollId', authenticateToken, validate({ params: pollIdParams, query: pollVotesQuery }), getPollVotes);
+router.get('/poll/:pollId/my', authenticateToken, validate({ params: pollIdParams }), getUserVoteForPoll);
+router.get('/poll/:pollId/my/history', authenticateToken, validate({ params: pollIdParams }), getUserVoteHistory);
+router.put('/poll/:pollId/ballot', authenticateToken, rateLimit('vote'), validate({ params: pollIdParams, body: ballotSchema }), canVote, submitBallot);
+
+router.post('/guest/token', rateLimit('guestToken'), issueGuestVoterToken);
+router.post('/guest', rateLimit('guestVote'), authenticateGuestVoter, validate({ body: guestVoteSchema }), addGuestVote);
 
 module.exports = router;
@@ -0,0 +1,97 @@
+const { canViewPrivateFields, canViewVoters, canViewProfile } = require('../services/privacyService');
+
+/**
+ * User serializers
+ * - Every user object sent to clients (poll authors, voters, profiles,
+ *   invitees, revision editors) goes through these selects and serializers,
+ *   so private fields never leak through a forgotten `select`
+ */
+
+// Fields anyone may see
+const publicUserSelect = {
+    id: true,
+    name: true
+};
+
+// Public profile fields
+const profileUserSelect = {
+    ...publicUserSelect,
+    createdAt: true
+};
+
+// Fields only the user themself and admins may see
+const privateUserSelect = {
+    ...profileUserSelect,
+    email: true,
+    emailVerifiedAt: true,
+    role: true,
+    profileVisibility: true,
+    showVoteHistory: true,
+    updatedAt: true
+};
+
+/**
+ * Keep only the fields of a select
+ */
+const pickFields = (object, select) => {
+    return Object.fromEntries(
+        Object.keys(select)
+            .filter(field => object[field] !== undefined)
+            .map(field => [field, object[field]])
+    );
+};
+
+/**
+ * Project a user for a viewer (the logged-in user, or null)
+ * - The user themself and admins get the private fields, others the public ones
+ */
+const serializeUser = (user, viewer) => {
+    if (!user) {
+        return null;
+    }
+
+    return pickFields(user, canViewPrivateFields(user, viewer) ? privateUserSelect : publicUserSelect);
+};
+
+/**
+ * Project a user's profile for a viewer
+ * - Like serializeUser, but other users also see the public profile fields
+ *   unless the profile is private
+ * - The user must be loaded with privateUserSelect
+ */
+const serializeProfile = (user, viewer) => {
+    if (canViewPrivateFields(user, viewer)) {
+        return pickFields(user, privateUserSelect);
+    }
+
+    return pickFields(user, canViewProfile(user, viewer) ? profileUserSelect : publicUserSelect);
+};
+
+/**
+ * Project a vote for a viewer
+ * - The vote must include its `user` (publicUserSelect) and `guestVoterId`
+ * - The voter is only shown if the poll's voterVisibility allows it, or to
+ *   the voter themself; otherwise `user` is null
+ * - Guest votes are flagged with `isGuest`, the viewer's own with `isOwnVote`
+ */
+const serializeVote = (vote, poll, viewer) => {
+    const { user, guestVoterId, ...fields } = vote;
+    const isOwnVote = Boolean(viewer) && user?.id === viewer.id;
+    const showVoter = isOwnVote || canViewVoters(poll, viewer);
+
+    return {
+        ...fields,
+        user: showVoter ? serializeUser(user, viewer) : null,
+        isGuest: guestVoterId !== null,
+        isOwnVote
+    };
+};
+
+module.exports = {
+    publicUserSelect,
+    profileUserSelect,
+    privateUserSelect,
+    serializeUser,
+    serializeProfile,
+    serializeVote
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { sendMail } = require('./mail');
+
+const prisma = new PrismaClient();
+
+const APP_URL = process.env.APP_URL || process.env.CLIENT_URL || `http://localhost:${process.env.PORT || 3000}`;
+const EMAIL_VERIFICATION_TTL_MS = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000; // default: 24 hours
+const PASSWORD_RESET_TTL_MS = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000; // default: 1 hour
+
+// Unverified accounts cannot log in or vote
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+}[char]));
+
+/**
+ * Create a single-use account token
+ * - Any earlier unused token of the same type for the user is invalidated
+ * - Returns the raw token (only sent by email, never stored)
+ */
+const createUserToken = async (userId, type, ttlMs, email = null) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await prisma.$transaction([
+        prisma.userToken.updateMany({
+            where: { userId, type, usedAt: null },
+            data: { usedAt: new Date() }
+        }),
+        prisma.userToken.create({
+            data: {
+                userId,
+                type,
+                tokenHash: hashToken(token),
+                email,
+                expiresAt: new Date(Date.now() + ttlMs)
+            }
+        })
+    ]);
+
+    return token;
+};
+
+/**
+ * Consume a single-use account token
+ * - Marks the token as used in the same statement that checks it, so it
+ *   can never be redeemed twice
+ * - Returns the token row, or null if it is unknown, used or expired
+ */
+const consumeUserToken = async (token, type) => {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const tokenHash = hashToken(token);
+
+    const { count } = await prisma.userToken.updateMany({
+        where: { tokenHash, type, usedAt: null, expiresAt: { gt: new Date() } },
+        data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+        return null;
+    }
+
+    return prisma.userToken.findUnique({ where: { tokenHash } });
+};
+
+/**
+ * Send an email verification link
+ * - `email` is the address being verified (the pending address on email change)
+ */
+const sendVerificationEmail = async (user, email = user.email) => {
+    const token = await createUserToken(user.id, 'email_verification', EMAIL_VERIFICATION_TTL_MS, email);
+    const link = `${APP_URL}/verify-email?token=${token}`;
+
+    await sendMail({
+        to: email,
+        subject: 'Verify your PulsePoll email address',
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_MS / (60 * 60 * 1000)} hours.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p>`
+    });
+};
+
+/**
+ * Send a password reset link
+ */
+const sendPasswordResetEmail = async (user) => {
+    const token = await createUserToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MS);
+    const link = `${APP_URL}/reset-password?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your PulsePoll password',
+        text: `Hi ${user.name},\n\nSomeone asked to reset your PulsePoll password. If it was you, open this link:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_MS / (60 * 1000)} minutes. If you did not ask for this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset your PulsePoll password. If it was you, open this link:</p><p><a href="${link}">${link}</a></p><p>If you did not ask for this, you can ignore this email.</p>`
+    });
+};
+
+module.exports = {
+    REQUIRE_EMAIL_VERIFICATION,
+    createUserToken,
+    consumeUserToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+};
@@ -0,0 +1,20 @@
+/**
+ * Record a moderation action in the audit log
+ * - Pass the transaction client (`tx`) so the log entry is written
+ *   atomically with the action it describes
+ */
+const recordAudit = (tx, { actorId, action, targetType, targetId, details = null }) => {
+    return tx.auditLog.create({
+        data: {
+            actorId,
+            action,
+            targetType,
+            targetId,
+            ...(details && { details })
+        }
+    });
+};
+
+module.exports = {
+    recordAudit
+};
@@ -0,0 +1,211 @@
+const { PrismaClient } = require('@prisma/client');
+const { toCsvRow } = require('../utils/csv');
+const { canViewVoters } = require('./privacyService');
+const { publicUserSelect } = require('../serializers/userSerializer');
+
+const prisma = new PrismaClient();
+
+// Votes are read from the database in batches of this size
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE) || 1000;
+
+// `excel` is CSV with a UTF-8 byte order mark so spreadsheet apps detect the encoding
+const EXPORT_FORMATS = ['csv', 'excel', 'json'];
+const EXPORT_TYPES = ['votes', 'summary'];
+
+const VOTE_COLUMNS = [
+    'pollId', 'question', 'voteId', 'optionId', 'optionText', 'rank',
+    'freeText', 'voterType', 'voterId', 'voterName', 'votedAt'
+];
+
+const SUMMARY_COLUMNS = [
+    'pollId', 'question', 'votingMode', 'optionId', 'optionText', 'position',
+    'votes', 'guestVotes', 'percentage'
+];
+
+const voteSelect = {
+    id: true,
+    pollOptionId: true,
+    rank: true,
+    freeText: true,
+    guestVoterId: true,
+    createdAt: true,
+    user: { select: publicUserSelect }
+};
+
+/**
+ * Read every vote of a poll in batches (keyset pagination on the vote ID)
+ * - Only one batch is held in memory at a time
+ */
+async function* iteratePollVotes(pollId) {
+    let cursor = null;
+
+    while (true) {
+        const batch = await prisma.vote.findMany({
+            where: { pollId },
+            select: voteSelect,
+            orderBy: { id: 'asc' },
+            take: EXPORT_BATCH_SIZE,
+            ...(cursor && { cursor: { id: cursor }, skip: 1 })
+        });
+
+        yield* batch;
+
+        if (batch.length < EXPORT_BATCH_SIZE) {
+            return;
+        }
+        cursor = batch[batch.length - 1].id;
+    }
+}
+
+/**
+ * Build the per-option summary of a poll
+ * - Ranked polls count first preferences
+ * - Poll must include its `options`
+ */
+const getPollSummary = async (poll) => {
+    const where = { pollId: poll.id, ...(poll.votingMode === 'ranked' && { rank: 1 }) };
+
+    const [counts, guestCounts] = await Promise.all([
+        prisma.vote.groupBy({ by: ['pollOptionId'], where, _count: { _all: true } }),
+        prisma.vote.groupBy({ by: ['pollOptionId'], where: { ...where, guestVoterId: { not: null } }, _count: { _all: true } })
+    ]);
+
+    const votesByOption = new Map(counts.map(row => [row.pollOptionId, row._count._all]));
+    const guestVotesByOption = new Map(guestCounts.map(row => [row.pollOptionId, row._count._all]));
+    const totalVotes = counts.reduce((sum, row) => sum + row._count._all, 0);
+
+    return poll.options.map(option => {
+        const votes = votesByOption.get(option.id) || 0;
+
+        return {
+            pollId: poll.id,
+            question: poll.question,
+            votingMode: poll.votingMode,
+            optionId: option.id,
+            optionText: option.text,
+            position: option.position,
+            votes,
+            guestVotes: guestVotesByOption.get(option.id) || 0,
+            percentage: totalVotes > 0 ? Math.round((votes / totalVotes) * 100) : 0
+        };
+    });
+};
+
+/**
+ * Flatten a vote into an export row
+ * - Voter columns are left empty when `showVoters` is false
+ */
+const toVoteRow = (poll, optionTexts, vote, showVoters) => ({
+    pollId: poll.id,
+    question: poll.question,
+    voteId: vote.id,
+    optionId: vote.pollOptionId,
+    optionText: optionTexts.get(vote.pollOptionId),
+    rank: vote.rank,
+    freeText: vote.freeText,
+    voterType: vote.guestVoterId ? 'guest' : 'user',
+    voterId: showVoters ? (vote.user ? vote.user.id : vote.guestVoterId) : null,
+    voterName: showVoters && vote.user ? vote.user.name : null,
+    votedAt: vote.createdAt
+});
+
+/**
+ * Stream poll results to an HTTP response
+ * - `polls` must include their `options`
+ * - `type` is `votes` (one row per vote) or `summary` (one row per option);
+ *   JSON exports always include the summary of each poll
+ * - Voters are only included if the poll's voterVisibility lets `viewer`
+ *   see them (polls must include `authorId` and `voterVisibility`)
+ * - Waits for the client to drain between writes and stops if it disconnects
+ */
+const streamPollExport = async (res, polls, { format, type, fileName, viewer }) => {
+    const isJson = format === 'json';
+    const extension = isJson ? 'json' : 'csv';
+
+    res.status(200);
+    res.setHeader('Content-Type', isJson ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}-${type}.${extension}"`);
+
+    // Resolves once the client has drained the buffer (or disconnected)
+    const write = (chunk) => new Promise((resolve) => {
+        if (res.write(chunk)) {
+            return resolve();
+        }
+
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.once('drain', done);
+        res.once('close', done);
+    });
+    const isClosed = () => res.destroyed || res.writableEnded;
+
+    if (format === 'excel') {
+        await write('\uFEFF');
+    }
+
+    if (!isJson) {
+        const columns = type === 'summary' ? SUMMARY_COLUMNS : VOTE_COLUMNS;
+        await write(toCsvRow(columns));
+    } else {
+        await write(`{"exportedAt":${JSON.stringify(new Date())},"polls":[`);
+    }
+
+    for (const [index, poll] of polls.entries()) {
+        if (isClosed()) return;
+
+        const summary = type === 'summary' || isJson ? await getPollSummary(poll) : null;
+
+        if (isJson) {
+            const { options, ...pollFields } = poll;
+            const header = JSON.stringify({ ...pollFields, summary });
+            // Leave the object open so the votes can be streamed into it
+            await write(`${index > 0 ? ',' : ''}${type === 'votes' ? `${header.slice(0, -1)},"votes":[` : header}`);
+        }
+
+        if (type === 'summary') {
+            if (!isJson) {
+                for (const row of summary) {
+                    await write(toCsvRow(SUMMARY_COLUMNS.map(column => row[column])));
+                }
+            }
+            continue;
+        }
+
+        const optionTexts = new Map(poll.options.map(option => [option.id, option.text]));
+        const showVoters = canViewVoters(poll, viewer);
+        let first = true;
+
+        for await (const vote of iteratePollVotes(poll.id)) {
+            if (isClosed()) return;
+
+            const row = toVoteRow(poll, optionTexts, vote, showVoters);
+
+            if (isJson) {
+                const { pollId, question, ...voteFields } = row;
+                await write(`${first ? '' : ','}${JSON.stringify(voteFields)}`);
+            } else {
+                await write(toCsvRow(VOTE_COLUMNS.map(column => row[column])));
+            }
+            first = false;
+        }
+
+        if (isJson) {
+            await write(']}');
+        }
+    }
+
+    if (isJson) {
+        await write(']}');
+    }
+
+    res.end();
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_TYPES,
+    streamPollExport
+};
@@ -0,0 +1,53 @@
+const { listedPollWhere } = require('./pollVisibilityService');
+
+// Default window for the trending feed (hours)
+const TRENDING_WINDOW_HOURS = parseInt(process.env.TRENDING_WINDOW_HOURS) || 24;
+
+// Most polls ranked per trending / most voted feed
+const FEED_MAX_RESULTS = parseInt(process.env.FEED_MAX_RESULTS) || 1000;
+
+// Polls listed in feeds: published and not unlisted
+const feedPollWhere = listedPollWhere;
+
+// A ballot is counted once: single/multiple choice rows have no rank,
+// ranked ballots are counted by their first preference
+const ballotVoteWhere = { OR: [{ rank: null }, { rank: 1 }] };
+
+/**
+ * Count ballots per published poll
+ * - Optional `since` only counts votes cast after it
+ * - Returns a Map of poll id => ballot count, highest first (at most FEED_MAX_RESULTS)
+ */
+const countBallotsByPoll = async (client, since = null) => {
+    const groups = await client.vote.groupBy({
+        by: ['pollId'],
+        where: {
+            ...ballotVoteWhere,
+            ...(since && { createdAt: { gte: since } }),
+            poll: feedPollWhere
+        },
+        _count: { _all: true },
+        orderBy: [{ _count: { pollId: 'desc' } }, { pollId: 'asc' }],
+        take: FEED_MAX_RESULTS
+    });
+
+    return new Map(groups.map(group => [group.pollId, group._count._all]));
+};
+
+/**
+ * Trending polls: ballots cast in the last `windowHours`
+ * - Returns a Map of poll id => ballots per hour over the window
+ */
+const getTrendingScores = async (client, windowHours = TRENDING_WINDOW_HOURS) => {
+    const since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+    const counts = await countBallotsByPoll(client, since);
+
+    return new Map([...counts].map(([pollId, count]) => [pollId, count / windowHours]));
+};
+
+module.exports = {
+    TRENDING_WINDOW_HOURS,
+    feedPollWhere,
+    countBallotsByPoll,
+    getTrendingScores
+};
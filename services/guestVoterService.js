@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { JWT_SECRET, generateVoterToken } = require('./jwtService');
+
+const prisma = new PrismaClient();
+
+// Cookie names used for guest voting
+const GUEST_DEVICE_COOKIE = 'voterDevice';
+const GUEST_TOKEN_COOKIE = 'voterToken';
+
+// Abuse checks
+const parsedIpVoteLimit = parseInt(process.env.GUEST_IP_VOTE_LIMIT);
+const GUEST_IP_VOTE_LIMIT = Number.isNaN(parsedIpVoteLimit) ? 10 : parsedIpVoteLimit; // guests per IP per poll, 0 = unlimited
+const GUEST_FINGERPRINT_CHECK = process.env.GUEST_FINGERPRINT_CHECK !== 'false'; // default: enabled
+
+const GUEST_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // 1 year
+
+/**
+ * Hash an identifier (device ID, IP, fingerprint) with the server secret
+ * - Keeps raw identifiers out of the database
+ */
+const hashIdentifier = (value) => {
+    return crypto.createHmac('sha256', JWT_SECRET).update(String(value)).digest('hex');
+};
+
+/**
+ * Get the client IP of a request (honours Express "trust proxy")
+ */
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+/**
+ * Issue a guest voter identity for the current device
+ * - Reuses the device cookie if present, otherwise creates a new one
+ * - Creates the GuestVoter row on first use
+ * - Sets the device + voter token cookies and returns the token
+ */
+const issueGuestIdentity = async (req, res) => {
+    let deviceId = req.cookies?.[GUEST_DEVICE_COOKIE];
+
+    if (!deviceId) {
+        deviceId = crypto.randomBytes(32).toString('hex');
+    }
+
+    const deviceHash = hashIdentifier(deviceId);
+
+    const guestVoter = await prisma.guestVoter.upsert({
+        where: { deviceHash },
+        update: {},
+        create: { deviceHash }
+    });
+
+    const voterToken = generateVoterToken({ guestVoterId: guestVoter.id, deviceHash });
+
+    const cookieOptions = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax',
+        maxAge: GUEST_COOKIE_MAX_AGE
+    };
+
+    res.cookie(GUEST_DEVICE_COOKIE, deviceId, cookieOptions);
+    res.cookie(GUEST_TOKEN_COOKIE, voterToken, cookieOptions);
+
+    return { guestVoter, voterToken };
+};
+
+/**
+ * Run the abuse checks for a guest vote
+ * - Fingerprint: one guest ballot per device fingerprint per poll
+ * - IP: at most GUEST_IP_VOTE_LIMIT guest ballots per IP per poll
+ * - Pass the transaction client that inserts the ballot, so concurrent
+ *   votes cannot all pass the checks before any of them is written
+ * - Returns { message, code, statusCode } if the vote should be rejected, or null
+ */
+const checkGuestVoteAbuse = async (client, { pollId, ipHash, fingerprintHash }) => {
+    if (GUEST_FINGERPRINT_CHECK && fingerprintHash) {
+        const fingerprintVote = await client.vote.findFirst({
+            where: { pollId, fingerprintHash },
+            select: { id: true }
+        });
+
+        if (fingerprintVote) {
+            return {
+                message: 'A vote has already been cast from this device',
+                code: 'GUEST_DEVICE_ALREADY_VOTED',
+                statusCode: 409
+            };
+        }
+    }
+
+    if (GUEST_IP_VOTE_LIMIT > 0 && ipHash) {
+        const guestsFromIp = await client.vote.groupBy({
+            by: ['guestVoterId'],
+            where: { pollId, ipHash, guestVoterId: { not: null } }
+        });
+
+        if (guestsFromIp.length >= GUEST_IP_VOTE_LIMIT) {
+            return {
+                message: 'Too many guest votes from this network for this poll',
+                code: 'GUEST_IP_LIMIT_REACHED',
+                statusCode: 429
+            };
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    GUEST_DEVICE_COOKIE,
+    GUEST_TOKEN_COOKIE,
+    hashIdentifier,
+    getClientIp,
+    issueGuestIdentity,
+    checkGuestVoteAbuse
+};
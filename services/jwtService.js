@@ -2,17 +2,25 @@ const jwt = require('jsonwebtoken');
 
 // Load secret + expiration settings from environment
 const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || JWT_SECRET; // separate secret recommended
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';    // default: 7 days
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '30d'; // default: 30 days
+const VOTER_TOKEN_EXPIRES_IN = process.env.VOTER_TOKEN_EXPIRES_IN || '365d'; // default: 1 year
+
+// Secret used to sign + verify each token type
+const TOKEN_SECRETS = {
+    access: JWT_SECRET,
+    refresh: JWT_REFRESH_SECRET
+};
 
 /**
  * Generate a short-lived access token
- * - Contains user payload (id, email, name)
+ * - Contains user payload (id, email, name, role, session id)
  * - Expires quickly (e.g., 7 days or configured value)
  * - Used for API authorization
  */
 const generateAccessToken = (payload) => {
-    return jwt.sign(payload, JWT_SECRET, {
+    return jwt.sign({ ...payload, type: 'access' }, JWT_SECRET, {
         expiresIn: JWT_EXPIRES_IN,
         issuer: 'pulsepoll-api',   // who issued the token
         audience: 'pulsepoll-users' // intended audience
@@ -21,12 +29,15 @@ const generateAccessToken = (payload) => {
 
 /**
  * Generate a long-lived refresh token
- * - Same payload but longer expiration (e.g., 30 days)
+ * - Only carries the user + session IDs, with a unique token ID (`jti`)
+ *   so each refresh token can be used exactly once
+ * - Longer expiration (e.g., 30 days), signed with the refresh secret
  * - Used to request new access tokens
  */
-const generateRefreshToken = (payload) => {
-    return jwt.sign(payload, JWT_SECRET, {
+const generateRefreshToken = (payload, tokenId) => {
+    return jwt.sign({ ...payload, type: 'refresh' }, JWT_REFRESH_SECRET, {
         expiresIn: JWT_REFRESH_EXPIRES_IN,
+        jwtid: tokenId,
         issuer: 'pulsepoll-api',
         audience: 'pulsepoll-users'
     });
@@ -35,37 +46,79 @@ const generateRefreshToken = (payload) => {
 /**
  * Verify a token
  * - Ensures token is valid, not expired, and issued by this app
+ * - Ensures the token `type` claim matches (access by default), so a
+ *   refresh token can never be used as an access token and vice versa
  * - Returns decoded payload if valid
  * - Throws error if invalid/expired
  */
-const verifyToken = (token) => {
+const verifyToken = (token, type = 'access') => {
+    let decoded;
+
     try {
-        return jwt.verify(token, JWT_SECRET, {
+        decoded = jwt.verify(token, TOKEN_SECRETS[type], {
             issuer: 'pulsepoll-api',
             audience: 'pulsepoll-users'
         });
     } catch (error) {
         throw new Error('Invalid or expired token');
     }
+
+    if (decoded.type !== type) {
+        throw new Error('Invalid token type');
+    }
+
+    return decoded;
 };
 
 /**
- * Generate both access + refresh tokens for a given user
- * - User payload includes id, email, and name
+ * Generate both access + refresh tokens for a given user session
+ * - Access payload includes id, email, name, role, and session id (`sid`)
+ * - Refresh payload includes user id + session id, and `refreshTokenId` as its `jti`
  */
-const generateTokens = (user) => {
+const generateTokens = (user, { sessionId, refreshTokenId }) => {
     const payload = {
         userId: user.id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        role: user.role,
+        sid: sessionId
     };
 
     return {
         accessToken: generateAccessToken(payload),
-        refreshToken: generateRefreshToken(payload)
+        refreshToken: generateRefreshToken({ userId: user.id, sid: sessionId }, refreshTokenId)
     };
 };
 
+/**
+ * Generate a guest voter token
+ * - Payload holds the guest voter ID and the hash of its device cookie
+ * - Uses a separate audience so it can never be used as an access token
+ */
+const generateVoterToken = ({ guestVoterId, deviceHash }) => {
+    return jwt.sign({ guestVoterId, deviceHash }, JWT_SECRET, {
+        expiresIn: VOTER_TOKEN_EXPIRES_IN,
+        issuer: 'pulsepoll-api',
+        audience: 'pulsepoll-voters'
+    });
+};
+
+/**
+ * Verify a guest voter token
+ * - Returns decoded payload if valid
+ * - Throws error if invalid/expired
+ */
+const verifyVoterToken = (token) => {
+    try {
+        return jwt.verify(token, JWT_SECRET, {
+            issuer: 'pulsepoll-api',
+            audience: 'pulsepoll-voters'
+        });
+    } catch (error) {
+        throw new Error('Invalid or expired voter token');
+    }
+};
+
 /**
  * Decode a token without verifying
  * - Useful for debugging\
@@ -79,8 +132,11 @@ module.exports = {
     generateRefreshToken,
     generateTokens,
     verifyToken,
+    generateVoterToken,
+    verifyVoterToken,
     decodeToken,
     JWT_SECRET,
     JWT_EXPIRES_IN,
-    JWT_REFRESH_EXPIRES_IN
+    JWT_REFRESH_EXPIRES_IN,
+    VOTER_TOKEN_EXPIRES_IN
 };
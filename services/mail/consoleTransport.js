@@ -0,0 +1,21 @@
+/**
+ * Console mail transport (default for local development)
+ * - Prints every message to stdout instead of sending it
+ */
+const createConsoleTransport = () => {
+    return {
+        name: 'console',
+        send: async (message) => {
+            console.log('📧 Mail message');
+            console.log(`   To: ${message.to}`);
+            console.log(`   Subject: ${message.subject}`);
+            console.log(message.text);
+
+            return { logged: true };
+        }
+    };
+};
+
+module.exports = {
+    createConsoleTransport
+};
@@ -0,0 +1,28 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File mail transport (local development + tests)
+ * - Writes every message as a JSON file to MAIL_FILE_DIR instead of sending it
+ */
+const createFileTransport = () => {
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || 'logs/mail');
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            await fs.mkdir(directory, { recursive: true });
+
+            const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+            const filePath = path.join(directory, fileName);
+
+            await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+            return { filePath };
+        }
+    };
+};
+
+module.exports = {
+    createFileTransport
+};
@@ -0,0 +1,55 @@
+const { createSmtpTransport } = require('./smtpTransport');
+const { createFileTransport } = require('./fileTransport');
+const { createConsoleTransport } = require('./consoleTransport');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'PulsePoll <no-reply@pulsepoll.local>';
+
+// Available transports, selected with MAIL_TRANSPORT
+const transportFactories = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+let transport; // Active transport (created on first use)
+
+/**
+ * Get the configured mail transport
+ * - MAIL_TRANSPORT is one of "smtp", "file" or "console" (default)
+ */
+const getMailTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        const factory = transportFactories[name];
+
+        if (!factory) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+
+        transport = factory();
+    }
+
+    return transport;
+};
+
+/**
+ * Replace the mail transport (e.g. with an in-memory one)
+ * - Any object with an async `send(message)` method works
+ */
+const setMailTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * - message: { to, subject, text, html? }
+ */
+const sendMail = (message) => {
+    return getMailTransport().send({ from: MAIL_FROM, ...message });
+};
+
+module.exports = {
+    getMailTransport,
+    setMailTransport,
+    sendMail
+};
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP mail transport (production)
+ * - Configured through SMTP_* environment variables
+ */
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true', // true for port 465
+        ...(process.env.SMTP_USER && {
+            auth: {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            }
+        })
+    });
+
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+module.exports = {
+    createSmtpTransport
+};
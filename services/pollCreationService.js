@@ -0,0 +1,135 @@
+const { normalizeVotingConfig } = require('./votingService');
+const { parseScheduleDate, validateSchedule, getPollStatus } = require('./scheduleService');
+const { normalizeResultsVisibility } = require('./resultsService');
+const { recordInitialRevision } = require('./revisionService');
+const { normalizeTags, createTagLinks } = require('./tagService');
+const { generateShareToken } = require('./pollVisibilityService');
+
+/**
+ * Check a validated poll definition and turn it into poll data
+ * - Input has the shape of the createPoll body (see validators/pollSchemas.js)
+ * - Checks the voting mode against the number of options, the single
+ *   free-text option rule and the voting window
+ * - Returns { error } or { poll, options, tags }
+ */
+const preparePoll = ({
+    question,
+    options,
+    isPublished = false,
+    isUnlisted = false,
+    accessMode = 'public',
+    allowAnonymous = false,
+    resultsVisibility,
+    voterVisibility = 'author',
+    votingMode,
+    minSelections,
+    maxSelections,
+    opensAt,
+    closesAt,
+    tags
+}) => {
+    // Validate voting mode + selection limits against the number of options
+    const { config: votingConfig, error: votingError } = normalizeVotingConfig(
+        { votingMode, minSelections, maxSelections },
+        options.length
+    );
+
+    if (votingError) {
+        return { error: votingError };
+    }
+
+    // Only one "Other (please specify)" option per poll
+    if (options.filter(option => option.allowsFreeText).length > 1) {
+        return { error: 'A poll can only have one free-text option' };
+    }
+
+    // Validate the optional voting window
+    const parsedOpensAt = parseScheduleDate(opensAt, 'opensAt');
+    const parsedClosesAt = parseScheduleDate(closesAt, 'closesAt');
+    const scheduleError = parsedOpensAt.error || parsedClosesAt.error
+        || validateSchedule(parsedOpensAt.value, parsedClosesAt.value);
+
+    if (scheduleError) {
+        return { error: scheduleError };
+    }
+
+    const schedule = {
+        opensAt: parsedOpensAt.value ?? null,
+        closesAt: parsedClosesAt.value ?? null
+    };
+
+    const visibility = normalizeResultsVisibility(resultsVisibility);
+    if (visibility.error) {
+        return { error: visibility.error };
+    }
+
+    return {
+        poll: {
+            question: question.trim(),
+            isPublished,
+            isUnlisted,
+            accessMode,
+            allowAnonymous: allowAnonymous === true,
+            ...(visibility.value && { resultsVisibility: visibility.value }),
+            voterVisibility,
+            ...votingConfig,
+            ...schedule,
+            status: getPollStatus(schedule)
+        },
+        options: options.map((option, position) => ({
+            text: option.text,
+            description: option.description || null,
+            imageUrl: option.imageUrl || null,
+            allowsFreeText: option.allowsFreeText === true,
+            position
+        })),
+        tags: normalizeTags(tags)
+    };
+};
+
+/**
+ * Create a prepared poll and its options
+ * - Pass the transaction client (`tx`) so several polls can be created atomically
+ * - Records the poll's first revision
+ * - Link-only polls get their share token here
+ * - Returns the poll with its options, tag names and (link-only) `shareToken`
+ */
+const createPreparedPoll = async (tx, authorId, prepared) => {
+    const newPoll = await tx.poll.create({
+        data: {
+            ...prepared.poll,
+            authorId,
+            ...(prepared.tags.length > 0 && { tags: createTagLinks(prepared.tags) }),
+            ...(prepared.poll.accessMode === 'link' && {
+                shareLink: { create: { token: generateShareToken() } }
+            })
+        },
+        include: { shareLink: { select: { token: true } } }
+    });
+
+    const pollOptions = await Promise.all(
+        prepared.options.map(option =>
+            tx.pollOption.create({
+                data: { ...option, pollId: newPoll.id }
+            })
+        )
+    );
+
+    const { shareLink, ...createdPoll } = newPoll;
+
+    const poll = {
+        ...createdPoll,
+        options: pollOptions,
+        tags: prepared.tags,
+        ...(shareLink && { shareToken: shareLink.token })
+    };
+
+    await recordInitialRevision(tx, poll, authorId);
+
+    return poll;
+};
+
+module.exports = {
+    preparePoll,
+    createPreparedPoll
+};
@@ -0,0 +1,96 @@
+const { PrismaClient } = require('@prisma/client');
+const { broadcastPollUpdate } = require('./socketService');
+
+const prisma = new PrismaClient();
+
+const POLL_SCHEDULER_INTERVAL_MS = parseInt(process.env.POLL_SCHEDULER_INTERVAL_MS) || 30000; // default: 30 seconds
+
+let schedulerTimer; // Interval handle of the running scheduler
+
+/**
+ * Move polls whose window has started or ended into their new status
+ * - Each transition only matches polls still in the previous status,
+ *   so an update is broadcast exactly once
+ * - Emits a `poll-update` with updateType "opened" or "closed"
+ */
+const runPollTransitions = async (now = new Date()) => {
+    const toOpen = await prisma.poll.findMany({
+        where: {
+            status: 'scheduled',
+            opensAt: { lte: now },
+            OR: [{ closesAt: null }, { closesAt: { gt: now } }]
+        },
+        select: { id: true }
+    });
+
+    const toClose = await prisma.poll.findMany({
+        where: {
+            status: { not: 'closed' },
+            closesAt: { lte: now }
+        },
+        select: { id: true }
+    });
+
+    for (const { id } of toOpen) {
+        const { count } = await prisma.poll.updateMany({
+            where: { id, status: 'scheduled' },
+            data: { status: 'open' }
+        });
+
+        if (count > 0) {
+            await broadcastPollUpdate(id, 'opened', { status: 'open', openedAt: now.toISOString() });
+        }
+    }
+
+    for (const { id } of toClose) {
+        const { count } = await prisma.poll.updateMany({
+            where: { id, status: { not: 'closed' } },
+            data: { status: 'closed' }
+        });
+
+        if (count > 0) {
+            await broadcastPollUpdate(id, 'closed', { status: 'closed', closedAt: now.toISOString() });
+        }
+    }
+
+    return { opened: toOpen.length, closed: toClose.length };
+};
+
+/**
+ * Start the background poll scheduler
+ * - Runs once immediately, then every POLL_SCHEDULER_INTERVAL_MS
+ */
+const startPollScheduler = (intervalMs = POLL_SCHEDULER_INTERVAL_MS) => {
+    if (schedulerTimer) {
+        return;
+    }
+
+    const tick = async () => {
+        try {
+            await runPollTransitions();
+        } catch (error) {
+            console.error('Poll scheduler error:', error);
+        }
+    };
+
+    tick();
+    schedulerTimer = setInterval(tick, intervalMs);
+    schedulerTimer.unref();
+    console.log(`⏰ Poll scheduler started (every ${intervalMs}ms)`);
+};
+
+/**
+ * Stop the background poll scheduler
+ */
+const stopPollScheduler = () => {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+};
+
+module.exports = {
+    runPollTransitions,
+    startPollScheduler,
+    stopPollScheduler
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+
+/**
+ * Poll visibility
+ * - draft (not published): only the author and admins can see it
+ * - unlisted (published + isUnlisted): anyone with the link, but never
+ *   listed, searched or shown in feeds
+ * - published: public
+ *
+ * Published polls also have an access mode:
+ * - public: anyone
+ * - link: only with the poll's secret share token
+ * - invite: only invited users (by account, or by email once the account
+ *   owning that email has verified it)
+ * Users who already voted on a poll keep access to it.
+ *
+ * Every poll and vote read path filters polls through these helpers.
+ */
+
+const ACCESS_MODES = ['public', 'link', 'invite'];
+
+// Most invites an invite-only poll can have
+const MAX_POLL_INVITES = 1000;
+
+// Polls anyone can find in listings, search and feeds
+const listedPollWhere = { isPublished: true, isUnlisted: false, accessMode: 'public' };
+
+const isAdmin = (user) => user?.role === 'admin';
+
+/**
+ * Share token sent with a request (X-Share-Token header or `shareToken` query param)
+ */
+const getShareToken = (req) => {
+    const token = req.headers['x-share-token'] || req.query?.shareToken;
+    return typeof token === 'string' ? token : undefined;
+};
+
+/**
+ * Generate a new secret share token
+ */
+const generateShareToken = () => crypto.randomBytes(24).toString('base64url');
+
+/**
+ * Poll filter: the user is on the poll's invite list
+ * - Only invites linked to the account count; email invites are linked
+ *   when the address is verified (see linkEmailInvites)
+ */
+const invitedWhere = (user) => ({
+    invites: { some: { userId: user.id } }
+});
+
+/**
+ * Link the email invites of an address to the account that verified it
+ * - Call in the same step that sets emailVerifiedAt, so an address is
+ *   never matched before its owner proved they receive its mail
+ * - Returns a Prisma promise (usable in a batch transaction)
+ */
+const linkEmailInvites = (client, userId, email) => {
+    return client.pollInvite.updateMany({
+        where: { userId: null, email: email.toLowerCase() },
+        data: { userId }
+    });
+};
+
+/**
+ * Prisma where clause for the polls a viewer (req.user, or null) may see
+ * - `listed: true` is for listings: other users' unlisted and link-only polls
+ *   are left out (invite-only polls are listed for their invitees)
+ * - Otherwise (reads by id) unlisted polls are included, and link-only polls
+ *   when `shareToken` matches
+ * - Authors always see their own polls, admins see every poll
+ */
+const visiblePollWhere = (user, { listed = false, shareToken } = {}) => {
+    if (isAdmin(user)) {
+        return {};
+    }
+
+    const access = [{ accessMode: 'public' }];
+
+    if (user) {
+        access.push({ accessMode: 'invite', ...invitedWhere(user) });
+    }
+
+    if (!listed && shareToken) {
+        access.push({ accessMode: 'link', shareLink: { is: { token: shareToken } } });
+    }
+
+    if (!listed && user) {
+        access.push({ votes: { some: { userId: user.id } } });
+    }
+
+    const publicWhere = {
+        isPublished: true,
+        ...(listed && { isUnlisted: false }),
+        OR: access
+    };
+
+    return user ? { OR: [publicWhere, { authorId: user.id }] } : publicWhere;
+};
+
+/**
+ * Raw SQL counterpart of visiblePollWhere(user, { listed: true })
+ * - For queries that select from `polls p` (see searchService)
+ * - Keep both in sync when the visibility rules change
+ */
+const listedPollSql = (user) => {
+    if (isAdmin(user)) {
+        return Prisma.sql`TRUE`;
+    }
+
+    const listed = Prisma.sql`p."isPublished" AND NOT p."isUnlisted"`;
+
+    if (!user) {
+        return Prisma.sql`(${listed} AND p."accessMode" = 'public')`;
+    }
+
+    return Prisma.sql`(
+        (${listed} AND (
+            p."accessMode" = 'public'
+            OR (p."accessMode" = 'invite' AND EXISTS (
+                SELECT 1 FROM poll_invites i WHERE i."pollId" = p.id AND i."userId" = ${user.id}
+            ))
+        ))
+        OR p."authorId" = ${user.id}
+    )`;
+};
+
+/**
+ * Find a poll by id, or null if it does not exist or the viewer may not see it
+ * - `args` are extra findFirst arguments (include, select)
+ */
+const findVisiblePoll = (client, pollId, user, args = {}, shareToken) => {
+    return client.poll.findFirst({
+        ...args,
+        where: { AND: [{ id: pollId }, visiblePollWhere(user, { shareToken })] }
+    });
+};
+
+module.exports = {
+    ACCESS_MODES,
+    MAX_POLL_INVITES,
+    listedPollWhere,
+    getShareToken,
+    generateShareToken,
+    visiblePollWhere,
+    listedPollSql,
+    findVisiblePoll,
+    linkEmailInvites
+};
@@ -0,0 +1,78 @@
+/**
+ * Privacy rules for users and voters
+ * - Emails and account details are private: only the user and admins see them
+ * - Other users see a user's public profile (see serializers/userSerializer.js)
+ * - Each poll decides who can see who voted (`voterVisibility`)
+ */
+
+const PROFILE_VISIBILITY = ['public', 'private'];
+
+// public: anyone who can open the poll, author: the poll author and admins,
+// nobody: anonymous ballots
+const VOTER_VISIBILITY = ['public', 'author', 'nobody'];
+
+const isAdmin = (viewer) => viewer?.role === 'admin';
+
+/**
+ * The viewer is the user themself or an admin
+ */
+const canViewPrivateFields = (user, viewer) => {
+    return Boolean(viewer) && (viewer.id === user.id || isAdmin(viewer));
+};
+
+/**
+ * The viewer can see who voted on a poll
+ * - Voters can always see their own votes, this is about everyone else's
+ */
+const canViewVoters = (poll, viewer) => {
+    switch (poll.voterVisibility) {
+        case 'public':
+            return true;
+        case 'author':
+            return Boolean(viewer) && (viewer.id === poll.authorId || isAdmin(viewer));
+        default:
+            return false;
+    }
+};
+
+/**
+ * Changing a poll's voterVisibility from `from` to `to` shows voters to more people
+ */
+const isVoterVisibilityWidening = (from, to) => {
+    return VOTER_VISIBILITY.indexOf(to) < VOTER_VISIBILITY.indexOf(from);
+};
+
+/**
+ * The viewer can see a user's polls and profile details, not just their name
+ */
+const canViewProfile = (user, viewer) => {
+    return user.profileVisibility === 'public' || canViewPrivateFields(user, viewer);
+};
+
+/**
+ * The viewer can see a user's vote history
+ * - Others only see it when the user opted in with `showVoteHistory`, and
+ *   only for polls whose voters are public (see profileVotesWhere)
+ */
+const canViewVoteHistory = (user, viewer) => {
+    return canViewPrivateFields(user, viewer)
+        || (user.profileVisibility === 'public' && user.showVoteHistory);
+};
+
+/**
+ * Vote filter for the vote history shown on a user's profile
+ */
+const profileVotesWhere = (user, viewer) => {
+    return canViewPrivateFields(user, viewer) ? {} : { poll: { voterVisibility: 'public' } };
+};
+
+module.exports = {
+    PROFILE_VISIBILITY,
+    VOTER_VISIBILITY,
+    canViewPrivateFields,
+    canViewVoters,
+    isVoterVisibilityWidening,
+    canViewProfile,
+    canViewVoteHistory,
+    profileVotesWhere
+};
@@ -0,0 +1,103 @@
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+// Set RATE_LIMIT_ENABLED=false to turn off rate limits and login lockouts
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Available stores, selected with RATE_LIMIT_STORE
+const storeFactories = {
+    memory: createMemoryStore,
+    redis: createRedisStore
+};
+
+let store; // Active store (created on first use)
+
+/**
+ * Get the configured rate limit store
+ * - RATE_LIMIT_STORE is "memory" (default) or "redis"
+ */
+const getRateLimitStore = () => {
+    if (!store) {
+        const name = process.env.RATE_LIMIT_STORE || 'memory';
+        const factory = storeFactories[name];
+
+        if (!factory) {
+            throw new Error(`Unknown rate limit store: ${name}`);
+        }
+
+        store = factory();
+    }
+
+    return store;
+};
+
+/**
+ * Replace the rate limit store
+ * - Any object with async `increment(key, windowMs)`, `get(key)`,
+ *   `set(key, count, ttlMs)` and `delete(key)` methods works;
+ *   `increment` and `get` return { count, resetAt } (get: null if unset)
+ */
+const setRateLimitStore = (customStore) => {
+    store = customStore;
+};
+
+/**
+ * Define a policy; RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_SECONDS override the defaults
+ * - `key` is what requests are counted by: `ip`, or `user` (falls back to
+ *   the IP for anonymous requests)
+ */
+const definePolicy = (name, { max, windowMs, key }) => {
+    const envName = name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+    const windowSeconds = parseInt(process.env[`RATE_LIMIT_${envName}_WINDOW_SECONDS`]);
+
+    return {
+        name,
+        key,
+        max: parseInt(process.env[`RATE_LIMIT_${envName}_MAX`]) || max,
+        windowMs: windowSeconds > 0 ? windowSeconds * 1000 : windowMs
+    };
+};
+
+// Per-route policies (see middleware/rateLimit.js)
+const RATE_LIMIT_POLICIES = {
+    login: definePolicy('login', { max: 20, windowMs: 15 * MINUTE, key: 'ip' }),
+    register: definePolicy('register', { max: 10, windowMs: HOUR, key: 'ip' }),
+    accountEmail: definePolicy('accountEmail', { max: 5, windowMs: 15 * MINUTE, key: 'ip' }),
+    vote: definePolicy('vote', { max: 30, windowMs: MINUTE, key: 'user' }),
+    guestVote: definePolicy('guestVote', { max: 10, windowMs: MINUTE, key: 'ip' }),
+    guestToken: definePolicy('guestToken', { max: 20, windowMs: HOUR, key: 'ip' })
+};
+
+/**
+ * Seconds until a window resets (at least 1, for Retry-After)
+ */
+const secondsUntil = (resetAt) => Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+
+/**
+ * Count a request against a policy
+ * - `key` identifies the client (see RATE_LIMIT_POLICIES)
+ * - Returns { allowed, limit, remaining, resetAt, retryAfter }
+ */
+const consumeRateLimit = async (policy, key) => {
+    const { count, resetAt } = await getRateLimitStore().increment(`${policy.name}:${key}`, policy.windowMs);
+
+    return {
+        allowed: count <= policy.max,
+        limit: policy.max,
+        remaining: Math.max(policy.max - count, 0),
+        resetAt,
+        retryAfter: secondsUntil(resetAt)
+    };
+};
+
+module.exports = {
+    RATE_LIMIT_ENABLED,
+    RATE_LIMIT_POLICIES,
+    getRateLimitStore,
+    setRateLimitStore,
+    secondsUntil,
+    consumeRateLimit
+};
@@ -0,0 +1,100 @@
+const { RATE_LIMIT_ENABLED, getRateLimitStore, secondsUntil } = require('./index');
+
+/**
+ * Progressive login lockout
+ * - Failed logins are counted per account (email) and per IP
+ * - Once a count reaches its threshold the account or IP is locked for
+ *   LOGIN_LOCKOUT_SECONDS; every further failure doubles the lockout, up
+ *   to LOGIN_LOCKOUT_MAX_SECONDS
+ * - Unknown emails are counted too, so lockouts do not reveal which
+ *   accounts exist
+ * - Store errors are logged and ignored (logins are never blocked by an
+ *   unreachable store)
+ */
+
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5; // per account
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20; // per IP
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 60;
+const LOGIN_LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600;
+
+// Failures are forgotten this long after the first one
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const accountKey = (email) => `account:${email.toLowerCase()}`;
+
+/**
+ * Lockout subjects of a login attempt
+ */
+const getSubjects = (email, ip) => [
+    { key: accountKey(email), maxFailures: LOGIN_MAX_FAILURES },
+    ...(ip ? [{ key: `ip:${ip}`, maxFailures: LOGIN_IP_MAX_FAILURES }] : [])
+];
+
+/**
+ * Run a store operation, falling back to `fallback` if the store fails
+ */
+const withStore = async (operation, fallback) => {
+    if (!RATE_LIMIT_ENABLED) {
+        return fallback;
+    }
+
+    try {
+        return await operation(getRateLimitStore());
+    } catch (error) {
+        console.error('Login lockout store error:', error.message);
+        return fallback;
+    }
+};
+
+/**
+ * Seconds until the account or IP may try to log in again (0 if not locked)
+ */
+const getLoginLockout = (email, ip) => withStore(async (store) => {
+    const locks = await Promise.all(
+        getSubjects(email, ip).map(subject => store.get(`login-lock:${subject.key}`))
+    );
+    const resetAt = Math.max(0, ...locks.filter(Boolean).map(lock => lock.resetAt));
+
+    return resetAt > Date.now() ? secondsUntil(resetAt) : 0;
+}, 0);
+
+/**
+ * Record a failed login
+ * - Returns the lockout it triggered in seconds (0 if none)
+ */
+const recordLoginFailure = (email, ip) => withStore(async (store) => {
+    let lockedFor = 0;
+
+    for (const subject of getSubjects(email, ip)) {
+        const { count } = await store.increment(`login-fail:${subject.key}`, FAILURE_WINDOW_MS);
+
+        if (count >= subject.maxFailures) {
+            const seconds = Math.min(
+                LOGIN_LOCKOUT_SECONDS * 2 ** (count - subject.maxFailures),
+                LOGIN_LOCKOUT_MAX_SECONDS
+            );
+            await store.set(`login-lock:${subject.key}`, count, seconds * 1000);
+            lockedFor = Math.max(lockedFor, seconds);
+        }
+    }
+
+    return lockedFor;
+}, 0);
+
+/**
+ * Forget an account's failed logins after a successful one
+ * - IP failures are kept, so logging into one account does not reset the
+ *   count of an IP trying passwords on others
+ */
+const clearLoginFailures = (email) => withStore(async (store) => {
+    await Promise.all([
+        store.delete(`login-fail:${accountKey(email)}`),
+        store.delete(`login-lock:${accountKey(email)}`)
+    ]);
+}, undefined);
+
+module.exports = {
+    getLoginLockout,
+    recordLoginFailure,
+    clearLoginFailures
+};
@@ -0,0 +1,54 @@
+// Expired counters are swept this often (ms)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory rate limit store (single process, default)
+ * - Counters live in a Map and are lost on restart
+ * - Use the redis store when running more than one server process
+ */
+const createMemoryStore = () => {
+    const counters = new Map(); // key => { count, resetAt }
+
+    const read = (key) => {
+        const counter = counters.get(key);
+        if (counter && counter.resetAt <= Date.now()) {
+            counters.delete(key);
+            return null;
+        }
+        return counter || null;
+    };
+
+    const sweepTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) {
+                counters.delete(key);
+            }
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+
+    return {
+        name: 'memory',
+        increment: async (key, windowMs) => {
+            const counter = read(key) || { count: 0, resetAt: Date.now() + windowMs };
+            counter.count += 1;
+            counters.set(key, counter);
+            return { ...counter };
+        },
+        get: async (key) => {
+            const counter = read(key);
+            return counter ? { ...counter } : null;
+        },
+        set: async (key, count, ttlMs) => {
+            counters.set(key, { count, resetAt: Date.now() + ttlMs });
+        },
+        delete: async (key) => {
+            counters.delete(key);
+        }
+    };
+};
+
+module.exports = {
+    createMemoryStore
+};
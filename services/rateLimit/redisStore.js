@@ -0,0 +1,59 @@
+const { getRedisClient } = require('../redisService');
+
+const KEY_PREFIX = process.env.RATE_LIMIT_PREFIX || 'pulsepoll:rl:';
+
+// Increment a counter and start its window on the first hit, atomically
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * Redis rate limit store (shared between server processes)
+ * - Uses the shared connection from services/redisService.js (REDIS_URL)
+ * - Counters are plain keys with a TTL, so any Redis-compatible server works
+ */
+const createRedisStore = () => {
+    const prefixed = (key) => `${KEY_PREFIX}${key}`;
+
+    return {
+        name: 'redis',
+        increment: async (key, windowMs) => {
+            const client = getRedisClient();
+            const [count, ttl] = await client.eval(INCREMENT_SCRIPT, {
+                keys: [prefixed(key)],
+                arguments: [String(windowMs)]
+            });
+
+            return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+        },
+        get: async (key) => {
+            const client = getRedisClient();
+            const [count, ttl] = await client.multi()
+                .get(prefixed(key))
+                .pTTL(prefixed(key))
+                .exec();
+
+            if (count === null || ttl <= 0) {
+                return null;
+            }
+
+            return { count: parseInt(count), resetAt: Date.now() + ttl };
+        },
+        set: async (key, count, ttlMs) => {
+            const client = getRedisClient();
+            await client.set(prefixed(key), String(count), { PX: ttlMs });
+        },
+        delete: async (key) => {
+            const client = getRedisClient();
+            await client.del(prefixed(key));
+        }
+    };
+};
+
+module.exports = {
+    createRedisStore
+};
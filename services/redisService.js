@@ -0,0 +1,44 @@
+const { createClient } = require('redis');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+let client; // Shared Redis connection (created on first use)
+
+/**
+ * Get the shared Redis client
+ * - Connects to REDIS_URL on first use and reconnects on its own
+ * - Commands fail right away while the connection is down instead of
+ *   queueing, so callers can fall back (e.g. rate limits fail open)
+ * - Works with any Redis-compatible server (Redis, Valkey, KeyDB, Dragonfly)
+ */
+const getRedisClient = () => {
+    if (!client) {
+        client = createClient({ url: REDIS_URL, disableOfflineQueue: true });
+        client.on('error', (error) => console.error('Redis error:', error.message));
+        client.connect().catch((error) => console.error('Redis connect error:', error.message));
+    }
+
+    return client;
+};
+
+/**
+ * Close the shared Redis client, if one was opened
+ */
+const closeRedisClient = async () => {
+    if (client) {
+        const closing = client;
+        client = null;
+        if (closing.isReady) {
+            await closing.quit();
+        } else if (closing.isOpen) {
+            // Still (re)connecting: drop the socket instead of waiting for it
+            await closing.disconnect();
+        }
+    }
+};
+
+module.exports = {
+    REDIS_URL,
+    getRedisClient,
+    closeRedisClient
+};
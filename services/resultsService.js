@@ -0,0 +1,136 @@
+const { PrismaClient } = require('@prisma/client');
+const { isPollClosed } = require('./scheduleService');
+
+const prisma = new PrismaClient();
+
+// Supported results visibility policies (mirrors the ResultsVisibility enum in models/Poll.prisma)
+const RESULTS_VISIBILITY = ['always', 'after_voting', 'after_close', 'author_only'];
+
+/**
+ * Validate a results visibility policy from a request body
+ * - Accepts both `after_voting` and `after-voting` spellings
+ * - Returns { value } or { error }
+ */
+const normalizeResultsVisibility = (value) => {
+    if (value === undefined) {
+        return { value };
+    }
+
+    const normalized = typeof value === 'string' ? value.replace(/-/g, '_') : value;
+    if (!RESULTS_VISIBILITY.includes(normalized)) {
+        return { error: `Results visibility must be one of: ${RESULTS_VISIBILITY.join(', ')}` };
+    }
+
+    return { value: normalized };
+};
+
+/**
+ * Decide whether a viewer may see a poll's results
+ * - The poll author can always see results
+ * - `viewer` is { userId, hasVoted } (userId may be undefined for anonymous viewers)
+ */
+const canViewResults = (poll, { userId, hasVoted = false } = {}) => {
+    if (userId && userId === poll.authorId) {
+        return true;
+    }
+
+    switch (poll.resultsVisibility) {
+        case 'after_voting':
+            return hasVoted;
+        case 'after_close':
+            return isPollClosed(poll);
+        case 'author_only':
+            return false;
+        default:
+            return true;
+    }
+};
+
+/**
+ * Get the IDs of the given polls the user has voted on
+ */
+const getVotedPollIds = async (userId, pollIds) => {
+    if (!userId || pollIds.length === 0) {
+        return new Set();
+    }
+
+    const votes = await prisma.vote.findMany({
+        where: { userId, pollId: { in: pollIds } },
+        select: { pollId: true },
+        distinct: ['pollId']
+    });
+
+    return new Set(votes.map(vote => vote.pollId));
+};
+
+/**
+ * Get the IDs of the given users who have voted on a poll
+ */
+const getPollVoterIds = async (pollId, userIds) => {
+    if (userIds.length === 0) {
+        return new Set();
+    }
+
+    const votes = await prisma.vote.findMany({
+        where: { pollId, userId: { in: userIds } },
+        select: { userId: true },
+        distinct: ['userId']
+    });
+
+    return new Set(votes.map(vote => vote.userId));
+};
+
+/**
+ * Check whether a viewer may see the results of a single poll
+ * - Only hits the database when the policy depends on the viewer's vote
+ */
+const resolveResultsAccess = async (poll, userId) => {
+    const needsVoteLookup = poll.resultsVisibility === 'after_voting' && userId && userId !== poll.authorId;
+    const hasVoted = needsVoteLookup
+        ? (await getVotedPollIds(userId, [poll.id])).has(poll.id)
+        : false;
+
+    return canViewResults(poll, { userId, hasVoted });
+};
+
+/**
+ * Strip vote counts from a poll (and its options)
+ */
+const hidePollResults = (poll) => {
+    const { _count, options, ...rest } = poll;
+
+    return {
+        ...rest,
+        ...(options && { options: options.map(({ _count: optionCount, ...option }) => option) }),
+        resultsHidden: true
+    };
+};
+
+/**
+ * Apply results visibility to a list of polls for one viewer
+ * - Polls the viewer may not see results for lose their vote counts
+ * - Every poll gets a `resultsHidden` flag
+ */
+const applyResultsVisibility = async (polls, userId) => {
+    const afterVotingIds = polls
+        .filter(poll => poll.resultsVisibility === 'after_voting')
+        .map(poll => poll.id);
+    const votedPollIds = await getVotedPollIds(userId, afterVotingIds);
+
+    return polls.map(poll =>
+        canViewResults(poll, { userId, hasVoted: votedPollIds.has(poll.id) })
+            ? { ...poll, resultsHidden: false }
+            : hidePollResults(poll)
+    );
+};
+
+module.exports = {
+    RESULTS_VISIBILITY,
+    normalizeResultsVisibility,
+    canViewResults,
+    getVotedPollIds,
+    getPollVoterIds,
+    resolveResultsAccess,
+    hidePollResults,
+    applyResultsVisibility
+};
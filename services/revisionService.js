@@ -0,0 +1,63 @@
+// Option fields kept in a revision snapshot
+const revisionOptionSelect = {
+    id: true,
+    text: true,
+    description: true,
+    imageUrl: true,
+    allowsFreeText: true,
+    position: true
+};
+
+/**
+ * Snapshot a poll's question and options as a new revision
+ * - Pass the transaction client (`tx`) so the snapshot is written
+ *   atomically with the edit it describes; call it after the edit
+ * - `change` says what was edited (e.g. "question", "option.add")
+ * - Bumps poll.currentVersion and returns the new revision
+ */
+const recordRevision = async (tx, pollId, { editorId = null, change }) => {
+    const poll = await tx.poll.update({
+        where: { id: pollId },
+        data: { currentVersion: { increment: 1 } },
+        select: {
+            question: true,
+            currentVersion: true,
+            options: { select: revisionOptionSelect, orderBy: { position: 'asc' } }
+        }
+    });
+
+    return tx.pollRevision.create({
+        data: {
+            pollId,
+            version: poll.currentVersion,
+            question: poll.question,
+            options: poll.options,
+            change,
+            editorId
+        }
+    });
+};
+
+/**
+ * Record the first revision of a newly created poll (version 1)
+ * - `poll` must include its `options`
+ */
+const recordInitialRevision = (tx, poll, editorId) => {
+    return tx.pollRevision.create({
+        data: {
+            pollId: poll.id,
+            version: 1,
+            question: poll.question,
+            options: poll.options.map(({ id, text, description, imageUrl, allowsFreeText, position }) => ({
+                id, text, description, imageUrl, allowsFreeText, position
+            })),
+            change: 'created',
+            editorId
+        }
+    });
+};
+
+module.exports = {
+    recordRevision,
+    recordInitialRevision
+};
@@ -0,0 +1,81 @@
+/**
+ * Parse an optional schedule date from a request body
+ * - `undefined` means "not provided", `null` clears the date
+ * - Returns { value } or { error } for unparseable input
+ */
+const parseScheduleDate = (value, field) => {
+    if (value === undefined || value === null) {
+        return { value };
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return { error: `${field} must be a valid date` };
+    }
+
+    return { value: date };
+};
+
+/**
+ * Validate an open/close window
+ * - Returns an error message, or null if the window is valid
+ */
+const validateSchedule = (opensAt, closesAt) => {
+    if (opensAt && closesAt && closesAt <= opensAt) {
+        return 'closesAt must be after opensAt';
+    }
+
+    return null;
+};
+
+/**
+ * Work out which status a poll should be in at a given time
+ */
+const getPollStatus = ({ opensAt, closesAt }, now = new Date()) => {
+    if (closesAt && closesAt <= now) {
+        return 'closed';
+    }
+
+    if (opensAt && opensAt > now) {
+        return 'scheduled';
+    }
+
+    return 'open';
+};
+
+/**
+ * Check whether a poll's voting window has ended
+ * - Trusts the stored status, but also catches polls the scheduler
+ *   has not closed yet
+ */
+const isPollClosed = (poll, now = new Date()) => {
+    return poll.status === 'closed' || getPollStatus(poll, now) === 'closed';
+};
+
+/**
+ * Check whether a poll currently accepts votes
+ * - Uses the schedule itself so votes are rejected on time,
+ *   even if the scheduler has not run yet
+ * - Returns { message, code } describing why voting is closed, or null
+ */
+const getVotingWindowError = (poll, now = new Date()) => {
+    const status = isPollClosed(poll, now) ? 'closed' : getPollStatus(poll, now);
+
+    if (status === 'scheduled') {
+        return { message: 'Voting has not opened yet for this poll', code: 'POLL_NOT_OPEN' };
+    }
+
+    if (status === 'closed') {
+        return { message: 'Voting is closed for this poll', code: 'POLL_CLOSED' };
+    }
+
+    return null;
+};
+
+module.exports = {
+    parseScheduleDate,
+    validateSchedule,
+    getPollStatus,
+    isPollClosed,
+    getVotingWindowError
+};
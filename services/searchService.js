@@ -0,0 +1,84 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { listedPollSql } = require('./pollVisibilityService');
+
+const prisma = new PrismaClient();
+
+// PostgreSQL text search configuration (stemming + stop words)
+const SEARCH_LANGUAGE = process.env.SEARCH_LANGUAGE || 'english';
+
+// Most matches ranked per search; lower-ranked matches are dropped
+const SEARCH_MAX_RESULTS = parseInt(process.env.SEARCH_MAX_RESULTS) || 1000;
+
+// The configuration is written into the SQL (not bound) so queries match the indexes
+if (!/^[a-z_]+$/.test(SEARCH_LANGUAGE)) {
+    throw new Error(`Invalid SEARCH_LANGUAGE: ${SEARCH_LANGUAGE}`);
+}
+
+const config = Prisma.raw(`'${SEARCH_LANGUAGE}'::regconfig`);
+
+// Indexed search vectors; searchPolls must match with these exact expressions
+const questionVector = Prisma.sql`to_tsvector(${config}, question)`;
+const optionVector = Prisma.sql`to_tsvector(${config}, text)`;
+
+/**
+ * Create the GIN indexes searchPolls matches against, if they are missing
+ * - Expression indexes cannot be declared in the Prisma schema, so they are
+ *   created at startup (which also restores them if `db:push` dropped them)
+ * - Built concurrently, so writes are not blocked while a large table is indexed
+ */
+const ensureSearchIndexes = async () => {
+    try {
+        await prisma.$executeRaw`
+            CREATE INDEX CONCURRENTLY IF NOT EXISTS ${Prisma.raw(`polls_question_search_${SEARCH_LANGUAGE}_idx`)}
+            ON polls USING GIN (${questionVector})
+        `;
+        await prisma.$executeRaw`
+            CREATE INDEX CONCURRENTLY IF NOT EXISTS ${Prisma.raw(`poll_options_text_search_${SEARCH_LANGUAGE}_idx`)}
+            ON poll_options USING GIN (${optionVector})
+        `;
+    } catch (error) {
+        console.error('Create search indexes error:', error);
+    }
+};
+
+/**
+ * Full-text search over poll questions and option texts
+ * - `search` uses web search syntax: words, "quoted phrases", `or`, `-excluded`
+ * - Only polls `user` may find in listings are matched (see listedPollSql),
+ *   so SEARCH_MAX_RESULTS never fills up with polls the viewer cannot see
+ * - Question matches rank higher than option matches
+ * - Returns a Map of poll id => rank, best match first
+ */
+const searchPolls = async (client, search, user) => {
+    const rows = await client.$queryRaw`
+        WITH query AS (
+            SELECT websearch_to_tsquery(${config}, ${search}) AS q
+        ),
+        matches AS (
+            SELECT id FROM polls, query WHERE ${questionVector} @@ query.q
+            UNION
+            SELECT "pollId" FROM poll_options, query WHERE ${optionVector} @@ query.q
+        )
+        SELECT id, ts_rank(document, query.q) AS rank
+        FROM (
+            SELECT p.id,
+                setweight(to_tsvector(${config}, p.question), 'A')
+                || setweight(to_tsvector(${config}, coalesce(string_agg(o.text, ' '), '')), 'B') AS document
+            FROM matches m
+            JOIN polls p ON p.id = m.id
+            LEFT JOIN poll_options o ON o."pollId" = p.id
+            WHERE ${listedPollSql(user)}
+            GROUP BY p.id
+        ) documents, query
+        ORDER BY rank DESC, id
+        LIMIT ${SEARCH_MAX_RESULTS}
+    `;
+
+    return new Map(rows.map(row => [row.id, row.rank]));
+};
+
+module.exports = {
+    SEARCH_MAX_RESULTS,
+    ensureSearchIndexes,
+    searchPolls
+};
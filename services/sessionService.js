@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { generateTokens, verifyToken, decodeToken } = require('./jwtService');
+
+const prisma = new PrismaClient();
+
+// Fields returned for the user of a refreshed session
+const sessionUserSelect = {
+    id: true,
+    name: true,
+    email: true,
+    role: true,
+    suspendedAt: true,
+    createdAt: true,
+    updatedAt: true
+};
+
+// Expiry of a refresh token as a Date
+const getTokenExpiry = (token) => new Date(decodeToken(token).exp * 1000);
+
+/**
+ * Start a new session for a user (on login)
+ * - Records device info (user agent + IP)
+ * - Returns { session, tokens }
+ */
+const createSession = async (user, req) => {
+    const sessionId = crypto.randomUUID();
+    const refreshTokenId = crypto.randomUUID();
+    const tokens = generateTokens(user, { sessionId, refreshTokenId });
+
+    const session = await prisma.session.create({
+        data: {
+            id: sessionId,
+            userId: user.id,
+            refreshTokenId,
+            userAgent: req.headers['user-agent'] || null,
+            ipAddress: req.ip || null,
+            expiresAt: getTokenExpiry(tokens.refreshToken)
+        }
+    });
+
+    return { session, tokens };
+};
+
+/**
+ * Revoke every active session of a user
+ * - Pass `exceptSessionId` to keep the current session alive
+ * - Returns the number of revoked sessions
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+    const { count } = await prisma.session.updateMany({
+        where: {
+            userId,
+            revokedAt: null,
+            ...(exceptSessionId && { id: { not: exceptSessionId } })
+        },
+        data: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    return count;
+};
+
+/**
+ * Revoke a single session
+ * - Scoped to a user when `userId` is given
+ * - Returns true if an active session was revoked
+ */
+const revokeSession = async (sessionId, reason, userId = null) => {
+    const { count } = await prisma.session.updateMany({
+        where: { id: sessionId, revokedAt: null, ...(userId && { userId }) },
+        data: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    return count > 0;
+};
+
+/**
+ * Rotate a refresh token
+ * - Each refresh token can be used once; using it issues a new pair and
+ *   invalidates the old one
+ * - Presenting an already-used refresh token is treated as theft: the
+ *   whole session is revoked
+ * - Returns { user, tokens } or { error: { message, code } }
+ */
+const rotateSession = async (refreshToken) => {
+    let decoded;
+    try {
+        decoded = verifyToken(refreshToken, 'refresh');
+    } catch (error) {
+        return { error: { message: 'Invalid or expired refresh token', code: 'INVALID_REFRESH_TOKEN' } };
+    }
+
+    const session = await prisma.session.findUnique({
+        where: { id: decoded.sid },
+        include: { user: { select: sessionUserSelect } }
+    });
+
+    if (!session || session.userId !== decoded.userId) {
+        return { error: { message: 'Invalid or expired refresh token', code: 'INVALID_REFRESH_TOKEN' } };
+    }
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+        return { error: { message: 'Session has been revoked or has expired', code: 'SESSION_REVOKED' } };
+    }
+
+    if (session.refreshTokenId !== decoded.jti) {
+        await revokeSession(session.id, 'reuse_detected');
+        return { error: { message: 'Refresh token reuse detected, session revoked', code: 'REFRESH_TOKEN_REUSED' } };
+    }
+
+    const refreshTokenId = crypto.randomUUID();
+    const tokens = generateTokens(session.user, { sessionId: session.id, refreshTokenId });
+
+    // Only swap the token ID if nobody rotated this token concurrently
+    const { count } = await prisma.session.updateMany({
+        where: { id: session.id, refreshTokenId: decoded.jti, revokedAt: null },
+        data: {
+            refreshTokenId,
+            lastUsedAt: new Date(),
+            expiresAt: getTokenExpiry(tokens.refreshToken)
+        }
+    });
+
+    if (count === 0) {
+        await revokeSession(session.id, 'reuse_detected');
+        return { error: { message: 'Refresh token reuse detected, session revoked', code: 'REFRESH_TOKEN_REUSED' } };
+    }
+
+    return { user: session.user, tokens };
+};
+
+/**
+ * Check that the session an access token belongs to is still active
+ */
+const isSessionActive = async (sessionId, userId) => {
+    if (!sessionId) {
+        return false;
+    }
+
+    const session = await prisma.session.findUnique({
+        where: { id: sessionId },
+        select: { userId: true, revokedAt: true, expiresAt: true }
+    });
+
+    return Boolean(session)
+        && session.userId === userId
+        && !session.revokedAt
+        && session.expiresAt > new Date();
+};
+
+/**
+ * List a user's active sessions (newest activity first)
+ */
+const listActiveSessions = (userId) => {
+    return prisma.session.findMany({
+        where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+        select: {
+            id: true,
+            userAgent: true,
+            ipAddress: true,
+            createdAt: true,
+            lastUsedAt: true,
+            expiresAt: true
+        },
+        orderBy: { lastUsedAt: 'desc' }
+    });
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeUserSessions,
+    isSessionActive,
+    listActiveSessions
+};
@@ -0,0 +1,32 @@
+const { createMemoryAdapter } = require('./memoryAdapter');
+const { createRedisAdapter } = require('./redisAdapter');
+const { createPostgresAdapter } = require('./postgresAdapter');
+
+// Available adapters, selected with SOCKET_ADAPTER
+const adapterFactories = {
+    memory: createMemoryAdapter,
+    redis: createRedisAdapter,
+    postgres: createPostgresAdapter
+};
+
+/**
+ * Create the configured Socket.IO adapter
+ * - SOCKET_ADAPTER is "memory" (default, single process), "redis" or "postgres"
+ * - With redis or postgres, broadcasts and room queries reach the sockets
+ *   of every server process sharing the same Redis / database
+ * - Resolves to { name, adapter, close }; `adapter` is null for the built-in one
+ */
+const createSocketAdapter = () => {
+    const name = process.env.SOCKET_ADAPTER || 'memory';
+    const factory = adapterFactories[name];
+
+    if (!factory) {
+        throw new Error(`Unknown Socket.IO adapter: ${name}`);
+    }
+
+    return factory();
+};
+
+module.exports = {
+    createSocketAdapter
+};
@@ -0,0 +1,15 @@
+/**
+ * In-process Socket.IO adapter (default)
+ * - Rooms only span the current process; fine for a single server
+ */
+const createMemoryAdapter = async () => {
+    return {
+        name: 'memory',
+        adapter: null, // Socket.IO's built-in adapter
+        close: async () => {}
+    };
+};
+
+module.exports = {
+    createMemoryAdapter
+};
@@ -0,0 +1,23 @@
+const { createAdapter } = require('@socket.io/postgres-adapter');
+const { pool } = require('../../db');
+
+/**
+ * PostgreSQL Socket.IO adapter (LISTEN/NOTIFY)
+ * - Uses the database pool (DATABASE_URL), so no extra service is needed
+ * - Packets over the NOTIFY size limit go through the socket_io_attachments
+ *   table (models/SocketIoAttachment.prisma)
+ * - Channels are prefixed with SOCKET_ADAPTER_KEY
+ */
+const createPostgresAdapter = async () => {
+    return {
+        name: 'postgres',
+        adapter: createAdapter(pool, {
+            channelPrefix: process.env.SOCKET_ADAPTER_KEY || 'pulsepoll:socket.io'
+        }),
+        close: async () => {} // The pool is closed with the database (db/index.js)
+    };
+};
+
+module.exports = {
+    createPostgresAdapter
+};
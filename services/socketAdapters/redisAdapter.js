@@ -0,0 +1,33 @@
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { REDIS_URL } = require('../redisService');
+
+/**
+ * Redis Socket.IO adapter (Redis pub/sub)
+ * - Opens its own publisher + subscriber connections to REDIS_URL (a
+ *   subscribed connection cannot run other commands)
+ * - Channels are prefixed with SOCKET_ADAPTER_KEY
+ */
+const createRedisAdapter = async () => {
+    const pubClient = createClient({ url: REDIS_URL });
+    const subClient = pubClient.duplicate();
+
+    pubClient.on('error', (error) => console.error('Socket.IO Redis publisher error:', error.message));
+    subClient.on('error', (error) => console.error('Socket.IO Redis subscriber error:', error.message));
+
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    return {
+        name: 'redis',
+        adapter: createAdapter(pubClient, subClient, {
+            key: process.env.SOCKET_ADAPTER_KEY || 'pulsepoll:socket.io'
+        }),
+        close: async () => {
+            await Promise.all([pubClient.quit(), subClient.quit()]);
+        }
+    };
+};
+
+module.exports = {
+    createRedisAdapter
+};
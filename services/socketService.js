@@ -1,18 +1,79 @@
 const { Server } = require('socket.io');
 const { PrismaClient } = require('@prisma/client');
 const { verifyToken } = require('./jwtService');
+const { isSessionActive } = require('./sessionService');
+const { canViewResults, getPollVoterIds, resolveResultsAccess } = require('./resultsService');
+const { findVisiblePoll } = require('./pollVisibilityService');
+const { createSocketAdapter } = require('./socketAdapters');
+const { getRequestIp } = require('../utils/trustProxy');
 
 const prisma = new PrismaClient();
 
+// Spectators: sockets without a token that may only watch polls anyone can open
+const SPECTATORS_ENABLED = process.env.SOCKET_SPECTATORS_ENABLED !== 'false';
+const SPECTATOR_MAX_CONNECTIONS_PER_IP = parseInt(process.env.SPECTATOR_MAX_CONNECTIONS_PER_IP) || 5;
+const SPECTATOR_MAX_ROOMS = parseInt(process.env.SPECTATOR_MAX_ROOMS) || 10;
+
 let io; // Global Socket.IO instance
+let socketAdapter; // Adapter sharing rooms between server processes (see socketAdapters)
+
+// IP => open spectator sockets on this process. The cap is deliberately per
+// node: a shared counter would leak slots whenever a node dies without
+// releasing them, so multi-node deployments scale the limit down instead
+const spectatorConnections = new Map();
+
+/**
+ * Client IP of a socket
+ * - Resolved from the handshake request with the same TRUST_PROXY setting as
+ *   the Express app, so spectator limits match HTTP rate limits
+ */
+const getSocketIp = (socket) => getRequestIp(socket.request);
+
+/**
+ * Accept a spectator socket if its IP is under the connection limit
+ * - Counts only this process's sockets (see spectatorConnections)
+ * - The count is released when the socket disconnects
+ */
+const admitSpectator = (socket) => {
+    const ip = getSocketIp(socket);
+    const open = spectatorConnections.get(ip) || 0;
+
+    if (open >= SPECTATOR_MAX_CONNECTIONS_PER_IP) {
+        return false;
+    }
+
+    spectatorConnections.set(ip, open + 1);
+    socket.once('disconnect', () => {
+        const remaining = (spectatorConnections.get(ip) || 1) - 1;
+        if (remaining > 0) {
+            spectatorConnections.set(ip, remaining);
+        } else {
+            spectatorConnections.delete(ip);
+        }
+    });
+
+    return true;
+};
+
+/**
+ * Name of a socket's client for logs
+ */
+const describeSocket = (socket) => {
+    return socket.user ? `User ${socket.user.name}` : `Spectator ${getSocketIp(socket)}`;
+};
 
 /**
  * Initialize Socket.IO server
  * - Attaches Socket.IO to HTTP server
- * - Secures with CORS + JWT authentication
- * - Handles join/leave poll rooms
+ * - Secures with CORS + JWT authentication; sockets without a token are
+ *   read-only spectators
+ * - Handles join/leave poll rooms (with results snapshots and presence counts)
+ * - Connects the adapter chosen with SOCKET_ADAPTER so rooms span every
+ *   server process
  */
-const initializeSocket = (server) => {
+const initializeSocket = async (server) => {
+    socketAdapter = await createSocketAdapter();
+
     io = new Server(server, {
         cors: {
             origin: process.env.CLIENT_URL, // frontend URL
@@ -21,10 +82,20 @@ const initializeSocket = (server) => {
         }
     });
 
+    if (socketAdapter.adapter) {
+        io.adapter(socketAdapter.adapter);
+    }
+    console.log(`🔌 Socket.IO adapter: ${socketAdapter.name}`);
+
     /**
      * Middleware: Authenticate socket connection
      * - Expects JWT token via `auth.token` or `Authorization` header
      * - Validates user against database
+     * - Without a token the socket connects as a spectator (socket.user is
+     *   null), limited to SPECTATOR_MAX_CONNECTIONS_PER_IP per IP (per server
+     *   process); an invalid token is still rejected
+     * - socket.data carries the user id and role to the other server
+     *   processes (fetchSockets only returns `data` for remote sockets)
      */
     io.use(async (socket, next) => {
         try {
@@ -34,23 +105,46 @@ const initializeSocket = (server) => {
                 socket.handshake.headers.authorization?.replace('Bearer ', '');
 
             if (!token) {
-                return next(new Error('Authentication error: No token provided'));
+                if (!SPECTATORS_ENABLED) {
+                    return next(new Error('Authentication error: No token provided'));
+                }
+
+                if (!admitSpectator(socket)) {
+                    return next(new Error('Too many spectator connections from this address'));
+                }
+
+                socket.userId = null;
+                socket.user = null;
+                socket.isSpectator = true;
+                socket.data.userId = null;
+                socket.data.role = null;
+                return next();
             }
 
             // Verify token and fetch user
             const decoded = verifyToken(token);
+
+            if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+                return next(new Error('Authentication error: Session revoked'));
+            }
             const user = await prisma.user.findUnique({
                 where: { id: decoded.userId },
-                select: { id: true, name: true, email: true }
+                select: { id: true, name: true, email: true, role: true, suspendedAt: true }
             });
 
             if (!user) {
                 return next(new Error('Authentication error: User not found'));
             }
 
+            if (user.suspendedAt) {
+                return next(new Error('Authentication error: Account suspended'));
+            }
+
             // Attach user info to socket for later use
             socket.userId = user.id;
             socket.user = user;
+            socket.data.userId = user.id;
+            socket.data.role = user.role;
             next();
         } catch (error) {
             next(new Error('Authentication error: Invalid token'));
@@ -61,33 +155,194 @@ const initializeSocket = (server) => {
      * Connection event handlers
      */
     io.on('connection', (socket) => {
-        console.log(`User ${socket.user.name} connected with socket ID: ${socket.id}`);
+        console.log(`${describeSocket(socket)} connected with socket ID: ${socket.id}`);
 
         // Join a poll room (for receiving live updates)
-        socket.on('join-poll', (pollId) => {
-            socket.join(`poll-${pollId}`);
-            console.log(`User ${socket.user.name} joined poll room: poll-${pollId}`);
+        // - Takes a poll id, or { pollId, shareToken } for link-only polls
+        // - Acknowledges with { success: true, pollId, snapshot } (snapshot has
+        //   the shape of `vote-update`) or { success: false, pollId, message }
+        // - Polls the user cannot open (see getPollById) also emit `join-poll-error`
+        // - Spectators follow the rules of anonymous viewers and may watch at
+        //   most SPECTATOR_MAX_ROOMS polls at once
+        // - The socket only joins the room once access is checked and the
+        //   snapshot is loaded; it is removed again if it loses access (see
+        //   revalidatePollRoom)
+        socket.on('join-poll', async (payload, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            const { pollId, shareToken } = typeof payload === 'object' && payload !== null
+                ? payload
+                : { pollId: payload };
+
+            const reject = (message) => {
+                socket.emit('join-poll-error', { pollId, message });
+                respond({ success: false, pollId, message });
+            };
+
+            try {
+                const token = typeof shareToken === 'string' ? shareToken : undefined;
+                const poll = typeof pollId === 'string'
+                    ? await findVisiblePoll(prisma, pollId, socket.user, { select: { id: true } }, token)
+                    : null;
+
+                if (!poll) {
+                    return reject('Poll not found');
+                }
+
+                const watching = [...socket.rooms].filter(room => room.startsWith('poll-')).length;
+                if (socket.isSpectator && watching >= SPECTATOR_MAX_ROOMS && !socket.rooms.has(`poll-${pollId}`)) {
+                    return reject(`Spectators can watch at most ${SPECTATOR_MAX_ROOMS} polls at once`);
+                }
+
+                const snapshot = await getVoteSnapshot(pollId, socket.userId);
+                if (!snapshot) {
+                    return reject('Poll not found');
+                }
+
+                // Remember the share token so access can be checked again later
+                socket.data.shareTokens = { ...socket.data.shareTokens, [pollId]: token };
+                socket.join(`poll-${pollId}`);
+
+                respond({ success: true, pollId, snapshot });
+                emitPresence(pollId);
+                console.log(`${describeSocket(socket)} joined poll room: poll-${pollId}`);
+            } catch (error) {
+                console.error('Join poll error:', error);
+                reject('Could not join poll');
+            }
         });
 
         // Leave a poll room
         socket.on('leave-poll', (pollId) => {
+            if (typeof pollId !== 'string' || !socket.rooms.has(`poll-${pollId}`)) {
+                return;
+            }
+
             socket.leave(`poll-${pollId}`);
-            console.log(`User ${socket.user.name} left poll room: poll-${pollId}`);
+            delete socket.data.shareTokens?.[pollId];
+            emitPresence(pollId);
+            console.log(`${describeSocket(socket)} left poll room: poll-${pollId}`);
+        });
+
+        // Update the presence count of the rooms the socket was in
+        socket.on('disconnecting', () => {
+            const pollIds = [...socket.rooms]
+                .filter(room => room.startsWith('poll-'))
+                .map(room => room.slice('poll-'.length));
+
+            socket.once('disconnect', () => pollIds.forEach(emitPresence));
         });
 
         // Handle disconnection
         socket.on('disconnect', () => {
-            console.log(`User ${socket.user.name} disconnected`);
+            console.log(`${describeSocket(socket)} disconnected`);
         });
     });
 
     return io;
 };
 
+/**
+ * Load a poll's current results as `vote-update` payloads
+ * - Ranked polls only count first preferences (one per ballot)
+ * - Returns { poll, voteUpdate, hiddenUpdate }, or null if the poll is gone;
+ *   hiddenUpdate is sent to viewers who may not see the counts
+ */
+const buildVoteUpdate = async (pollId) => {
+    const poll = await prisma.poll.findUnique({
+        where: { id: pollId },
+        include: {
+            options: {
+                include: {
+                    _count: {
+                        select: {
+                            votes: { where: { OR: [{ rank: null }, { rank: 1 }] } }
+                        }
+                    }
+                },
+                orderBy: { position: 'asc' }
+            },
+            _count: { select: { votes: true } }
+        }
+    });
+
+    if (!poll) {
+        return null;
+    }
+
+    // Calculate total votes + percentages (one first preference per ranked ballot)
+    const totalVotes = poll.votingMode === 'ranked'
+        ? poll.options.reduce((sum, option) => sum + option._count.votes, 0)
+        : poll._count.votes;
+    const optionsWithCounts = poll.options.map(option => ({
+        id: option.id,
+        text: option.text,
+        voteCount: option._count.votes,
+        percentage:
+            totalVotes > 0
+                ? Math.round((option._count.votes / totalVotes) * 100)
+                : 0
+    }));
+
+    const timestamp = new Date().toISOString();
+
+    return {
+        poll,
+        voteUpdate: {
+            pollId: poll.id,
+            question: poll.question,
+            votingMode: poll.votingMode,
+            totalVotes,
+            options: optionsWithCounts,
+            resultsHidden: false,
+            timestamp
+        },
+        hiddenUpdate: {
+            pollId: poll.id,
+            question: poll.question,
+            votingMode: poll.votingMode,
+            resultsHidden: true,
+            timestamp
+        }
+    };
+};
+
+/**
+ * Current results of a poll for one viewer (same shape as `vote-update`)
+ * - Counts are left out if the viewer may not see them; null if the poll is gone
+ */
+const getVoteSnapshot = async (pollId, userId) => {
+    const update = await buildVoteUpdate(pollId);
+    if (!update) {
+        return null;
+    }
+
+    const canView = await resolveResultsAccess(update.poll, userId);
+    return canView ? update.voteUpdate : update.hiddenUpdate;
+};
+
+/**
+ * Tell a poll room how many clients are watching it (on every server process)
+ */
+const emitPresence = async (pollId) => {
+    try {
+        const viewers = await getPollRoomUsers(pollId);
+
+        io.to(`poll-${pollId}`).emit('presence', {
+            pollId,
+            viewers,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error emitting presence:', error);
+    }
+};
+
 /**
  * Broadcast updated vote counts for a poll
  * - Fetches latest poll + option vote counts from DB
  * - Emits results to all clients in the poll room
+ * - When the poll's results visibility is restricted, each socket only
+ *   receives counts it may see; others get a payload without counts
  */
 const broadcastVoteUpdate = async (pollId) => {
     if (!io) {
@@ -96,51 +351,36 @@ const broadcastVoteUpdate = async (pollId) => {
     }
 
     try {
-        // Get poll with vote counts
-        const poll = await prisma.poll.findUnique({
-            where: { id: pollId },
-            include: {
-                options: {
-                    include: {
-                        _count: { select: { votes: true } }
-                    }
-                },
-                _count: { select: { votes: true } }
-            }
-        });
+        const update = await buildVoteUpdate(pollId);
 
-        if (!poll) {
+        if (!update) {
             console.error(`Poll ${pollId} not found for broadcast`);
             return;
         }
 
-        // Calculate total votes + percentages
-        const totalVotes = poll._count.votes;
-        const optionsWithCounts = poll.options.map(option => ({
-            id: option.id,
-            text: option.text,
-            voteCount: option._count.votes,
-            percentage:
-                totalVotes > 0
-                    ? Math.round((option._count.votes / totalVotes) * 100)
-                    : 0
-        }));
-
-        // Build update payload
-        const voteUpdate = {
-            pollId: poll.id,
-            question: poll.question,
-            totalVotes,
-            options: optionsWithCounts,
-            timestamp: new Date().toISOString()
-        };
+        const { poll, voteUpdate, hiddenUpdate } = update;
+        const room = `poll-${pollId}`;
+
+        if (poll.resultsVisibility === 'always') {
+            // Send update to all users in poll room
+            io.to(room).emit('vote-update', voteUpdate);
+        } else {
+            const sockets = await io.in(room).fetchSockets();
+            const voterIds = await getPollVoterIds(
+                pollId,
+                [...new Set(sockets.map(roomSocket => roomSocket.data.userId).filter(Boolean))]
+            );
+
+            for (const roomSocket of sockets) {
+                const canView = canViewResults(poll, {
+                    userId: roomSocket.data.userId,
+                    hasVoted: voterIds.has(roomSocket.data.userId)
+                });
 
-        // Send update to all users in poll room
-        io.to(`poll-${pollId}`).emit('vote-update', voteUpdate);
-        console.log(
-            `Broadcasted vote update for poll ${pollId} to ${io.sockets.adapter.rooms.get(`poll-${pollId}`)?.size || 0
-            } clients`
-        );
+                roomSocket.emit('vote-update', canView ? voteUpdate : hiddenUpdate);
+            }
+        }
+        console.log(`Broadcasted vote update for poll ${pollId}`);
     } catch (error) {
         console.error('Error broadcasting vote update:', error);
     }
@@ -171,26 +411,94 @@ const broadcastPollUpdate = async (pollId, updateType, data) => {
 };
 
 /**
- * Get total number of connected users (across all rooms)
+ * Check again that every socket in a poll room may still open the poll
+ * - Call after a change that can take access away (unpublishing, a new access
+ *   mode, a removed invite, a rotated share token)
+ * - Sockets (on every server process) that fail the check leave the room and
+ *   receive a `poll-update` with updateType "access-revoked"
  */
-const getConnectedUsers = () => {
+const revalidatePollRoom = async (pollId) => {
+    if (!io) {
+        console.error('Socket.IO not initialized');
+        return;
+    }
+
+    try {
+        const room = `poll-${pollId}`;
+        const sockets = await io.in(room).fetchSockets();
+        const checks = new Map(); // viewer + share token => may open the poll
+
+        let removed = 0;
+        for (const roomSocket of sockets) {
+            const { userId, role, shareTokens } = roomSocket.data;
+            const shareToken = shareTokens?.[pollId];
+            const key = `${userId}:${shareToken}`;
+
+            if (!checks.has(key)) {
+                const viewer = userId ? { id: userId, role } : null;
+                const poll = await findVisiblePoll(prisma, pollId, viewer, { select: { id: true } }, shareToken);
+                checks.set(key, Boolean(poll));
+            }
+
+            if (!checks.get(key)) {
+                roomSocket.emit('poll-update', {
+                    pollId,
+                    updateType: 'access-revoked',
+                    timestamp: new Date().toISOString()
+                });
+                roomSocket.leave(room);
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            emitPresence(pollId);
+            console.log(`Removed ${removed} socket(s) without access from poll room: ${room}`);
+        }
+    } catch (error) {
+        console.error('Error revalidating poll room:', error);
+    }
+};
+
+/**
+ * Get total number of connected users (across all rooms and server processes)
+ */
+const getConnectedUsers = async () => {
     if (!io) return 0;
-    return io.sockets.sockets.size;
+    const sockets = await io.fetchSockets();
+    return sockets.length;
 };
 
 /**
- * Get number of users connected to a specific poll room
+ * Get number of users connected to a specific poll room (on every server process)
  */
-const getPollRoomUsers = (pollId) => {
+const getPollRoomUsers = async (pollId) => {
     if (!io) return 0;
-    const room = io.sockets.adapter.rooms.get(`poll-${pollId}`);
-    return room ? room.size : 0;
+    const sockets = await io.in(`poll-${pollId}`).fetchSockets();
+    return sockets.length;
+};
+
+/**
+ * Close the Socket.IO server and its adapter connections
+ */
+const closeSocket = async () => {
+    if (io) {
+        await io.close();
+        io = null;
+    }
+
+    if (socketAdapter) {
+        await socketAdapter.close();
+        socketAdapter = null;
+    }
 };
 
 module.exports = {
     initializeSocket,
     broadcastVoteUpdate,
     broadcastPollUpdate,
+    revalidatePollRoom,
     getConnectedUsers,
-    getPollRoomUsers
+    getPollRoomUsers,
+    closeSocket
 };
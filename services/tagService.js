@@ -0,0 +1,100 @@
+// Most tags a poll can have
+const MAX_POLL_TAGS = 10;
+
+// Tags returned in the facet counts of a poll listing
+const TAG_FACET_LIMIT = 50;
+
+// Include for a poll's tag names (see flattenTags)
+const tagsInclude = {
+    tags: {
+        select: { tag: { select: { name: true } } },
+        orderBy: { tag: { name: 'asc' } }
+    }
+};
+
+/**
+ * Normalize tag names: trimmed, lowercased, inner whitespace collapsed, no duplicates
+ */
+const normalizeTags = (tags = []) => {
+    return [...new Set(tags.map(tag => tag.trim().toLowerCase().replace(/\s+/g, ' ')))];
+};
+
+/**
+ * Replace `poll.tags` (loaded with tagsInclude) with a plain array of names
+ */
+const flattenTags = (poll) => {
+    if (!Array.isArray(poll.tags)) {
+        return poll;
+    }
+
+    return { ...poll, tags: poll.tags.map(({ tag }) => tag.name) };
+};
+
+/**
+ * Nested create for a new poll's tags; unknown tags are created on the fly
+ */
+const createTagLinks = (tags) => ({
+    create: tags.map(name => ({
+        tag: { connectOrCreate: { where: { name }, create: { name } } }
+    }))
+});
+
+/**
+ * Replace a poll's tags
+ * - Pass the transaction client (`tx`) so the swap is atomic
+ */
+const setPollTags = async (tx, pollId, tags) => {
+    await tx.pollTag.deleteMany({ where: { pollId } });
+
+    if (tags.length > 0) {
+        await tx.poll.update({
+            where: { id: pollId },
+            data: { tags: createTagLinks(tags) }
+        });
+    }
+};
+
+/**
+ * Poll filter for a list of tag names
+ * - `match: 'all'` keeps polls with every tag, `match: 'any'` with at least one
+ */
+const tagFilter = (tags, match = 'all') => {
+    if (match === 'any') {
+        return { tags: { some: { tag: { name: { in: tags } } } } };
+    }
+
+    return { AND: tags.map(name => ({ tags: { some: { tag: { name } } } })) };
+};
+
+/**
+ * Count polls per tag among the polls matching `where`
+ * - Returns [{ tag, count }], most used first (at most TAG_FACET_LIMIT)
+ */
+const getTagFacets = async (client, where) => {
+    const groups = await client.pollTag.groupBy({
+        by: ['tagId'],
+        where: { poll: where },
+        _count: { _all: true },
+        orderBy: [{ _count: { tagId: 'desc' } }, { tagId: 'asc' }],
+        take: TAG_FACET_LIMIT
+    });
+
+    const tags = await client.tag.findMany({
+        where: { id: { in: groups.map(group => group.tagId) } },
+        select: { id: true, name: true }
+    });
+    const names = new Map(tags.map(tag => [tag.id, tag.name]));
+
+    return groups.map(group => ({ tag: names.get(group.tagId), count: group._count._all }));
+};
+
+module.exports = {
+    MAX_POLL_TAGS,
+    tagsInclude,
+    normalizeTags,
+    flattenTags,
+    createTagLinks,
+    setPollTags,
+    tagFilter,
+    getTagFacets
+};
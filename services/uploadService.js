@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Served by express.static('public') under /uploads
+const UPLOAD_DIR = path.join(__dirname, '..', 'public', 'uploads');
+const UPLOAD_URL_PREFIX = '/uploads/';
+
+const OPTION_IMAGE_MAX_BYTES = parseInt(process.env.OPTION_IMAGE_MAX_BYTES) || 2 * 1024 * 1024; // default: 2 MB
+
+// Accepted image types, recognised by their leading bytes
+const IMAGE_SIGNATURES = [
+    { extension: 'png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { extension: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+    { extension: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { extension: 'webp', bytes: [0x52, 0x49, 0x46, 0x46], offset: 8, tail: [0x57, 0x45, 0x42, 0x50] }
+];
+
+const IMAGE_CONTENT_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+/**
+ * Detect the image type of an upload from its content
+ * - The Content-Type header is not trusted
+ * - Returns the file extension, or null for anything else
+ */
+const detectImageType = (buffer) => {
+    const matches = (bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+
+    const signature = IMAGE_SIGNATURES.find(({ bytes, offset, tail }) =>
+        matches(bytes) && (!tail || matches(tail, offset))
+    );
+
+    return signature ? signature.extension : null;
+};
+
+/**
+ * Store an uploaded option image
+ * - `ownerId` is the author of the poll it is uploaded for (see findUnownedUploads)
+ * - Returns { url } of the stored file, or { error }
+ */
+const saveOptionImage = async (buffer, ownerId) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        return { error: 'An image file is required' };
+    }
+
+    const extension = detectImageType(buffer);
+    if (!extension) {
+        return { error: 'Only PNG, JPEG, GIF and WebP images are allowed' };
+    }
+
+    const fileName = `${crypto.randomUUID()}.${extension}`;
+
+    await fs.mkdir(UPLOAD_DIR, { recursive: true });
+    await fs.writeFile(path.join(UPLOAD_DIR, fileName), buffer);
+
+    const url = `${UPLOAD_URL_PREFIX}${fileName}`;
+    await prisma.upload.create({ data: { url, ownerId } });
+
+    return { url };
+};
+
+/**
+ * Check the option image URLs a client sent
+ * - Clients may only point options at their own uploads (or, for admins
+ *   editing a poll, at the poll author's); remote URLs are not checked
+ * - Returns { message, code } for images uploaded by someone else, or null
+ */
+const getImageOwnershipError = async (urls, ownerIds) => {
+    const uploadUrls = [...new Set(urls.filter(url => typeof url === 'string' && url.startsWith(UPLOAD_URL_PREFIX)))];
+
+    if (uploadUrls.length === 0) {
+        return null;
+    }
+
+    const owned = await prisma.upload.findMany({
+        where: { url: { in: uploadUrls }, ownerId: { in: ownerIds } },
+        select: { url: true }
+    });
+    const ownedUrls = new Set(owned.map(upload => upload.url));
+    const unowned = uploadUrls.filter(url => !ownedUrls.has(url));
+
+    if (unowned.length === 0) {
+        return null;
+    }
+
+    return { message: `Only images uploaded for your own polls can be used: ${unowned.join(', ')}`, code: 'IMAGE_NOT_OWNED' };
+};
+
+/**
+ * Count what still uses an uploaded image
+ * - Duplicating a poll or saving a template copies option image URLs, and
+ *   revisions keep the images of earlier versions, so files are shared
+ */
+const countImageReferences = async (url) => {
+    const usedIn = { array_contains: [{ imageUrl: url }] };
+
+    const counts = await Promise.all([
+        prisma.pollOption.count({ where: { imageUrl: url } }),
+        prisma.pollTemplate.count({ where: { options: usedIn } }),
+        prisma.pollRevision.count({ where: { options: usedIn } })
+    ]);
+
+    return counts.reduce((sum, count) => sum + count, 0);
+};
+
+/**
+ * Uploaded image URLs among option image URLs and JSON option lists
+ * (revisions, templates), without duplicates
+ */
+const collectUploadUrls = (imageUrls, optionLists) => {
+    const urls = [
+        ...imageUrls,
+        ...optionLists.flatMap(options => options.map(option => option.imageUrl))
+    ];
+
+    return [...new Set(urls.filter(url => url && url.startsWith(UPLOAD_URL_PREFIX)))];
+};
+
+/**
+ * Uploaded images a poll's options and revisions point at
+ * - Read before deleting the poll, then release them with releaseUploadedImages
+ */
+const findPollImageUrls = async (pollId) => {
+    const [options, revisions] = await Promise.all([
+        prisma.pollOption.findMany({ where: { pollId }, select: { imageUrl: true } }),
+        prisma.pollRevision.findMany({ where: { pollId }, select: { options: true } })
+    ]);
+
+    return collectUploadUrls(
+        options.map(option => option.imageUrl),
+        revisions.map(revision => revision.options)
+    );
+};
+
+/**
+ * Uploaded images of everything deleted with a user's account: the options
+ * and revisions of their polls, and their templates
+ * - Read before deleting the user, then release them with releaseUploadedImages
+ */
+const findUserImageUrls = async (userId) => {
+    const [options, revisions, templates] = await Promise.all([
+        prisma.pollOption.findMany({ where: { poll: { authorId: userId } }, select: { imageUrl: true } }),
+        prisma.pollRevision.findMany({ where: { poll: { authorId: userId } }, select: { options: true } }),
+        prisma.pollTemplate.findMany({ where: { authorId: userId }, select: { options: true } })
+    ]);
+
+    return collectUploadUrls(
+        options.map(option => option.imageUrl),
+        [...revisions, ...templates].map(record => record.options)
+    );
+};
+
+/**
+ * Delete an uploaded image that an option, template or revision stopped using
+ * - Kept while anything still points at it (see countImageReferences)
+ * - Only files recorded by saveOptionImage are deleted; remote URLs and
+ *   files that are already gone are ignored
+ */
+const releaseUploadedImage = async (url) => {
+    if (!url || !url.startsWith(UPLOAD_URL_PREFIX)) {
+        return;
+    }
+
+    if (await countImageReferences(url) > 0) {
+        return;
+    }
+
+    const { count } = await prisma.upload.deleteMany({ where: { url } });
+    if (count === 0) {
+        return;
+    }
+
+    const fileName = path.basename(url);
+
+    try {
+        await fs.unlink(path.join(UPLOAD_DIR, fileName));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Remove uploaded image error:', error);
+        }
+    }
+};
+
+/**
+ * Release several uploaded images (see releaseUploadedImage)
+ */
+const releaseUploadedImages = async (urls) => {
+    for (const url of urls) {
+        await releaseUploadedImage(url);
+    }
+};
+
+module.exports = {
+    OPTION_IMAGE_MAX_BYTES,
+    IMAGE_CONTENT_TYPES,
+    saveOptionImage,
+    getImageOwnershipError,
+    findPollImageUrls,
+    findUserImageUrls,
+    releaseUploadedImage,
+    releaseUploadedImages
+};
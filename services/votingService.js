@@ -0,0 +1,232 @@
+// Supported voting modes (mirrors the VotingMode enum in models/Poll.prisma)
+const VOTING_MODES = ['single', 'multiple', 'ranked'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate and normalize the voting configuration of a poll
+ * - `single`: exactly one selection, min/max are not allowed
+ * - `multiple`: minSelections defaults to 1, maxSelections to the option count
+ * - `ranked`: voters rank up to maxSelections options (defaults to all)
+ * - Returns { error } on invalid input, otherwise { config }
+ */
+const normalizeVotingConfig = ({ votingMode = 'single', minSelections, maxSelections }, optionCount) => {
+    if (!VOTING_MODES.includes(votingMode)) {
+        return { error: `Voting mode must be one of: ${VOTING_MODES.join(', ')}` };
+    }
+
+    if (votingMode === 'single') {
+        if (minSelections !== undefined || maxSelections !== undefined) {
+            return { error: 'minSelections and maxSelections are only allowed for multiple and ranked polls' };
+        }
+        return { config: { votingMode, minSelections: null, maxSelections: null } };
+    }
+
+    if (minSelections !== undefined && !isPositiveInteger(minSelections)) {
+        return { error: 'minSelections must be a positive integer' };
+    }
+
+    if (maxSelections !== undefined && !isPositiveInteger(maxSelections)) {
+        return { error: 'maxSelections must be a positive integer' };
+    }
+
+    const min = minSelections ?? 1;
+    const max = maxSelections ?? optionCount;
+
+    if (min > max) {
+        return { error: 'minSelections cannot be greater than maxSelections' };
+    }
+
+    if (max > optionCount) {
+        return { error: 'maxSelections cannot exceed the number of options' };
+    }
+
+    return { config: { votingMode, minSelections: min, maxSelections: max } };
+};
+
+/**
+ * Resolve the effective selection bounds for a poll
+ */
+const getSelectionBounds = (poll) => {
+    if (poll.votingMode === 'single') {
+        return { min: 1, max: 1 };
+    }
+
+    return {
+        min: poll.minSelections ?? 1,
+        max: poll.maxSelections ?? poll.options.length
+    };
+};
+
+/**
+ * Validate a full ballot against a poll's voting rules
+ * - `selections` is an ordered array of poll option IDs
+ *   (for ranked polls, index 0 is the first preference)
+ * - Poll must include its `options`
+ * - Returns an error message, or null if the ballot is valid
+ */
+const validateBallot = (poll, selections) => {
+    if (!Array.isArray(selections) || selections.length === 0) {
+        return 'At least one selection is required';
+    }
+
+    if (new Set(selections).size !== selections.length) {
+        return 'Each option can only be selected once';
+    }
+
+    const optionIds = new Set(poll.options.map(option => option.id));
+    if (selections.some(id => !optionIds.has(id))) {
+        return 'Invalid poll option for this poll';
+    }
+
+    const { min, max } = getSelectionBounds(poll);
+
+    if (selections.length < min) {
+        return `You must select at least ${min} option${min === 1 ? '' : 's'}`;
+    }
+
+    if (selections.length > max) {
+        return `You can select at most ${max} option${max === 1 ? '' : 's'}`;
+    }
+
+    return null;
+};
+
+/**
+ * Resolve the free-text answer that goes with a ballot
+ * - Required when the ballot includes the poll's "Other" option
+ *   (`allowsFreeText`), not allowed otherwise
+ * - Poll must include its `options`
+ * - Returns { error } or { freeTextOptionId, freeText }
+ */
+const resolveFreeText = (poll, selections, freeText) => {
+    const otherOption = poll.options.find(option => option.allowsFreeText && selections.includes(option.id));
+    const answer = typeof freeText === 'string' ? freeText.trim() : '';
+
+    if (!otherOption) {
+        return answer
+            ? { error: 'freeText is only allowed when the "Other" option is selected' }
+            : { freeTextOptionId: null, freeText: null };
+    }
+
+    if (!answer) {
+        return { error: 'Please specify your answer for the "Other" option' };
+    }
+
+    return { freeTextOptionId: otherOption.id, freeText: answer };
+};
+
+/**
+ * Group free-text answers for statistics
+ * - Answers are matched case-insensitively; the first spelling seen is kept
+ * - Returns [{ answer, count }], most common first
+ */
+const groupFreeTextAnswers = (answers) => {
+    const groups = new Map();
+
+    for (const answer of answers) {
+        const key = answer.trim().toLowerCase();
+        const group = groups.get(key) || { answer: answer.trim(), count: 0 };
+        group.count++;
+        groups.set(key, group);
+    }
+
+    return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Group a poll's ranked vote rows into ballots (one per user or guest)
+ * - Returns an array of option ID arrays, ordered by rank
+ */
+const buildRankedBallots = (votes) => {
+    const ballotsByVoter = new Map();
+
+    for (const vote of votes) {
+        const voterKey = vote.userId ? `user:${vote.userId}` : `guest:${vote.guestVoterId}`;
+
+        if (!ballotsByVoter.has(voterKey)) {
+            ballotsByVoter.set(voterKey, []);
+        }
+        ballotsByVoter.get(voterKey).push(vote);
+    }
+
+    return Array.from(ballotsByVoter.values()).map(rows =>
+        rows
+            .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity))
+            .map(row => row.pollOptionId)
+    );
+};
+
+/**
+ * Compute instant-runoff rounds for a ranked-choice poll
+ * - Each round counts every ballot towards its highest-ranked remaining option
+ * - An option with a strict majority of the active ballots wins
+ * - Otherwise the option(s) with the fewest votes are eliminated
+ * - If all remaining options are tied, the result is a tie
+ */
+const computeInstantRunoff = (options, ballots) => {
+    let remaining = options.map(option => option.id);
+    const rounds = [];
+
+    while (remaining.length > 0) {
+        const tallies = new Map(remaining.map(id => [id, 0]));
+        let exhausted = 0;
+
+        for (const ballot of ballots) {
+            const choice = ballot.find(id => tallies.has(id));
+            if (choice) {
+                tallies.set(choice, tallies.get(choice) + 1);
+            } else {
+                exhausted++;
+            }
+        }
+
+        const activeBallots = ballots.length - exhausted;
+        const counts = Array.from(tallies.values());
+        const highest = Math.max(...counts);
+        const lowest = Math.min(...counts);
+
+        const round = {
+            round: rounds.length + 1,
+            tallies: options
+                .filter(option => tallies.has(option.id))
+                .map(option => ({
+                    optionId: option.id,
+                    text: option.text,
+                    votes: tallies.get(option.id)
+                })),
+            exhausted,
+            eliminated: []
+        };
+        rounds.push(round);
+
+        if (activeBallots === 0) {
+            return { rounds, winner: null, tie: [] };
+        }
+
+        if (highest * 2 > activeBallots) {
+            const winner = remaining.find(id => tallies.get(id) === highest);
+            return { rounds, winner, tie: [] };
+        }
+
+        if (highest === lowest) {
+            return { rounds, winner: null, tie: remaining };
+        }
+
+        round.eliminated = remaining.filter(id => tallies.get(id) === lowest);
+        remaining = remaining.filter(id => tallies.get(id) !== lowest);
+    }
+
+    return { rounds, winner: null, tie: [] };
+};
+
+module.exports = {
+    VOTING_MODES,
+    normalizeVotingConfig,
+    getSelectionBounds,
+    validateBallot,
+    resolveFreeText,
+    groupFreeTextAnswers,
+    buildRankedBallots,
+    computeInstantRunoff
+};
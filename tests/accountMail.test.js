@@ -0,0 +1,67 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+const { setMailTransport } = require('../services/mail');
+
+const alice = makeUser('alice');
+
+let aliceAuth;
+let sent;
+
+beforeEach(() => {
+    [aliceAuth] = signIn(alice);
+    sent = [];
+    setMailTransport({ send: async (message) => sent.push(message) });
+});
+
+afterAll(() => setMailTransport(undefined));
+
+const changeEmail = () => request(app)
+    .put(`/api/users/${alice.id}`)
+    .set('Authorization', aliceAuth)
+    .send({ email: 'alice.new@example.com' });
+
+describe('PUT /api/users/:userId with a new email', () => {
+    test('saves the address as pending and mails a confirmation link', async () => {
+        const res = await changeEmail();
+
+        expect(res.status).toBe(200);
+        expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+            data: expect.objectContaining({ pendingEmail: 'alice.new@example.com' })
+        }));
+        expect(sent.map(message => message.to)).toEqual(['alice.new@example.com']);
+    });
+
+    test('a mail failure is reported without failing the saved change', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        setMailTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+        const res = await changeEmail();
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toMatch(/could not be sent/);
+        expect(prisma.user.update).toHaveBeenCalledTimes(1);
+        console.error.mockRestore();
+    });
+});
+
+describe('POST /api/users/forgot-password', () => {
+    const forgotPassword = (email) => request(app)
+        .post('/api/users/forgot-password')
+        .send({ email });
+
+    test('a mail failure answers exactly like an unknown email', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        setMailTransport({ send: async () => { throw new Error('SMTP down'); } });
+        prisma.user.findUnique.mockImplementation(async ({ where }) => (where.email === alice.email ? alice : null));
+
+        const known = await forgotPassword(alice.email);
+        const unknown = await forgotPassword('nobody@example.com');
+
+        expect(known.status).toBe(200);
+        expect(unknown.status).toBe(200);
+        expect(known.body.message).toBe(unknown.body.message);
+        console.error.mockRestore();
+    });
+});
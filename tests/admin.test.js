@@ -0,0 +1,206 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+const { broadcastPollUpdate, revalidatePollRoom } = require('../services/socketService');
+
+jest.mock('../services/socketService', () => ({
+    ...jest.requireActual('../services/socketService'),
+    broadcastPollUpdate: jest.fn(),
+    revalidatePollRoom: jest.fn()
+}));
+
+const admin = makeUser('admin', { role: 'admin' });
+const moderator = makeUser('moderator', { role: 'moderator' });
+const alice = makeUser('alice');
+const suspended = makeUser('suspended', { suspendedAt: new Date('2026-05-01T00:00:00Z') });
+
+const poll = { id: 'poll-1', authorId: alice.id, question: 'Lunch?', isPublished: true };
+
+let adminAuth;
+let moderatorAuth;
+let aliceAuth;
+let suspendedAuth;
+let writes;
+
+beforeEach(() => {
+    [adminAuth, moderatorAuth, aliceAuth, suspendedAuth] = signIn(admin, moderator, alice, suspended);
+    broadcastPollUpdate.mockClear();
+    revalidatePollRoom.mockClear();
+    prisma.poll.findUnique.mockResolvedValue(poll);
+
+    // Record whether each write ran inside the transaction
+    writes = [];
+    let inTransaction = false;
+    prisma.$transaction.mockImplementation(async (run) => {
+        inTransaction = true;
+        try {
+            return await run(prisma);
+        } finally {
+            inTransaction = false;
+        }
+    });
+    for (const [model, method] of [['user', 'update'], ['poll', 'update'], ['poll', 'delete'], ['auditLog', 'create']]) {
+        prisma[model][method].mockImplementation(async (args) => {
+            writes.push([`${model}.${method}`, inTransaction]);
+            return args.data || {};
+        });
+    }
+});
+
+describe('admin listings', () => {
+    test.each([
+        ['/api/admin/users', 'user'],
+        ['/api/admin/audit-logs', 'auditLog']
+    ])('%s pages with the validated query values', async (path, model) => {
+        prisma[model].count.mockResolvedValue(45);
+
+        const res = await request(app)
+            .get(`${path}?page=3`)
+            .set('Authorization', adminAuth);
+
+        expect(res.status).toBe(200);
+        expect(prisma[model].findMany).toHaveBeenCalledWith(expect.objectContaining({ skip: 40, take: 20 }));
+        expect(res.body.data.pagination).toEqual({ page: 3, limit: 20, total: 45, pages: 3 });
+    });
+
+    test('invalid paging values are rejected instead of falling back to defaults', async () => {
+        const res = await request(app)
+            .get('/api/admin/users?limit=abc')
+            .set('Authorization', adminAuth);
+
+        expect(res.status).toBe(400);
+        expect(prisma.user.findMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('role checks', () => {
+    test('regular users cannot use the admin API', async () => {
+        const res = await request(app)
+            .get('/api/admin/users')
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(403);
+    });
+
+    test('moderators can list users but not read the audit log or change roles', async () => {
+        const list = await request(app).get('/api/admin/users').set('Authorization', moderatorAuth);
+        const logs = await request(app).get('/api/admin/audit-logs').set('Authorization', moderatorAuth);
+        const role = await request(app)
+            .patch(`/api/admin/users/${alice.id}/role`)
+            .set('Authorization', moderatorAuth)
+            .send({ role: 'moderator' });
+
+        expect(list.status).toBe(200);
+        expect(logs.status).toBe(403);
+        expect(role.status).toBe(403);
+        expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+});
+
+describe('suspensions', () => {
+    const suspend = (auth, userId) => request(app)
+        .patch(`/api/admin/users/${userId}/suspend`)
+        .set('Authorization', auth)
+        .send({ reason: 'spam' });
+
+    test('a moderator suspends a user and the audit entry is written in the same transaction', async () => {
+        const res = await suspend(moderatorAuth, alice.id);
+
+        expect(res.status).toBe(200);
+        expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: alice.id },
+            data: { suspendedAt: expect.any(Date), suspendedReason: 'spam' }
+        }));
+        expect(prisma.auditLog.create).toHaveBeenCalledWith({
+            data: { actorId: moderator.id, action: 'user.suspend', targetType: 'user', targetId: alice.id, details: { reason: 'spam' } }
+        });
+        expect(writes).toEqual([['user.update', true], ['auditLog.create', true]]);
+    });
+
+    test('moderators cannot suspend other moderators or admins', async () => {
+        const res = await suspend(moderatorAuth, admin.id);
+
+        expect(res.status).toBe(403);
+        expect(writes).toEqual([]);
+    });
+
+    test('nobody can suspend themselves', async () => {
+        const res = await suspend(adminAuth, admin.id);
+
+        expect(res.status).toBe(400);
+        expect(writes).toEqual([]);
+    });
+
+    test('suspended accounts are rejected with ACCOUNT_SUSPENDED', async () => {
+        const res = await request(app)
+            .get('/api/users/me')
+            .set('Authorization', suspendedAuth);
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('ACCOUNT_SUSPENDED');
+    });
+});
+
+describe('role changes', () => {
+    test('admins change roles and the audit entry records the old and new role', async () => {
+        const res = await request(app)
+            .patch(`/api/admin/users/${alice.id}/role`)
+            .set('Authorization', adminAuth)
+            .send({ role: 'moderator' });
+
+        expect(res.status).toBe(200);
+        expect(prisma.auditLog.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({ action: 'user.role', targetId: alice.id, details: { from: 'user', to: 'moderator' } })
+        });
+        expect(writes).toEqual([['user.update', true], ['auditLog.create', true]]);
+    });
+
+    test('admins cannot change their own role', async () => {
+        const res = await request(app)
+            .patch(`/api/admin/users/${admin.id}/role`)
+            .set('Authorization', adminAuth)
+            .send({ role: 'user' });
+
+        expect(res.status).toBe(400);
+        expect(writes).toEqual([]);
+    });
+});
+
+describe('poll moderation', () => {
+    test('unpublishing a poll is audited, broadcast and re-checks the poll room', async () => {
+        const res = await request(app)
+            .patch(`/api/admin/polls/${poll.id}/unpublish`)
+            .set('Authorization', moderatorAuth)
+            .send({ reason: 'off-topic' });
+
+        expect(res.status).toBe(200);
+        expect(writes).toEqual([['poll.update', true], ['auditLog.create', true]]);
+        expect(broadcastPollUpdate).toHaveBeenCalledWith(poll.id, 'unpublished', { reason: 'off-topic' });
+        expect(revalidatePollRoom).toHaveBeenCalledWith(poll.id);
+    });
+
+    test('the audit entry of a deleted poll keeps its question and author', async () => {
+        const res = await request(app)
+            .delete(`/api/admin/polls/${poll.id}`)
+            .set('Authorization', moderatorAuth);
+
+        expect(res.status).toBe(200);
+        expect(writes).toEqual([['auditLog.create', true], ['poll.delete', true]]);
+        expect(prisma.auditLog.create).toHaveBeenCalledWith({
+            data: expect.objectContaining({
+                action: 'poll.delete',
+                details: { question: poll.question, authorId: alice.id, reason: null }
+            })
+        });
+    });
+
+    test('only admins can purge votes', async () => {
+        const res = await request(app)
+            .delete(`/api/admin/polls/${poll.id}/votes`)
+            .set('Authorization', moderatorAuth);
+
+        expect(res.status).toBe(403);
+        expect(prisma.vote.deleteMany).not.toHaveBeenCalled();
+    });
+});
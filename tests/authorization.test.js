@@ -0,0 +1,168 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+
+const alice = makeUser('alice');
+const bob = makeUser('bob');
+const admin = makeUser('admin', { role: 'admin' });
+
+const alicePoll = {
+    id: 'poll-1',
+    question: 'Tabs or spaces?',
+    authorId: alice.id,
+    isPublished: true,
+    isUnlisted: false,
+    accessMode: 'public',
+    status: 'open',
+    opensAt: null,
+    closesAt: null,
+    minSelections: null,
+    maxSelections: null
+};
+
+let aliceAuth;
+let bobAuth;
+let adminAuth;
+
+beforeEach(() => {
+    [aliceAuth, bobAuth, adminAuth] = signIn(alice, bob, admin);
+    prisma.poll.findUnique.mockImplementation(async ({ where }) => (where.id === alicePoll.id ? alicePoll : null));
+});
+
+describe('user routes', () => {
+    test('updating another user\'s profile is rejected with 403', async () => {
+        const res = await request(app)
+            .put(`/api/users/${alice.id}`)
+            .set('Authorization', bobAuth)
+            .send({ name: 'Mallory' });
+
+        expect(res.status).toBe(403);
+        expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    test('changing another user\'s password is rejected with 403, even for admins', async () => {
+        for (const auth of [bobAuth, adminAuth]) {
+            const res = await request(app)
+                .put(`/api/users/${alice.id}/password`)
+                .set('Authorization', auth)
+                .send({ currentPassword: 'whatever', newPassword: 'N3w-Passw0rd!' });
+
+            expect(res.status).toBe(403);
+        }
+        expect(prisma.user.update).not.toHaveBeenCalled();
+    });
+
+    test('deleting another user\'s account is rejected with 403', async () => {
+        const res = await request(app)
+            .delete(`/api/users/${alice.id}`)
+            .set('Authorization', bobAuth);
+
+        expect(res.status).toBe(403);
+        expect(prisma.user.delete).not.toHaveBeenCalled();
+    });
+
+    test('users can update their own profile', async () => {
+        const res = await request(app)
+            .put(`/api/users/${alice.id}`)
+            .set('Authorization', aliceAuth)
+            .send({ name: 'Alice' });
+
+        expect(res.status).toBe(200);
+        expect(prisma.user.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: alice.id } }));
+    });
+
+    test('admins can delete other accounts', async () => {
+        const res = await request(app)
+            .delete(`/api/users/${alice.id}`)
+            .set('Authorization', adminAuth);
+
+        expect(res.status).toBe(200);
+        expect(prisma.user.delete).toHaveBeenCalledWith({ where: { id: alice.id } });
+    });
+});
+
+describe('poll routes', () => {
+    const mutations = [
+        ['update', (agent) => agent.put(`/api/polls/${alicePoll.id}`).send({ question: 'Hijacked?' })],
+        ['delete', (agent) => agent.delete(`/api/polls/${alicePoll.id}`)],
+        ['publish', (agent) => agent.patch(`/api/polls/${alicePoll.id}/publish`).send({ isPublished: false })],
+        ['add an option to', (agent) => agent.post(`/api/polls/${alicePoll.id}/options`).send({ text: 'Both' })],
+        ['remove an option of', (agent) => agent.delete(`/api/polls/${alicePoll.id}/options/option-1`)],
+        ['invite users to', (agent) => agent.post(`/api/polls/${alicePoll.id}/invites`).send({ emails: ['eve@example.com'] })],
+        ['rotate the share link of', (agent) => agent.post(`/api/polls/${alicePoll.id}/share-link/rotate`)]
+    ];
+
+    test.each(mutations)('trying to %s another user\'s poll is rejected with 403', async (action, send) => {
+        const res = await send(request(app)).set('Authorization', bobAuth);
+
+        expect(res.status).toBe(403);
+        expect(prisma.poll.update).not.toHaveBeenCalled();
+        expect(prisma.poll.delete).not.toHaveBeenCalled();
+        expect(prisma.pollOption.create).not.toHaveBeenCalled();
+        expect(prisma.pollOption.delete).not.toHaveBeenCalled();
+        expect(prisma.pollInvite.createMany).not.toHaveBeenCalled();
+        expect(prisma.pollShareLink.upsert).not.toHaveBeenCalled();
+    });
+
+    test('the author can delete their poll', async () => {
+        const res = await request(app)
+            .delete(`/api/polls/${alicePoll.id}`)
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(200);
+        expect(prisma.poll.delete).toHaveBeenCalledWith({ where: { id: alicePoll.id } });
+    });
+
+    test('admins can delete any poll', async () => {
+        const res = await request(app)
+            .delete(`/api/polls/${alicePoll.id}`)
+            .set('Authorization', adminAuth);
+
+        expect(res.status).toBe(200);
+    });
+});
+
+describe('vote routes', () => {
+    const aliceVote = { id: 'vote-1', userId: alice.id, pollId: alicePoll.id, pollOptionId: 'option-1' };
+
+    beforeEach(() => {
+        prisma.vote.findUnique.mockImplementation(async ({ where }) => {
+            const { userId, pollOptionId } = where.userId_pollOptionId;
+            return userId === aliceVote.userId && pollOptionId === aliceVote.pollOptionId ? aliceVote : null;
+        });
+    });
+
+    test('removing a vote only ever touches the caller\'s own vote', async () => {
+        const res = await request(app)
+            .delete(`/api/votes/${aliceVote.pollOptionId}`)
+            .set('Authorization', bobAuth);
+
+        expect(res.status).toBe(404);
+        expect(prisma.vote.findUnique).toHaveBeenCalledWith({
+            where: { userId_pollOptionId: { userId: bob.id, pollOptionId: aliceVote.pollOptionId } }
+        });
+        expect(prisma.vote.delete).not.toHaveBeenCalled();
+    });
+
+    test('changing a ballot only ever replaces the caller\'s own votes', async () => {
+        prisma.poll.findFirst.mockResolvedValue({
+            ...alicePoll,
+            votingMode: 'single',
+            options: [{ id: 'option-1', allowsFreeText: false }, { id: 'option-2', allowsFreeText: false }]
+        });
+
+        const res = await request(app)
+            .put(`/api/votes/poll/${alicePoll.id}/ballot`)
+            .set('Authorization', bobAuth)
+            .send({ selections: ['option-2'] });
+
+        expect(res.status).toBe(200);
+        for (const call of prisma.vote.deleteMany.mock.calls) {
+            expect(call[0].where.userId).toBe(bob.id);
+        }
+        for (const vote of prisma.vote.createMany.mock.calls[0][0].data) {
+            expect(vote.userId).toBe(bob.id);
+        }
+    });
+});
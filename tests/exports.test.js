@@ -0,0 +1,124 @@
+// Small batches so the tests cover reading votes in several queries
+process.env.EXPORT_BATCH_SIZE = '2';
+
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+
+const alice = makeUser('alice');
+const bob = makeUser('bob');
+
+const createdAt = new Date('2026-06-01T12:00:00Z');
+
+const poll = {
+    id: 'poll-1',
+    authorId: alice.id,
+    question: 'Lunch?',
+    votingMode: 'single',
+    status: 'open',
+    isPublished: true,
+    opensAt: null,
+    closesAt: null,
+    createdAt,
+    voterVisibility: 'author',
+    options: [
+        { id: 'option-1', text: 'Pizza', position: 0 },
+        { id: 'option-2', text: 'Other', position: 1 }
+    ]
+};
+
+const votes = [
+    { id: 'vote-1', pollOptionId: 'option-1', rank: null, freeText: null, guestVoterId: null, createdAt, user: { id: bob.id, name: bob.name } },
+    { id: 'vote-2', pollOptionId: 'option-2', rank: null, freeText: '=HYPERLINK("x")', guestVoterId: null, createdAt, user: { id: alice.id, name: alice.name } },
+    { id: 'vote-3', pollOptionId: 'option-1', rank: null, freeText: null, guestVoterId: 'guest-1', createdAt, user: null }
+];
+
+let aliceAuth;
+let bobAuth;
+
+beforeEach(() => {
+    [aliceAuth, bobAuth] = signIn(alice, bob);
+    prisma.poll.findUnique.mockImplementation(async ({ select }) => (select ? poll : { id: poll.id, authorId: poll.authorId }));
+    // Keyset pagination on the vote id
+    prisma.vote.findMany.mockImplementation(async ({ take, cursor }) => {
+        const start = cursor ? votes.findIndex(vote => vote.id === cursor.id) + 1 : 0;
+        return votes.slice(start, start + take);
+    });
+    prisma.vote.groupBy.mockImplementation(async ({ where }) => (where.guestVoterId
+        ? [{ pollOptionId: 'option-1', _count: { _all: 1 } }]
+        : [{ pollOptionId: 'option-1', _count: { _all: 2 } }, { pollOptionId: 'option-2', _count: { _all: 1 } }]));
+});
+
+const exportPoll = (query, auth = aliceAuth) => request(app)
+    .get(`/api/polls/${poll.id}/export?${query}`)
+    .set('Authorization', auth)
+    .buffer(true)
+    .parse((res, callback) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => callback(null, text));
+    });
+
+describe('GET /api/polls/:pollId/export', () => {
+    test('only the poll author can export its results', async () => {
+        const res = await exportPoll('format=csv', bobAuth);
+
+        expect(res.status).toBe(403);
+        expect(prisma.vote.findMany).not.toHaveBeenCalled();
+    });
+
+    test('streams one CSV row per vote, reading the votes in batches', async () => {
+        const res = await exportPoll('format=csv&type=votes');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toBe('attachment; filename="poll-poll-1-votes.csv"');
+        expect(res.body.split('\r\n')).toEqual([
+            'pollId,question,voteId,optionId,optionText,rank,freeText,voterType,voterId,voterName,votedAt',
+            'poll-1,Lunch?,vote-1,option-1,Pizza,,,user,bob,User bob,2026-06-01T12:00:00.000Z',
+            // Formulas are defused for spreadsheets
+            'poll-1,Lunch?,vote-2,option-2,Other,,"\'=HYPERLINK(""x"")",user,alice,User alice,2026-06-01T12:00:00.000Z',
+            'poll-1,Lunch?,vote-3,option-1,Pizza,,,guest,guest-1,,2026-06-01T12:00:00.000Z',
+            ''
+        ]);
+        expect(prisma.vote.findMany).toHaveBeenCalledTimes(2);
+        expect(prisma.vote.findMany).toHaveBeenLastCalledWith(expect.objectContaining({ cursor: { id: 'vote-2' }, skip: 1, take: 2 }));
+    });
+
+    test('voter columns stay empty when the poll hides its voters', async () => {
+        poll.voterVisibility = 'nobody';
+        try {
+            const res = await exportPoll('format=csv&type=votes');
+
+            expect(res.body.split('\r\n')[1]).toBe('poll-1,Lunch?,vote-1,option-1,Pizza,,,user,,,2026-06-01T12:00:00.000Z');
+        } finally {
+            poll.voterVisibility = 'author';
+        }
+    });
+
+    test('the excel format is CSV with a byte order mark', async () => {
+        const res = await exportPoll('format=excel&type=summary');
+
+        expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+        expect(res.body.startsWith('\uFEFFpollId,question,votingMode,optionId')).toBe(true);
+    });
+
+    test('JSON exports include the summary and the votes', async () => {
+        const res = await exportPoll('format=json&type=votes');
+        const body = JSON.parse(res.body);
+
+        expect(body.polls).toHaveLength(1);
+        expect(body.polls[0].summary).toEqual([
+            expect.objectContaining({ optionId: 'option-1', votes: 2, guestVotes: 1, percentage: 67 }),
+            expect.objectContaining({ optionId: 'option-2', votes: 1, guestVotes: 0, percentage: 33 })
+        ]);
+        expect(body.polls[0].votes.map(vote => vote.voteId)).toEqual(['vote-1', 'vote-2', 'vote-3']);
+    });
+
+    test('unknown formats are rejected', async () => {
+        const res = await exportPoll('format=pdf');
+
+        expect(res.status).toBe(400);
+    });
+});
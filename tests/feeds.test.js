@@ -0,0 +1,126 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+
+const alice = makeUser('alice');
+
+const feedPoll = (id, fields = {}) => ({
+    id,
+    authorId: 'author',
+    question: `Poll ${id}`,
+    status: 'open',
+    closesAt: null,
+    resultsVisibility: 'always',
+    options: [],
+    tags: [],
+    _count: { votes: 0 },
+    ...fields
+});
+
+const polls = [
+    feedPoll('poll-1'),
+    feedPoll('poll-2'),
+    // Results only shown once the poll closes
+    feedPoll('poll-3', { resultsVisibility: 'after_close' })
+];
+
+beforeEach(() => {
+    prisma.vote.groupBy.mockResolvedValue([
+        { pollId: 'poll-2', _count: { _all: 48 } },
+        { pollId: 'poll-3', _count: { _all: 30 } },
+        { pollId: 'poll-1', _count: { _all: 24 } }
+    ]);
+    // Ranked pages read the matching ids first, then the polls of the page
+    prisma.poll.findMany.mockImplementation(async ({ where, select }) => {
+        const ids = where.AND ? where.AND[1].id.in : where.id.in;
+        const matching = polls.filter(poll => ids.includes(poll.id));
+        return select ? matching.map(poll => ({ id: poll.id })) : matching;
+    });
+});
+
+describe('GET /api/polls/feeds/trending', () => {
+    test('ranks listed polls by ballots per hour over the window', async () => {
+        const res = await request(app).get('/api/polls/feeds/trending?windowHours=24');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.polls.map(poll => [poll.id, poll.votesPerHour])).toEqual([
+            ['poll-2', 2],
+            ['poll-3', undefined],
+            ['poll-1', 1]
+        ]);
+
+        const { where } = prisma.vote.groupBy.mock.calls[0][0];
+        expect(where).toMatchObject({
+            OR: [{ rank: null }, { rank: 1 }],
+            poll: { isPublished: true, isUnlisted: false, accessMode: 'public' }
+        });
+        expect(Date.now() - where.createdAt.gte.getTime()).toBeGreaterThanOrEqual(24 * 60 * 60 * 1000);
+    });
+
+    test('scores of polls with hidden results are left out', async () => {
+        const res = await request(app).get('/api/polls/feeds/trending');
+
+        const hidden = res.body.data.polls.find(poll => poll.id === 'poll-3');
+        expect(hidden).toMatchObject({ resultsHidden: true });
+        expect(hidden).not.toHaveProperty('votesPerHour');
+    });
+
+    test('pages through the ranking', async () => {
+        const res = await request(app).get('/api/polls/feeds/trending?page=2&limit=2');
+
+        expect(res.body.data.polls.map(poll => poll.id)).toEqual(['poll-1']);
+        expect(res.body.data.pagination).toEqual({ page: 2, limit: 2, total: 3, pages: 2, hasMore: false, nextCursor: null });
+    });
+});
+
+describe('GET /api/polls/feeds/most-voted', () => {
+    test('ranks polls by ballot count over all time', async () => {
+        const res = await request(app).get('/api/polls/feeds/most-voted');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.polls.map(poll => [poll.id, poll.ballotCount])).toEqual([
+            ['poll-2', 48],
+            ['poll-3', undefined],
+            ['poll-1', 24]
+        ]);
+        expect(prisma.vote.groupBy.mock.calls[0][0].where).not.toHaveProperty('createdAt');
+    });
+});
+
+describe('GET /api/polls/feeds/closing-soon', () => {
+    test('lists open polls closing within the window, soonest first', async () => {
+        prisma.poll.findMany.mockResolvedValue([]);
+
+        const res = await request(app).get('/api/polls/feeds/closing-soon?withinHours=2');
+
+        expect(res.status).toBe(200);
+        const { where, orderBy } = prisma.poll.findMany.mock.calls[0][0];
+        expect(where).toMatchObject({ isPublished: true, isUnlisted: false, accessMode: 'public', status: 'open' });
+        expect(where.closesAt.lte.getTime() - where.closesAt.gt.getTime()).toBe(2 * 60 * 60 * 1000);
+        expect(orderBy).toEqual([{ closesAt: 'asc' }, { id: 'asc' }]);
+    });
+});
+
+describe('GET /api/polls/feeds/needs-my-vote', () => {
+    test('requires a logged-in user', async () => {
+        const res = await request(app).get('/api/polls/feeds/needs-my-vote');
+
+        expect(res.status).toBe(401);
+    });
+
+    test('leaves out polls the user already voted on', async () => {
+        const [aliceAuth] = signIn(alice);
+        prisma.poll.findMany.mockResolvedValue([]);
+
+        const res = await request(app)
+            .get('/api/polls/feeds/needs-my-vote')
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(200);
+        expect(prisma.poll.findMany.mock.calls[0][0].where).toMatchObject({
+            status: 'open',
+            votes: { none: { userId: alice.id } }
+        });
+    });
+});
@@ -0,0 +1,84 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { generateVoterToken } = require('../services/jwtService');
+const { hashIdentifier } = require('../services/guestVoterService');
+
+const deviceId = 'device-1';
+const guestVoter = { id: 'guest-1', deviceHash: hashIdentifier(deviceId) };
+const voterToken = generateVoterToken({ guestVoterId: guestVoter.id, deviceHash: guestVoter.deviceHash });
+
+const poll = {
+    id: 'poll-1',
+    authorId: 'alice',
+    isPublished: true,
+    allowAnonymous: true,
+    votingMode: 'single',
+    status: 'open',
+    opensAt: null,
+    closesAt: null,
+    minSelections: null,
+    maxSelections: null,
+    currentVersion: 1,
+    options: [{ id: 'option-1', allowsFreeText: false }, { id: 'option-2', allowsFreeText: false }]
+};
+
+// Which queries ran inside the ballot transaction
+let inTransaction;
+let queriesInTransaction;
+
+beforeEach(() => {
+    inTransaction = false;
+    queriesInTransaction = [];
+    prisma.guestVoter.findUnique.mockResolvedValue(guestVoter);
+    prisma.poll.findFirst.mockResolvedValue(poll);
+    prisma.$transaction.mockImplementation(async (run) => {
+        inTransaction = true;
+        try {
+            return await run(prisma);
+        } finally {
+            inTransaction = false;
+        }
+    });
+    for (const method of ['findFirst', 'groupBy', 'createMany']) {
+        prisma.vote[method].mockImplementation(async () => {
+            queriesInTransaction.push([method, inTransaction]);
+            return method === 'groupBy' ? [] : method === 'createMany' ? { count: 1 } : null;
+        });
+    }
+});
+
+const castGuestVote = () => request(app)
+    .post('/api/votes/guest')
+    .set('Cookie', [`voterDevice=${deviceId}`, `voterToken=${voterToken}`])
+    .send({ pollId: poll.id, selections: ['option-1'], fingerprint: 'fingerprint-1' });
+
+describe('POST /api/votes/guest', () => {
+    test('the abuse checks and the insert run in one serializable transaction', async () => {
+        const res = await castGuestVote();
+
+        expect(res.status).toBe(201);
+        expect(prisma.$transaction).toHaveBeenCalledWith(expect.any(Function), { isolationLevel: 'Serializable' });
+        expect(queriesInTransaction.map(([method]) => method)).toEqual(['findFirst', 'findFirst', 'groupBy', 'createMany']);
+        expect(queriesInTransaction.every(([, inside]) => inside)).toBe(true);
+    });
+
+    test('guest ballots per IP are limited by default', async () => {
+        prisma.vote.groupBy.mockResolvedValue(Array.from({ length: 10 }, (_, index) => ({ guestVoterId: `guest-${index + 2}` })));
+
+        const res = await castGuestVote();
+
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('GUEST_IP_LIMIT_REACHED');
+        expect(prisma.vote.createMany).not.toHaveBeenCalled();
+    });
+
+    test('a vote that loses a race with a parallel one is rejected with 409', async () => {
+        prisma.$transaction.mockRejectedValue(Object.assign(new Error('Transaction failed due to a write conflict'), { code: 'P2034' }));
+
+        const res = await castGuestVote();
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('VOTE_CONFLICT');
+    });
+});
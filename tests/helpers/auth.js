@@ -0,0 +1,43 @@
+const { generateAccessToken } = require('../../services/jwtService');
+const { prisma } = require('./prisma');
+
+/**
+ * Build a user record as authenticateToken loads it
+ */
+const makeUser = (id, fields = {}) => ({
+    id,
+    name: `User ${id}`,
+    email: `${id}@example.com`,
+    emailVerifiedAt: new Date('2026-01-01T00:00:00Z'),
+    role: 'user',
+    suspendedAt: null,
+    profileVisibility: 'public',
+    showVoteHistory: false,
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    updatedAt: new Date('2026-01-01T00:00:00Z'),
+    ...fields
+});
+
+/**
+ * Sign users in for a test
+ * - Stubs the session and account lookups of the auth middleware
+ * - Returns an `Authorization` header value per user, in the same order
+ */
+const signIn = (...users) => {
+    const byId = new Map(users.map(user => [user.id, user]));
+
+    prisma.session.findUnique.mockImplementation(async ({ where }) => {
+        const userId = where.id.replace(/^session-/, '');
+        return byId.has(userId)
+            ? { userId, revokedAt: null, expiresAt: new Date(Date.now() + 60 * 60 * 1000) }
+            : null;
+    });
+    prisma.user.findUnique.mockImplementation(async ({ where }) => byId.get(where.id) ?? null);
+
+    return users.map(user => `Bearer ${generateAccessToken({ userId: user.id, role: user.role, sid: `session-${user.id}` })}`);
+};
+
+module.exports = {
+    makeUser,
+    signIn
+};
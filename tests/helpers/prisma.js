@@ -0,0 +1,81 @@
+/**
+ * Stand-in for @prisma/client in tests
+ * - Every `new PrismaClient()` returns the same client, so a test stubs the
+ *   queries a route makes: `prisma.poll.findUnique.mockResolvedValue(poll)`
+ * - Model methods are jest mocks that find nothing by default
+ * - `$transaction` runs interactive transactions against the same client
+ * - Stubs are cleared with resetPrisma() (tests/setup.js runs it before every test)
+ */
+
+const defaultResults = {
+    findUnique: () => null,
+    findFirst: () => null,
+    findMany: () => [],
+    groupBy: () => [],
+    count: () => 0,
+    aggregate: () => ({}),
+    create: (args) => ({ id: 'created-id', ...args?.data }),
+    update: (args) => ({ ...args?.where, ...args?.data }),
+    upsert: (args) => ({ ...args?.where, ...args?.create }),
+    delete: (args) => ({ ...args?.where }),
+    createMany: () => ({ count: 0 }),
+    updateMany: () => ({ count: 0 }),
+    deleteMany: () => ({ count: 0 })
+};
+
+let models = new Map();
+
+const createModel = () => Object.fromEntries(
+    Object.entries(defaultResults).map(([method, result]) => [method, jest.fn(async (args) => result(args))])
+);
+
+const prisma = new Proxy({}, {
+    get: (target, name) => {
+        if (name in target) {
+            return target[name];
+        }
+
+        if (typeof name !== 'string' || name === 'then') {
+            return undefined;
+        }
+
+        if (!models.has(name)) {
+            models.set(name, createModel());
+        }
+
+        return models.get(name);
+    }
+});
+
+const resetPrisma = () => {
+    models = new Map();
+
+    Object.assign(prisma, {
+        $transaction: jest.fn(async (arg) => Array.isArray(arg) ? Promise.all(arg) : arg(prisma)),
+        $queryRaw: jest.fn(async () => []),
+        $executeRaw: jest.fn(async () => 0)
+    });
+};
+
+resetPrisma();
+
+class PrismaClient {
+    constructor() {
+        return prisma;
+    }
+}
+
+// Tagged template helpers used by raw queries
+const Prisma = {
+    sql: (strings, ...values) => ({ strings, values }),
+    raw: (value) => ({ strings: [value], values: [] }),
+    join: (values, separator = ', ') => ({ values, separator }),
+    empty: { strings: [''], values: [] }
+};
+
+module.exports = {
+    PrismaClient,
+    Prisma,
+    prisma,
+    resetPrisma
+};
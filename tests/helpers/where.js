@@ -0,0 +1,68 @@
+/**
+ * Evaluate a Prisma `where` clause against a plain record
+ * - Covers what the visibility helpers use: AND/OR/NOT, equality, `equals`
+ *   (with `mode: 'insensitive'`), `in`, `not`, `lt`/`lte`/`gt`/`gte`, to-one
+ *   `is` and to-many `some`
+ * - Lets tests run the real clauses against in-memory fixtures
+ */
+const matchesWhere = (record, where = {}) => {
+    return Object.entries(where).every(([key, condition]) => {
+        if (key === 'AND') {
+            return [].concat(condition).every(clause => matchesWhere(record, clause));
+        }
+        if (key === 'OR') {
+            return condition.some(clause => matchesWhere(record, clause));
+        }
+        if (key === 'NOT') {
+            return ![].concat(condition).some(clause => matchesWhere(record, clause));
+        }
+
+        return matchesField(record?.[key], condition);
+    });
+};
+
+const matchesField = (value, condition) => {
+    if (condition instanceof Date) {
+        return value instanceof Date && value.getTime() === condition.getTime();
+    }
+    if (condition === null || typeof condition !== 'object') {
+        return value === condition;
+    }
+
+    if ('some' in condition) {
+        return (value || []).some(item => matchesWhere(item, condition.some));
+    }
+    if ('is' in condition) {
+        return condition.is === null ? value == null : value != null && matchesWhere(value, condition.is);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case 'equals':
+                return condition.mode === 'insensitive' && typeof value === 'string' && typeof operand === 'string'
+                    ? value.toLowerCase() === operand.toLowerCase()
+                    : value === operand;
+            case 'mode':
+                return true;
+            case 'in':
+                return operand.includes(value);
+            case 'not':
+                return !matchesField(value, operand);
+            case 'lt':
+                return value != null && value < operand;
+            case 'lte':
+                return value != null && value <= operand;
+            case 'gt':
+                return value != null && value > operand;
+            case 'gte':
+                return value != null && value >= operand;
+            default:
+                // A nested relation filter without `is`
+                return matchesWhere(value, { [operator]: operand });
+        }
+    });
+};
+
+module.exports = {
+    matchesWhere
+};
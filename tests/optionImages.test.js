@@ -0,0 +1,183 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+
+const alice = makeUser('alice');
+const bob = makeUser('bob');
+
+const poll = {
+    id: 'poll-1',
+    authorId: alice.id,
+    isPublished: true,
+    status: 'open',
+    opensAt: null,
+    closesAt: null,
+    minSelections: null,
+    maxSelections: null,
+    currentVersion: 1
+};
+
+const option = {
+    id: 'option-1',
+    text: 'Cats',
+    description: null,
+    imageUrl: '/uploads/alice-cat.png',
+    allowsFreeText: false,
+    position: 0,
+    _count: { votes: 0 }
+};
+
+const uploads = [
+    { url: '/uploads/alice-cat.png', ownerId: alice.id },
+    { url: '/uploads/alice-dog.png', ownerId: alice.id },
+    { url: '/uploads/bob-avatar.png', ownerId: bob.id }
+];
+
+let aliceAuth;
+
+beforeEach(() => {
+    [aliceAuth] = signIn(alice, bob);
+    prisma.poll.findUnique.mockResolvedValue(poll);
+    prisma.pollOption.findMany.mockResolvedValue([option, { ...option, id: 'option-2', imageUrl: null, position: 1 }]);
+    prisma.upload.findMany.mockImplementation(async ({ where }) =>
+        uploads.filter(upload => where.url.in.includes(upload.url) && where.ownerId.in.includes(upload.ownerId))
+    );
+});
+
+const setImage = (imageUrl) => request(app)
+    .patch(`/api/polls/${poll.id}/options/${option.id}`)
+    .set('Authorization', aliceAuth)
+    .send({ imageUrl });
+
+describe('option image ownership', () => {
+    test('pointing an option at another user\'s upload is rejected', async () => {
+        const res = await setImage('/uploads/bob-avatar.png');
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('IMAGE_NOT_OWNED');
+        expect(prisma.pollOption.update).not.toHaveBeenCalled();
+        expect(prisma.upload.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test('creating a poll with another user\'s upload is rejected', async () => {
+        const res = await request(app)
+            .post('/api/polls')
+            .set('Authorization', aliceAuth)
+            .send({ question: 'Pets?', options: [{ text: 'Cats', imageUrl: '/uploads/bob-avatar.png' }, { text: 'Dogs' }] });
+
+        expect(res.status).toBe(403);
+        expect(prisma.poll.create).not.toHaveBeenCalled();
+    });
+
+    test('authors can use their own uploads and remote images', async () => {
+        expect((await setImage('/uploads/alice-dog.png')).status).toBe(200);
+        expect((await setImage('https://example.com/cat.png')).status).toBe(200);
+    });
+});
+
+describe('PUT /api/polls/:pollId/options/:optionId/image', () => {
+    test('images of a closed poll\'s options cannot be replaced', async () => {
+        prisma.poll.findUnique.mockResolvedValue({ ...poll, status: 'closed' });
+
+        const res = await request(app)
+            .put(`/api/polls/${poll.id}/options/${option.id}/image`)
+            .set('Authorization', aliceAuth)
+            .set('Content-Type', 'image/png')
+            .send(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('POLL_CLOSED');
+        expect(prisma.upload.create).not.toHaveBeenCalled();
+        expect(prisma.pollOption.update).not.toHaveBeenCalled();
+    });
+});
+
+describe('releasing replaced images', () => {
+    test('a file another option still uses is kept', async () => {
+        prisma.pollOption.count.mockResolvedValue(1);
+
+        await setImage('/uploads/alice-dog.png');
+
+        expect(prisma.pollOption.count).toHaveBeenCalledWith({ where: { imageUrl: option.imageUrl } });
+        expect(prisma.upload.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test('a file a template still uses is kept', async () => {
+        prisma.pollTemplate.count.mockResolvedValue(1);
+
+        await setImage(null);
+
+        expect(prisma.pollTemplate.count).toHaveBeenCalledWith({
+            where: { options: { array_contains: [{ imageUrl: option.imageUrl }] } }
+        });
+        expect(prisma.upload.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test('a file an earlier revision still uses is kept', async () => {
+        prisma.pollRevision.count.mockResolvedValue(1);
+
+        await setImage(null);
+
+        expect(prisma.pollRevision.count).toHaveBeenCalledWith({
+            where: { options: { array_contains: [{ imageUrl: option.imageUrl }] } }
+        });
+        expect(prisma.upload.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test('deleting a poll releases the images of its options and revisions', async () => {
+        prisma.pollOption.findMany.mockResolvedValue([{ imageUrl: option.imageUrl }, { imageUrl: null }]);
+        prisma.pollRevision.findMany.mockResolvedValue([
+            { options: [{ text: 'Cats', imageUrl: option.imageUrl }, { text: 'Dogs', imageUrl: '/uploads/alice-dog.png' }] }
+        ]);
+
+        const res = await request(app)
+            .delete(`/api/polls/${poll.id}`)
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(200);
+        expect(prisma.upload.deleteMany.mock.calls).toEqual([
+            [{ where: { url: option.imageUrl } }],
+            [{ where: { url: '/uploads/alice-dog.png' } }]
+        ]);
+    });
+
+    test('deleting a template releases its images', async () => {
+        prisma.pollTemplate.findFirst.mockResolvedValue({ options: [{ text: 'Cats', imageUrl: option.imageUrl }] });
+
+        const res = await request(app)
+            .delete('/api/templates/template-1')
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(200);
+        expect(prisma.pollTemplate.delete).toHaveBeenCalledWith({ where: { id: 'template-1' } });
+        expect(prisma.upload.deleteMany).toHaveBeenCalledWith({ where: { url: option.imageUrl } });
+    });
+
+    test('deleting an account releases the images of its polls and templates', async () => {
+        prisma.pollOption.findMany.mockResolvedValue([{ imageUrl: option.imageUrl }]);
+        prisma.pollRevision.findMany.mockResolvedValue([{ options: [{ text: 'Dogs', imageUrl: '/uploads/alice-dog.png' }] }]);
+        prisma.pollTemplate.findMany.mockResolvedValue([{ options: [{ text: 'Cats', imageUrl: option.imageUrl }] }]);
+
+        const res = await request(app)
+            .delete(`/api/users/${alice.id}`)
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(200);
+        expect(prisma.pollOption.findMany).toHaveBeenCalledWith({ where: { poll: { authorId: alice.id } }, select: { imageUrl: true } });
+        expect(prisma.pollTemplate.findMany).toHaveBeenCalledWith({ where: { authorId: alice.id }, select: { options: true } });
+        expect(prisma.upload.deleteMany.mock.calls).toEqual([
+            [{ where: { url: option.imageUrl } }],
+            [{ where: { url: '/uploads/alice-dog.png' } }]
+        ]);
+        // Images are released once nothing points at them anymore
+        expect(prisma.user.delete.mock.invocationCallOrder[0])
+            .toBeLessThan(prisma.upload.deleteMany.mock.invocationCallOrder[0]);
+    });
+
+    test('an unused recorded upload is deleted', async () => {
+        await setImage(null);
+
+        expect(prisma.upload.deleteMany).toHaveBeenCalledWith({ where: { url: option.imageUrl } });
+    });
+});
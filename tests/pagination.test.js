@@ -0,0 +1,130 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+const { matchesWhere } = require('./helpers/where');
+const { findPage, encodeCursor } = require('../utils/pagination');
+
+const alice = makeUser('alice');
+
+const at = (minute) => new Date(Date.UTC(2026, 5, 1, 12, minute));
+
+/**
+ * In-memory model delegate that applies where, orderBy, skip and take
+ */
+const createDelegate = (rows) => {
+    const matching = (where) => rows.filter(row => matchesWhere(row, where));
+    const compare = (orderBy) => (a, b) => {
+        for (const order of orderBy) {
+            const [[field, direction]] = Object.entries(order);
+            const difference = a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0;
+            if (difference !== 0) {
+                return direction === 'asc' ? difference : -difference;
+            }
+        }
+        return 0;
+    };
+
+    return {
+        findMany: jest.fn(async ({ where, orderBy, skip = 0, take }) =>
+            matching(where).sort(compare(orderBy)).slice(skip, skip + take)),
+        count: jest.fn(async ({ where }) => matching(where).length)
+    };
+};
+
+describe('findPage', () => {
+    let rows;
+
+    beforeEach(() => {
+        // Two rows share a timestamp, so ties must be broken by id
+        rows = [
+            { id: 'a', createdAt: at(1) },
+            { id: 'b', createdAt: at(2) },
+            { id: 'c', createdAt: at(2) },
+            { id: 'd', createdAt: at(3) },
+            { id: 'e', createdAt: at(4) }
+        ];
+    });
+
+    test('page mode keeps the page/limit/total/pages shape', async () => {
+        const { items, pagination } = await findPage(createDelegate(rows), {}, { page: 2, limit: 2 });
+
+        expect(items.map(row => row.id)).toEqual(['c', 'b']);
+        expect(pagination).toEqual({ page: 2, limit: 2, total: 5, pages: 3, hasMore: true, nextCursor: encodeCursor(items[1]) });
+    });
+
+    test('following nextCursor visits every row once, even when rows are added meanwhile', async () => {
+        const delegate = createDelegate(rows);
+        const seen = [];
+        let cursor;
+
+        do {
+            const { items, pagination } = await findPage(delegate, {}, { limit: 2, cursor });
+            seen.push(...items.map(row => row.id));
+            cursor = pagination.nextCursor;
+
+            // A new row would shift an offset-based page by one
+            rows.push({ id: `new-${seen.length}`, createdAt: at(10 + seen.length) });
+        } while (cursor);
+
+        expect(seen).toEqual(['e', 'd', 'c', 'b', 'a']);
+    });
+
+    test('cursor pages report hasMore without page numbers', async () => {
+        const { pagination } = await findPage(createDelegate(rows), {}, { limit: 2, cursor: encodeCursor(rows[3]) });
+
+        expect(pagination).toEqual({ limit: 2, total: 5, hasMore: true, nextCursor: encodeCursor(rows[1]) });
+    });
+
+    test('includeTotal=false skips the count query', async () => {
+        const delegate = createDelegate(rows);
+
+        const { pagination } = await findPage(delegate, {}, { limit: 10, includeTotal: false });
+
+        expect(delegate.count).not.toHaveBeenCalled();
+        expect(pagination).toMatchObject({ total: null, pages: null, hasMore: false, nextCursor: null });
+    });
+
+    test('malformed cursors and cursors with another sort column are errors', async () => {
+        const delegate = createDelegate(rows);
+
+        expect(await findPage(delegate, {}, { cursor: 'not-a-cursor' })).toEqual({ error: 'Invalid cursor' });
+        expect(await findPage(delegate, { sortBy: 'question' }, { cursor: encodeCursor(rows[0]) }))
+            .toEqual({ error: 'cursor can only be used when sorting by createdAt' });
+        expect(delegate.findMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('GET /api/votes/my', () => {
+    let aliceAuth;
+
+    beforeEach(() => {
+        [aliceAuth] = signIn(alice);
+    });
+
+    test('continues after the cursor', async () => {
+        const cursor = encodeCursor({ id: 'vote-5', createdAt: at(5) });
+
+        const res = await request(app)
+            .get(`/api/votes/my?cursor=${cursor}&limit=2`)
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(200);
+        const { where, skip, take } = prisma.vote.findMany.mock.calls[0][0];
+        expect(where.AND[1]).toEqual({
+            OR: [{ createdAt: { lt: at(5) } }, { createdAt: at(5), id: { lt: 'vote-5' } }]
+        });
+        expect(skip).toBeUndefined();
+        expect(take).toBe(3);
+        expect(res.body.data.pagination).toEqual({ limit: 2, total: 0, hasMore: false, nextCursor: null });
+    });
+
+    test('an invalid cursor is rejected with INVALID_CURSOR', async () => {
+        const res = await request(app)
+            .get('/api/votes/my?cursor=bm90LWpzb24')
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('INVALID_CURSOR');
+    });
+});
@@ -0,0 +1,97 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+const { matchesWhere } = require('./helpers/where');
+const { visiblePollWhere } = require('../services/pollVisibilityService');
+
+const author = makeUser('author');
+const invitee = makeUser('invitee');
+// Registered with the invited address without owning it
+const squatter = makeUser('squatter', { email: 'boss@example.com', emailVerifiedAt: null });
+
+const invitePoll = {
+    id: 'poll-1',
+    authorId: author.id,
+    isPublished: true,
+    isUnlisted: false,
+    accessMode: 'invite',
+    shareLink: null,
+    votes: [],
+    invites: [
+        { email: invitee.email, userId: invitee.id },
+        { email: 'boss@example.com', userId: null }
+    ]
+};
+
+const canOpen = (user) => matchesWhere(invitePoll, visiblePollWhere(user));
+
+describe('invite-only access', () => {
+    test('linked invitees can open the poll', () => {
+        expect(canOpen(invitee)).toBe(true);
+        expect(canOpen(author)).toBe(true);
+    });
+
+    test('an unlinked email invite grants nothing, even to an account with that email', () => {
+        expect(canOpen(squatter)).toBe(false);
+        expect(canOpen({ ...squatter, emailVerifiedAt: new Date() })).toBe(false);
+    });
+});
+
+describe('POST /api/polls/:pollId/invites', () => {
+    let authorAuth;
+
+    beforeEach(() => {
+        [authorAuth] = signIn(author);
+        prisma.poll.findUnique.mockResolvedValue(invitePoll);
+    });
+
+    test('emails are only linked to accounts that verified them', async () => {
+        const verified = makeUser('verified', { email: 'verified@example.com' });
+        prisma.user.findMany.mockResolvedValue([squatter, verified]);
+
+        const res = await request(app)
+            .post(`/api/polls/${invitePoll.id}/invites`)
+            .set('Authorization', authorAuth)
+            .send({ emails: ['Boss@example.com', 'verified@example.com'] });
+
+        expect(res.status).toBe(201);
+        expect(prisma.pollInvite.createMany).toHaveBeenCalledWith(expect.objectContaining({
+            data: expect.arrayContaining([
+                { pollId: invitePoll.id, email: 'boss@example.com', userId: null },
+                { pollId: invitePoll.id, email: 'verified@example.com', userId: verified.id }
+            ])
+        }));
+    });
+
+    test('inviting by user id links the account', async () => {
+        prisma.user.findMany.mockResolvedValue([squatter]);
+
+        await request(app)
+            .post(`/api/polls/${invitePoll.id}/invites`)
+            .set('Authorization', authorAuth)
+            .send({ userIds: [squatter.id] });
+
+        expect(prisma.pollInvite.createMany).toHaveBeenCalledWith(expect.objectContaining({
+            data: [{ pollId: invitePoll.id, email: 'boss@example.com', userId: squatter.id }]
+        }));
+    });
+});
+
+describe('POST /api/users/verify-email', () => {
+    test('verifying an address links the invites sent to it', async () => {
+        prisma.userToken.updateMany.mockResolvedValue({ count: 1 });
+        prisma.userToken.findUnique.mockResolvedValue({ userId: squatter.id, email: squatter.email });
+        prisma.user.findUnique.mockResolvedValue(squatter);
+
+        const res = await request(app)
+            .post('/api/users/verify-email')
+            .send({ token: 'verification-token' });
+
+        expect(res.status).toBe(200);
+        expect(prisma.pollInvite.updateMany).toHaveBeenCalledWith({
+            where: { userId: null, email: 'boss@example.com' },
+            data: { userId: squatter.id }
+        });
+    });
+});
@@ -0,0 +1,102 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+
+const alice = makeUser('alice');
+
+const poll = {
+    id: 'poll-1',
+    authorId: alice.id,
+    isPublished: true,
+    status: 'open',
+    votingMode: 'single',
+    opensAt: null,
+    closesAt: null,
+    minSelections: null,
+    maxSelections: null,
+    currentVersion: 1
+};
+
+const option = (id, position, votes = 0) => ({
+    id,
+    text: `Option ${position}`,
+    description: null,
+    imageUrl: null,
+    allowsFreeText: false,
+    position,
+    _count: { votes }
+});
+
+let aliceAuth;
+
+beforeEach(() => {
+    [aliceAuth] = signIn(alice);
+    prisma.poll.findUnique.mockResolvedValue(poll);
+    // Read before the transaction: option-1 has no votes yet
+    prisma.pollOption.findMany.mockResolvedValue([option('option-1', 0), option('option-2', 1), option('option-3', 2)]);
+});
+
+const deleteOption = (query = '') => request(app)
+    .delete(`/api/polls/${poll.id}/options/option-1${query}`)
+    .set('Authorization', aliceAuth);
+
+describe('deleting an option', () => {
+    test('votes cast after the options were read block a removal without migrateToOptionId', async () => {
+        prisma.vote.count.mockResolvedValue(1);
+
+        const res = await deleteOption();
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('OPTION_HAS_VOTES');
+        expect(prisma.pollOption.delete).not.toHaveBeenCalled();
+    });
+
+    test('votes cast after the options were read are migrated', async () => {
+        const vote = { id: 'vote-1', userId: 'bob', pollOptionId: 'option-1', rank: null };
+        prisma.vote.count.mockResolvedValue(1);
+        prisma.vote.findMany.mockResolvedValue([vote]);
+
+        const res = await deleteOption('?migrateToOptionId=option-2');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.migratedVotes).toBe(1);
+        expect(prisma.vote.update).toHaveBeenCalledWith({
+            where: { id: vote.id },
+            data: { pollOptionId: 'option-2', freeText: null }
+        });
+        expect(prisma.pollOption.delete).toHaveBeenCalledWith({ where: { id: 'option-1' } });
+    });
+
+    test('votes are counted inside the serializable transaction', async () => {
+        const calls = [];
+        let inTransaction = false;
+        prisma.$transaction.mockImplementation(async (callback, options) => {
+            calls.push(['transaction', options]);
+            inTransaction = true;
+            try {
+                return await callback(prisma);
+            } finally {
+                inTransaction = false;
+            }
+        });
+        prisma.vote.count.mockImplementation(async () => {
+            calls.push(['count', inTransaction]);
+            return 0;
+        });
+
+        const res = await deleteOption();
+
+        expect(res.status).toBe(200);
+        expect(calls).toEqual([['transaction', { isolationLevel: 'Serializable' }], ['count', true]]);
+    });
+
+    test('a serialization failure is reported as a conflict', async () => {
+        prisma.$transaction.mockRejectedValue(Object.assign(new Error('write conflict'), { code: 'P2034' }));
+
+        const res = await deleteOption();
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('OPTION_CONFLICT');
+    });
+});
@@ -0,0 +1,42 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+
+const alice = makeUser('alice');
+
+const poll = { id: 'poll-1', authorId: alice.id, currentVersion: 3 };
+
+const revision = (version) => ({ id: `revision-${version}`, pollId: poll.id, version, change: 'question' });
+
+let aliceAuth;
+
+beforeEach(() => {
+    [aliceAuth] = signIn(alice);
+    prisma.poll.findUnique.mockResolvedValue(poll);
+});
+
+describe('GET /api/polls/:pollId/revisions', () => {
+    test('pages through revisions newest first with the shared pagination shape', async () => {
+        // limit + 1 rows: another page follows
+        prisma.pollRevision.findMany.mockResolvedValue([revision(3), revision(2), revision(1)]);
+        prisma.pollRevision.count.mockResolvedValue(3);
+
+        const res = await request(app)
+            .get(`/api/polls/${poll.id}/revisions?limit=2`)
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(200);
+        expect(prisma.pollRevision.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { pollId: poll.id },
+            orderBy: [{ version: 'desc' }, { id: 'desc' }],
+            skip: 0,
+            take: 3
+        }));
+        expect(res.body.data).toMatchObject({
+            currentVersion: 3,
+            revisions: [{ version: 3 }, { version: 2 }],
+            pagination: { page: 1, limit: 2, total: 3, pages: 2, hasMore: true, nextCursor: null }
+        });
+    });
+});
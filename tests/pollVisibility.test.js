@@ -0,0 +1,174 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+const { matchesWhere } = require('./helpers/where');
+const { visiblePollWhere, findVisiblePoll } = require('../services/pollVisibilityService');
+
+const alice = makeUser('alice');
+const bob = makeUser('bob');
+const admin = makeUser('admin', { role: 'admin' });
+
+const makePoll = (id, fields = {}) => ({
+    id,
+    question: `Poll ${id}`,
+    authorId: alice.id,
+    isPublished: true,
+    isUnlisted: false,
+    accessMode: 'public',
+    resultsVisibility: 'always',
+    voterVisibility: 'author',
+    votingMode: 'single',
+    status: 'open',
+    opensAt: null,
+    closesAt: null,
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+    shareLink: null,
+    invites: [],
+    votes: [],
+    options: [],
+    tags: [],
+    _count: { votes: 0 },
+    ...fields
+});
+
+const draft = makePoll('draft', { isPublished: false });
+const unlisted = makePoll('unlisted', { isUnlisted: true });
+const published = makePoll('published');
+const sealed = makePoll('sealed', { isUnlisted: true, resultsVisibility: 'after_close' });
+const polls = [draft, unlisted, published, sealed];
+
+// Serve poll reads from the fixtures, filtered by the real where clauses
+const stubPollQueries = (client) => {
+    client.poll.findFirst.mockImplementation(async ({ where }) => polls.find(poll => matchesWhere(poll, where)) ?? null);
+    client.poll.findMany.mockImplementation(async ({ where }) => polls.filter(poll => matchesWhere(poll, where)));
+    client.poll.count.mockImplementation(async ({ where }) => polls.filter(poll => matchesWhere(poll, where)).length);
+};
+
+const visibleTo = (user, options) => polls
+    .filter(poll => matchesWhere(poll, visiblePollWhere(user, options)))
+    .map(poll => poll.id);
+
+describe('visiblePollWhere', () => {
+    test('drafts are visible to their author and admins only', () => {
+        expect(visibleTo(alice)).toContain(draft.id);
+        expect(visibleTo(admin)).toContain(draft.id);
+        expect(visibleTo(bob)).not.toContain(draft.id);
+        expect(visibleTo(null)).not.toContain(draft.id);
+    });
+
+    test('unlisted polls can be read by link but are left out of listings', () => {
+        expect(visibleTo(bob)).toContain(unlisted.id);
+        expect(visibleTo(null)).toContain(unlisted.id);
+        expect(visibleTo(bob, { listed: true })).not.toContain(unlisted.id);
+        expect(visibleTo(null, { listed: true })).not.toContain(unlisted.id);
+    });
+
+    test('authors still see their own unlisted polls and drafts in listings', () => {
+        expect(visibleTo(alice, { listed: true })).toEqual(expect.arrayContaining([draft.id, unlisted.id]));
+    });
+
+    test('published polls are visible to everyone', () => {
+        expect(visibleTo(null, { listed: true })).toEqual([published.id]);
+        expect(visibleTo(bob, { listed: true })).toEqual([published.id]);
+    });
+});
+
+describe('findVisiblePoll', () => {
+    beforeEach(() => stubPollQueries(prisma));
+
+    test('finds a draft for its author and admins only', async () => {
+        expect(await findVisiblePoll(prisma, draft.id, alice)).toBe(draft);
+        expect(await findVisiblePoll(prisma, draft.id, admin)).toBe(draft);
+        expect(await findVisiblePoll(prisma, draft.id, bob)).toBeNull();
+        expect(await findVisiblePoll(prisma, draft.id, null)).toBeNull();
+    });
+
+    test('finds an unlisted poll by id for anyone', async () => {
+        expect(await findVisiblePoll(prisma, unlisted.id, bob)).toBe(unlisted);
+        expect(await findVisiblePoll(prisma, unlisted.id, null)).toBe(unlisted);
+    });
+
+    test('passes extra arguments through to findFirst', async () => {
+        await findVisiblePoll(prisma, published.id, bob, { select: { id: true } });
+
+        expect(prisma.poll.findFirst).toHaveBeenCalledWith(expect.objectContaining({ select: { id: true } }));
+    });
+});
+
+describe('read routes', () => {
+    let aliceAuth;
+    let bobAuth;
+
+    beforeEach(() => {
+        [aliceAuth, bobAuth] = signIn(alice, bob, admin);
+        stubPollQueries(prisma);
+    });
+
+    test('the votes of a draft are not found for other users', async () => {
+        const res = await request(app)
+            .get(`/api/votes/poll/${draft.id}`)
+            .set('Authorization', bobAuth);
+
+        expect(res.status).toBe(404);
+        expect(prisma.vote.findMany).not.toHaveBeenCalled();
+    });
+
+    test('the author can list the votes of their draft', async () => {
+        const res = await request(app)
+            .get(`/api/votes/poll/${draft.id}`)
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(200);
+    });
+
+    test('the votes of a poll whose results are hidden are refused like its stats', async () => {
+        const asBob = await request(app)
+            .get(`/api/votes/poll/${sealed.id}`)
+            .set('Authorization', bobAuth);
+        const asAuthor = await request(app)
+            .get(`/api/votes/poll/${sealed.id}`)
+            .set('Authorization', aliceAuth);
+
+        expect(asBob.status).toBe(403);
+        expect(asBob.body.code).toBe('RESULTS_HIDDEN');
+        expect(asAuthor.status).toBe(200);
+        expect(prisma.vote.findMany).toHaveBeenCalledTimes(1);
+    });
+
+    test('the stats of a draft are not found for other users or anonymous viewers', async () => {
+        const asBob = await request(app)
+            .get(`/api/polls/${draft.id}/stats`)
+            .set('Authorization', bobAuth);
+        const anonymous = await request(app).get(`/api/polls/${draft.id}/stats`);
+
+        expect(asBob.status).toBe(404);
+        expect(anonymous.status).toBe(404);
+    });
+
+    test('a draft is not found by id for other users', async () => {
+        const res = await request(app)
+            .get(`/api/polls/${draft.id}`)
+            .set('Authorization', bobAuth);
+
+        expect(res.status).toBe(404);
+    });
+
+    test('an unlisted poll opens by link but is not listed', async () => {
+        const byLink = await request(app).get(`/api/polls/${unlisted.id}`);
+        const listing = await request(app).get('/api/polls');
+
+        expect(byLink.status).toBe(200);
+        expect(listing.status).toBe(200);
+        expect(listing.body.data.polls.map(poll => poll.id)).toEqual([published.id]);
+    });
+
+    test('other users\' drafts are not listed, even with isPublished=false', async () => {
+        const res = await request(app)
+            .get('/api/polls?isPublished=false')
+            .set('Authorization', bobAuth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.polls).toEqual([]);
+    });
+});
@@ -0,0 +1,119 @@
+// Limits are read when the modules load, so they are set before requiring the app
+process.env.RATE_LIMIT_ENABLED = 'true';
+process.env.RATE_LIMIT_VOTE_MAX = '2';
+process.env.LOGIN_MAX_FAILURES = '3';
+process.env.LOGIN_LOCKOUT_SECONDS = '60';
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+const { setRateLimitStore } = require('../services/rateLimit');
+const { createMemoryStore } = require('../services/rateLimit/memoryStore');
+
+const alice = makeUser('alice');
+const bob = makeUser('bob');
+
+beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+});
+
+describe('vote rate limit', () => {
+    let aliceAuth;
+    let bobAuth;
+
+    beforeEach(() => {
+        [aliceAuth, bobAuth] = signIn(alice, bob);
+    });
+
+    // The vote itself fails (no poll), only the limit matters here
+    const vote = (auth) => request(app)
+        .post('/api/votes')
+        .set('Authorization', auth)
+        .send({ pollId: 'poll-1', pollOptionId: 'option-1' });
+
+    test('requests over the limit get a 429 with Retry-After', async () => {
+        const first = await vote(aliceAuth);
+        await vote(aliceAuth);
+        const third = await vote(aliceAuth);
+
+        expect(first.headers['ratelimit-limit']).toBe('2');
+        expect(first.headers['ratelimit-remaining']).toBe('1');
+        expect(third.status).toBe(429);
+        expect(third.body.code).toBe('RATE_LIMITED');
+        expect(Number(third.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    test('votes are counted per user', async () => {
+        await vote(aliceAuth);
+        await vote(aliceAuth);
+
+        const res = await vote(bobAuth);
+
+        expect(res.status).not.toBe(429);
+    });
+
+    test('requests are let through when the store fails', async () => {
+        const store = createMemoryStore();
+        store.increment = async () => { throw new Error('store unreachable'); };
+        setRateLimitStore(store);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const results = [await vote(aliceAuth), await vote(aliceAuth), await vote(aliceAuth)];
+
+        expect(results.map(res => res.status)).not.toContain(429);
+        console.error.mockRestore();
+    });
+});
+
+describe('login lockout', () => {
+    let passwordHash;
+
+    beforeAll(async () => {
+        passwordHash = await bcrypt.hash('correct-password', 4);
+    });
+
+    beforeEach(() => {
+        prisma.user.findUnique.mockImplementation(async ({ where }) =>
+            (where.email === alice.email ? { ...alice, passwordHash } : null));
+    });
+
+    const login = (password, email = alice.email) => request(app)
+        .post('/api/users/login')
+        .send({ email, password });
+
+    test('an account is locked after repeated failures, even for the right password', async () => {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            expect((await login('wrong-password')).status).toBe(401);
+        }
+
+        const res = await login('correct-password');
+
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('LOGIN_LOCKED');
+        expect(res.headers['retry-after']).toBe('60');
+    });
+
+    test('unknown emails are locked the same way', async () => {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            expect((await login('wrong-password', 'nobody@example.com')).status).toBe(401);
+        }
+
+        const res = await login('wrong-password', 'nobody@example.com');
+
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('LOGIN_LOCKED');
+    });
+
+    test('a successful login forgets earlier failures', async () => {
+        await login('wrong-password');
+        await login('wrong-password');
+        expect((await login('correct-password')).status).toBe(200);
+
+        await login('wrong-password');
+        await login('wrong-password');
+
+        expect((await login('correct-password')).status).toBe(200);
+    });
+});
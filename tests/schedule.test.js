@@ -0,0 +1,138 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+const { matchesWhere } = require('./helpers/where');
+const { runPollTransitions } = require('../services/pollScheduler');
+const { broadcastPollUpdate } = require('../services/socketService');
+
+jest.mock('../services/socketService', () => ({
+    ...jest.requireActual('../services/socketService'),
+    broadcastPollUpdate: jest.fn()
+}));
+
+const alice = makeUser('alice');
+
+const now = new Date('2026-06-01T12:00:00Z');
+const minutes = (count) => new Date(now.getTime() + count * 60 * 1000);
+
+let polls;
+
+beforeEach(() => {
+    broadcastPollUpdate.mockClear();
+    polls = [
+        { id: 'due-to-open', status: 'scheduled', opensAt: minutes(-1), closesAt: minutes(60) },
+        { id: 'not-yet-open', status: 'scheduled', opensAt: minutes(1), closesAt: null },
+        { id: 'due-to-close', status: 'open', opensAt: null, closesAt: minutes(-1) },
+        { id: 'window-passed', status: 'scheduled', opensAt: minutes(-60), closesAt: minutes(-1) },
+        { id: 'still-open', status: 'open', opensAt: null, closesAt: minutes(1) }
+    ];
+
+    // Run the scheduler's clauses against the fixtures
+    prisma.poll.findMany.mockImplementation(async ({ where }) => polls.filter(poll => matchesWhere(poll, where)));
+    prisma.poll.updateMany.mockImplementation(async ({ where, data }) => {
+        const matching = polls.filter(poll => matchesWhere(poll, where));
+        matching.forEach(poll => Object.assign(poll, data));
+        return { count: matching.length };
+    });
+});
+
+const statusOf = (id) => polls.find(poll => poll.id === id).status;
+
+describe('runPollTransitions', () => {
+    test('opens and closes polls whose window started or ended', async () => {
+        await runPollTransitions(now);
+
+        expect(statusOf('due-to-open')).toBe('open');
+        expect(statusOf('not-yet-open')).toBe('scheduled');
+        expect(statusOf('due-to-close')).toBe('closed');
+        expect(statusOf('still-open')).toBe('open');
+        // A window that passed between two runs closes without opening
+        expect(statusOf('window-passed')).toBe('closed');
+        expect(broadcastPollUpdate.mock.calls).toEqual([
+            ['due-to-open', 'opened', { status: 'open', openedAt: now.toISOString() }],
+            ['due-to-close', 'closed', { status: 'closed', closedAt: now.toISOString() }],
+            ['window-passed', 'closed', { status: 'closed', closedAt: now.toISOString() }]
+        ]);
+    });
+
+    test('broadcasts each transition once', async () => {
+        await runPollTransitions(now);
+        broadcastPollUpdate.mockClear();
+
+        await runPollTransitions(now);
+
+        expect(broadcastPollUpdate).not.toHaveBeenCalled();
+    });
+
+    test('skips the broadcast when another process made the transition first', async () => {
+        prisma.poll.updateMany.mockResolvedValue({ count: 0 });
+
+        await runPollTransitions(now);
+
+        expect(broadcastPollUpdate).not.toHaveBeenCalled();
+    });
+});
+
+describe('voting window', () => {
+    const poll = {
+        id: 'poll-1',
+        authorId: 'author',
+        isPublished: true,
+        votingMode: 'single',
+        minSelections: null,
+        maxSelections: null,
+        options: [{ id: 'option-1', allowsFreeText: false }]
+    };
+
+    const vote = () => request(app)
+        .post('/api/votes')
+        .set('Authorization', signIn(alice)[0])
+        .send({ pollId: poll.id, pollOptionId: 'option-1' });
+
+    test('votes before opensAt are rejected, even if the scheduler has not run', async () => {
+        prisma.poll.findFirst.mockResolvedValue({ ...poll, status: 'scheduled', opensAt: new Date(Date.now() + 60000), closesAt: null });
+
+        const res = await vote();
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('POLL_NOT_OPEN');
+        expect(prisma.vote.create).not.toHaveBeenCalled();
+    });
+
+    test('votes after closesAt are rejected while the poll is still marked open', async () => {
+        prisma.poll.findFirst.mockResolvedValue({ ...poll, status: 'open', opensAt: null, closesAt: new Date(Date.now() - 60000) });
+
+        const res = await vote();
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('POLL_CLOSED');
+        expect(prisma.vote.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /api/polls with a voting window', () => {
+    const createPoll = (fields) => request(app)
+        .post('/api/polls')
+        .set('Authorization', signIn(alice)[0])
+        .send({ question: 'Lunch?', options: [{ text: 'Pizza' }, { text: 'Salad' }], ...fields });
+
+    test('closesAt must come after opensAt', async () => {
+        const res = await createPoll({ opensAt: '2026-06-02T10:00:00Z', closesAt: '2026-06-02T09:00:00Z' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('closesAt must be after opensAt');
+        expect(prisma.poll.create).not.toHaveBeenCalled();
+    });
+
+    test('a poll that opens later is created as scheduled', async () => {
+        const opensAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+        const res = await createPoll({ opensAt });
+
+        expect(res.status).toBe(201);
+        expect(prisma.poll.create).toHaveBeenCalledWith(expect.objectContaining({
+            data: expect.objectContaining({ status: 'scheduled', opensAt: new Date(opensAt) })
+        }));
+    });
+});
@@ -0,0 +1,85 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+const { ensureSearchIndexes, searchPolls } = require('../services/searchService');
+
+const alice = makeUser('alice');
+const admin = makeUser('admin', { role: 'admin' });
+
+// Flatten a (mocked) Prisma.sql fragment into SQL text and bound values
+const render = ({ strings, values }, params = []) => {
+    const text = strings.reduce((sql, part, index) => {
+        if (index === 0) {
+            return part;
+        }
+
+        const value = values[index - 1];
+        if (value && Array.isArray(value.strings)) {
+            return sql + render(value, params).text + part;
+        }
+
+        params.push(value);
+        return `${sql}$${params.length}${part}`;
+    }, '');
+
+    return { text: text.replace(/\s+/g, ' '), params };
+};
+
+// Run a search as a viewer and return the query that was sent
+const searchAs = async (user) => {
+    await searchPolls(prisma, 'cats', user);
+    const [strings, ...values] = prisma.$queryRaw.mock.calls[0];
+    return render({ strings, values });
+};
+
+const beforeLimit = (text, fragment) => text.indexOf(fragment) !== -1 && text.indexOf(fragment) < text.indexOf('LIMIT');
+
+describe('searchPolls', () => {
+    test('anonymous searches only rank published, listed, public polls', async () => {
+        const { text } = await searchAs(null);
+
+        expect(beforeLimit(text, 'p."isPublished" AND NOT p."isUnlisted" AND p."accessMode" = \'public\'')).toBe(true);
+    });
+
+    test('signed-in searches also rank the viewer\'s own polls and invite-only polls they were invited to', async () => {
+        const { text, params } = await searchAs(alice);
+
+        expect(beforeLimit(text, 'p."authorId" = $')).toBe(true);
+        expect(beforeLimit(text, 'i."userId" = $')).toBe(true);
+        expect(params.filter(param => param === alice.id)).toHaveLength(2);
+    });
+
+    test('admin searches are not restricted', async () => {
+        const { text } = await searchAs(admin);
+
+        expect(beforeLimit(text, 'WHERE TRUE')).toBe(true);
+    });
+
+    test('matches use the expressions of the search indexes', async () => {
+        await ensureSearchIndexes();
+        const indexes = prisma.$executeRaw.mock.calls.map(([strings, ...values]) => render({ strings, values }).text);
+        const { text } = await searchAs(null);
+
+        expect(indexes).toEqual([
+            expect.stringContaining('ON polls USING GIN (to_tsvector(\'english\'::regconfig, question))'),
+            expect.stringContaining('ON poll_options USING GIN (to_tsvector(\'english\'::regconfig, text))')
+        ]);
+        expect(text).toContain('FROM polls, query WHERE to_tsvector(\'english\'::regconfig, question) @@ query.q');
+        expect(text).toContain('FROM poll_options, query WHERE to_tsvector(\'english\'::regconfig, text) @@ query.q');
+    });
+});
+
+describe('GET /api/polls?search=', () => {
+    test('searches as the signed-in viewer', async () => {
+        const [aliceAuth] = signIn(alice);
+
+        const res = await request(app)
+            .get('/api/polls?search=cats')
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(200);
+        const [strings, ...values] = prisma.$queryRaw.mock.calls[0];
+        expect(render({ strings, values }).params).toContain(alice.id);
+    });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+const { generateTokens, verifyToken } = require('../services/jwtService');
+
+const alice = makeUser('alice');
+
+const session = (fields = {}) => ({
+    id: 'session-1',
+    userId: alice.id,
+    refreshTokenId: 'refresh-1',
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    user: alice,
+    ...fields
+});
+
+// Refresh token issued for session-1 as refresh-1
+const { refreshToken } = generateTokens(alice, { sessionId: 'session-1', refreshTokenId: 'refresh-1' });
+
+const refresh = () => request(app)
+    .post('/api/users/refresh-token')
+    .send({ refreshToken });
+
+describe('POST /api/users/refresh-token', () => {
+    test('a current refresh token is swapped for a new pair', async () => {
+        prisma.session.findUnique.mockResolvedValue(session());
+        prisma.session.updateMany.mockResolvedValue({ count: 1 });
+
+        const res = await refresh();
+
+        expect(res.status).toBe(200);
+        const rotated = verifyToken(res.body.data.refreshToken, 'refresh');
+        expect(rotated).toMatchObject({ sid: 'session-1', userId: alice.id });
+        expect(rotated.jti).not.toBe('refresh-1');
+        // The swap only applies if nobody rotated the same token first
+        expect(prisma.session.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { id: 'session-1', refreshTokenId: 'refresh-1', revokedAt: null },
+            data: expect.objectContaining({ refreshTokenId: rotated.jti })
+        }));
+    });
+
+    test('reusing an old refresh token revokes the session', async () => {
+        prisma.session.findUnique.mockResolvedValue(session({ refreshTokenId: 'refresh-2' }));
+        prisma.session.updateMany.mockResolvedValue({ count: 1 });
+
+        const res = await refresh();
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('REFRESH_TOKEN_REUSED');
+        expect(prisma.session.updateMany).toHaveBeenCalledWith({
+            where: { id: 'session-1', revokedAt: null },
+            data: { revokedAt: expect.any(Date), revokedReason: 'reuse_detected' }
+        });
+    });
+
+    test('losing a race with a parallel refresh of the same token revokes the session', async () => {
+        prisma.session.findUnique.mockResolvedValue(session());
+        prisma.session.updateMany
+            .mockResolvedValueOnce({ count: 0 })
+            .mockResolvedValueOnce({ count: 1 });
+
+        const res = await refresh();
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('REFRESH_TOKEN_REUSED');
+        expect(prisma.session.updateMany).toHaveBeenLastCalledWith(expect.objectContaining({
+            data: { revokedAt: expect.any(Date), revokedReason: 'reuse_detected' }
+        }));
+    });
+
+    test('a revoked session cannot be refreshed', async () => {
+        prisma.session.findUnique.mockResolvedValue(session({ revokedAt: new Date() }));
+
+        const res = await refresh();
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('SESSION_REVOKED');
+        expect(prisma.session.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('a suspended account gets no new tokens', async () => {
+        prisma.session.findUnique.mockResolvedValue(session({ user: { ...alice, suspendedAt: new Date() } }));
+        prisma.session.updateMany.mockResolvedValue({ count: 1 });
+
+        const res = await refresh();
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('ACCOUNT_SUSPENDED');
+    });
+});
+
+describe('session management', () => {
+    let aliceAuth;
+
+    beforeEach(() => {
+        [aliceAuth] = signIn(alice);
+    });
+
+    test('access tokens of a revoked session are rejected', async () => {
+        prisma.session.findUnique.mockResolvedValue({ userId: alice.id, revokedAt: new Date(), expiresAt: new Date(Date.now() + 60000) });
+
+        const res = await request(app)
+            .get('/api/users/me')
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(401);
+    });
+
+    test('a user can only revoke their own sessions', async () => {
+        const res = await request(app)
+            .delete('/api/users/me/sessions/session-of-bob')
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(404);
+        expect(prisma.session.updateMany).toHaveBeenCalledWith({
+            where: { id: 'session-of-bob', revokedAt: null, userId: alice.id },
+            data: { revokedAt: expect.any(Date), revokedReason: 'logout' }
+        });
+    });
+
+    test('logging out everywhere revokes every session of the user', async () => {
+        prisma.session.updateMany.mockResolvedValue({ count: 3 });
+
+        const res = await request(app)
+            .delete('/api/users/me/sessions')
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual({ revoked: 3 });
+        expect(prisma.session.updateMany).toHaveBeenCalledWith({
+            where: { userId: alice.id, revokedAt: null },
+            data: { revokedAt: expect.any(Date), revokedReason: 'logout_all' }
+        });
+    });
+});
@@ -0,0 +1,10 @@
+// Environment for every test file (loaded before the app's modules read it)
+process.env.JWT_SECRET = 'test-secret';
+process.env.RATE_LIMIT_ENABLED = 'false';
+process.env.MAIL_TRANSPORT = 'console';
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+// @prisma/client is replaced by the in-memory stand-in (see helpers/prisma.js)
+jest.mock('@prisma/client', () => require('./helpers/prisma'));
+
+beforeEach(() => require('./helpers/prisma').resetPrisma());
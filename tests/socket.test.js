@@ -0,0 +1,215 @@
+const http = require('http');
+const request = require('supertest');
+const { io: connectClient } = require('socket.io-client');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+const { matchesWhere } = require('./helpers/where');
+const { initializeSocket, closeSocket, getConnectedUsers, getPollRoomUsers, revalidatePollRoom } = require('../services/socketService');
+
+const author = makeUser('author');
+const viewer = makeUser('viewer');
+
+let poll;
+let url;
+let clients = [];
+
+const buildPoll = (fields = {}) => ({
+    id: 'poll-1',
+    authorId: author.id,
+    question: 'Lunch?',
+    votingMode: 'single',
+    resultsVisibility: 'always',
+    isPublished: true,
+    isUnlisted: false,
+    accessMode: 'public',
+    shareLink: null,
+    votes: [],
+    invites: [],
+    options: [],
+    _count: { votes: 0 },
+    ...fields
+});
+
+/**
+ * Connect a client (a spectator without a token) and wait until it is accepted
+ */
+const connect = (authorization) => {
+    const client = connectClient(url, {
+        transports: ['websocket'],
+        forceNew: true,
+        reconnection: false,
+        auth: authorization ? { token: authorization.replace('Bearer ', '') } : {}
+    });
+    clients.push(client);
+
+    return new Promise((resolve, reject) => {
+        client.once('connect', () => resolve(client));
+        client.once('connect_error', reject);
+    });
+};
+
+const join = (client, payload) => client.timeout(2000).emitWithAck('join-poll', payload);
+
+const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+/**
+ * Wait until the server has seen clients disconnect, down to `remaining`
+ */
+const waitForDisconnects = async (remaining = 0) => {
+    while ((await getConnectedUsers()) > remaining) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+beforeAll(async () => {
+    const server = http.createServer();
+    await initializeSocket(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await closeSocket();
+});
+
+beforeEach(() => {
+    poll = buildPoll();
+    // Access checks run the real visibility clauses against the fixture
+    prisma.poll.findFirst.mockImplementation(async ({ where }) => (matchesWhere(poll, where) ? { id: poll.id } : null));
+    prisma.poll.findUnique.mockImplementation(async () => poll);
+});
+
+afterEach(async () => {
+    clients.forEach(client => client.disconnect());
+    clients = [];
+    await waitForDisconnects();
+});
+
+describe('join-poll', () => {
+    test('joins the room and acknowledges with a snapshot', async () => {
+        const client = await connect();
+
+        const response = await join(client, poll.id);
+
+        expect(response).toMatchObject({ success: true, pollId: poll.id, snapshot: { pollId: poll.id, totalVotes: 0 } });
+        expect(await getPollRoomUsers(poll.id)).toBe(1);
+    });
+
+    test('does not join the room when the snapshot fails', async () => {
+        const client = await connect();
+        prisma.poll.findUnique.mockRejectedValue(new Error('connection lost'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const response = await join(client, poll.id);
+
+        expect(response).toEqual({ success: false, pollId: poll.id, message: 'Could not join poll' });
+        expect(await getPollRoomUsers(poll.id)).toBe(0);
+        console.error.mockRestore();
+    });
+
+    test('does not join the room of a poll the viewer cannot open', async () => {
+        poll = buildPoll({ isPublished: false });
+        const client = await connect();
+
+        const response = await join(client, poll.id);
+
+        expect(response).toMatchObject({ success: false, message: 'Poll not found' });
+        expect(await getPollRoomUsers(poll.id)).toBe(0);
+    });
+});
+
+describe('revalidatePollRoom', () => {
+    test('removes sockets that lost access and keeps the others', async () => {
+        const [authorization] = signIn(author);
+        const owner = await connect(authorization);
+        const spectator = await connect();
+        await join(owner, poll.id);
+        await join(spectator, poll.id);
+
+        poll = buildPoll({ isPublished: false });
+        const revoked = nextEvent(spectator, 'poll-update');
+        await revalidatePollRoom(poll.id);
+
+        expect(await revoked).toMatchObject({ pollId: poll.id, updateType: 'access-revoked' });
+        expect(await getPollRoomUsers(poll.id)).toBe(1);
+    });
+
+    test('removes sockets that joined with a rotated share token', async () => {
+        poll = buildPoll({ accessMode: 'link', shareLink: { token: 'old-token' } });
+        const [authorization] = signIn(author);
+        const spectator = await connect();
+        expect(await join(spectator, { pollId: poll.id, shareToken: 'old-token' })).toMatchObject({ success: true });
+
+        prisma.pollShareLink.upsert.mockImplementation(async ({ update }) => {
+            poll.shareLink = { token: update.token };
+            return { token: update.token, createdAt: update.createdAt };
+        });
+        const revoked = nextEvent(spectator, 'poll-update');
+
+        const res = await request(app)
+            .post(`/api/polls/${poll.id}/share-link/rotate`)
+            .set('Authorization', authorization);
+
+        expect(res.status).toBe(200);
+        expect(await revoked).toMatchObject({ updateType: 'access-revoked' });
+        expect(await getPollRoomUsers(poll.id)).toBe(0);
+    });
+
+    test('removes an invitee whose invite was removed', async () => {
+        poll = buildPoll({ accessMode: 'invite', invites: [{ id: 'invite-1', userId: viewer.id }] });
+        const [authorAuthorization, viewerAuthorization] = signIn(author, viewer);
+        const invitee = await connect(viewerAuthorization);
+        expect(await join(invitee, poll.id)).toMatchObject({ success: true });
+
+        prisma.pollInvite.deleteMany.mockImplementation(async () => {
+            poll.invites = [];
+            return { count: 1 };
+        });
+        const revoked = nextEvent(invitee, 'poll-update');
+
+        const res = await request(app)
+            .delete(`/api/polls/${poll.id}/invites/invite-1`)
+            .set('Authorization', authorAuthorization);
+
+        expect(res.status).toBe(200);
+        expect(await revoked).toMatchObject({ updateType: 'access-revoked' });
+        expect(await getPollRoomUsers(poll.id)).toBe(0);
+    });
+});
+
+describe('spectator limits', () => {
+    test('an IP can keep SPECTATOR_MAX_CONNECTIONS_PER_IP spectator sockets open', async () => {
+        const spectators = await Promise.all(Array.from({ length: 5 }, () => connect()));
+
+        await expect(connect()).rejects.toThrow('Too many spectator connections from this address');
+
+        // A closed socket frees its slot
+        spectators[0].disconnect();
+        await waitForDisconnects(4);
+        await expect(connect()).resolves.toBeDefined();
+    });
+
+    test('signed-in sockets are not counted', async () => {
+        const [authorization] = signIn(author);
+        await Promise.all(Array.from({ length: 5 }, () => connect()));
+
+        await expect(connect(authorization)).resolves.toBeDefined();
+    });
+
+    test('a spectator can watch at most SPECTATOR_MAX_ROOMS polls', async () => {
+        prisma.poll.findFirst.mockImplementation(async ({ where }) => ({ id: where.AND[0].id }));
+        const spectator = await connect();
+
+        for (let index = 1; index <= 10; index++) {
+            expect(await join(spectator, `poll-${index}`)).toMatchObject({ success: true });
+        }
+
+        expect(await join(spectator, 'poll-11')).toMatchObject({
+            success: false,
+            message: 'Spectators can watch at most 10 polls at once'
+        });
+        // Rejoining a watched poll still works
+        expect(await join(spectator, 'poll-1')).toMatchObject({ success: true });
+    });
+});
@@ -0,0 +1,86 @@
+// Stand-ins for the Redis / PostgreSQL connections, so no server is needed
+const mockRedisClient = () => ({
+    on: jest.fn(),
+    connect: jest.fn().mockResolvedValue(),
+    quit: jest.fn().mockResolvedValue()
+});
+
+jest.mock('redis', () => ({
+    createClient: jest.fn(() => {
+        const pubClient = mockRedisClient();
+        const subClient = mockRedisClient();
+        pubClient.duplicate = jest.fn(() => subClient);
+        return pubClient;
+    })
+}));
+jest.mock('@socket.io/redis-adapter', () => ({ createAdapter: jest.fn(() => 'redis-adapter') }));
+jest.mock('@socket.io/postgres-adapter', () => ({ createAdapter: jest.fn(() => 'postgres-adapter') }));
+jest.mock('../db', () => ({ pool: { name: 'pool' } }));
+
+const { createClient } = require('redis');
+const redisAdapter = require('@socket.io/redis-adapter');
+const postgresAdapter = require('@socket.io/postgres-adapter');
+const { pool } = require('../db');
+const { createSocketAdapter } = require('../services/socketAdapters');
+
+afterEach(() => {
+    delete process.env.SOCKET_ADAPTER;
+    delete process.env.SOCKET_ADAPTER_KEY;
+    jest.clearAllMocks();
+});
+
+describe('createSocketAdapter', () => {
+    test('uses the built-in in-process adapter by default', async () => {
+        const socketAdapter = await createSocketAdapter();
+
+        expect(socketAdapter).toMatchObject({ name: 'memory', adapter: null });
+        expect(createClient).not.toHaveBeenCalled();
+    });
+
+    test('rejects an unknown SOCKET_ADAPTER', () => {
+        process.env.SOCKET_ADAPTER = 'kafka';
+
+        expect(() => createSocketAdapter()).toThrow('Unknown Socket.IO adapter: kafka');
+    });
+
+    test('redis connects a publisher and a subscriber and closes both', async () => {
+        process.env.SOCKET_ADAPTER = 'redis';
+        process.env.SOCKET_ADAPTER_KEY = 'test:socket.io';
+
+        const socketAdapter = await createSocketAdapter();
+
+        const pubClient = createClient.mock.results[0].value;
+        const subClient = pubClient.duplicate.mock.results[0].value;
+        expect(pubClient.connect).toHaveBeenCalled();
+        expect(subClient.connect).toHaveBeenCalled();
+        expect(redisAdapter.createAdapter).toHaveBeenCalledWith(pubClient, subClient, { key: 'test:socket.io' });
+        expect(socketAdapter).toMatchObject({ name: 'redis', adapter: 'redis-adapter' });
+
+        await socketAdapter.close();
+
+        expect(pubClient.quit).toHaveBeenCalled();
+        expect(subClient.quit).toHaveBeenCalled();
+    });
+
+    test('redis fails to start when Redis cannot be reached', async () => {
+        process.env.SOCKET_ADAPTER = 'redis';
+        createClient.mockImplementationOnce(() => {
+            const pubClient = mockRedisClient();
+            pubClient.connect.mockRejectedValue(new Error('ECONNREFUSED'));
+            pubClient.duplicate = jest.fn(() => mockRedisClient());
+            return pubClient;
+        });
+
+        await expect(createSocketAdapter()).rejects.toThrow('ECONNREFUSED');
+        expect(redisAdapter.createAdapter).not.toHaveBeenCalled();
+    });
+
+    test('postgres uses the database pool with the default channel prefix', async () => {
+        process.env.SOCKET_ADAPTER = 'postgres';
+
+        const socketAdapter = await createSocketAdapter();
+
+        expect(postgresAdapter.createAdapter).toHaveBeenCalledWith(pool, { channelPrefix: 'pulsepoll:socket.io' });
+        expect(socketAdapter).toMatchObject({ name: 'postgres', adapter: 'postgres-adapter' });
+    });
+});
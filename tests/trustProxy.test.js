@@ -0,0 +1,81 @@
+const request = require('supertest');
+
+// Load the trust setting, and an app using it, for one TRUST_PROXY value
+const loadWithTrustProxy = (value) => {
+    let modules;
+    process.env.TRUST_PROXY = value;
+    jest.isolateModules(() => {
+        modules = {
+            app: require('../app'),
+            getRequestIp: require('../utils/trustProxy').getRequestIp
+        };
+    });
+    delete process.env.TRUST_PROXY;
+    return modules;
+};
+
+// A raw handshake request as Socket.IO sees it
+const handshake = (remoteAddress, forwardedFor) => ({
+    headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {},
+    socket: { remoteAddress }
+});
+
+describe('getRequestIp', () => {
+    test('takes the right-most address the trusted hops forwarded, not one the client wrote', () => {
+        const { getRequestIp } = loadWithTrustProxy('1');
+
+        expect(getRequestIp(handshake('10.0.0.1', '6.6.6.6, 203.0.113.7'))).toBe('203.0.113.7');
+    });
+
+    test('skips as many addresses as there are trusted hops', () => {
+        const { getRequestIp } = loadWithTrustProxy('2');
+
+        expect(getRequestIp(handshake('10.0.0.1', '6.6.6.6, 203.0.113.7, 10.0.0.2'))).toBe('203.0.113.7');
+    });
+
+    test('ignores X-Forwarded-For when no proxy is trusted', () => {
+        const { getRequestIp } = loadWithTrustProxy('');
+
+        expect(getRequestIp(handshake('198.51.100.4', '6.6.6.6'))).toBe('198.51.100.4');
+    });
+
+    test('trusts proxies by address', () => {
+        const { getRequestIp } = loadWithTrustProxy('loopback');
+
+        expect(getRequestIp(handshake('127.0.0.1', '6.6.6.6, 203.0.113.7'))).toBe('203.0.113.7');
+        expect(getRequestIp(handshake('198.51.100.4', '6.6.6.6'))).toBe('198.51.100.4');
+    });
+
+    test('a subnet is a trusted address range, not a hop count', () => {
+        const { getRequestIp } = loadWithTrustProxy('10.0.0.0/8');
+
+        expect(getRequestIp(handshake('10.1.2.3', '6.6.6.6, 203.0.113.7, 10.0.0.2'))).toBe('203.0.113.7');
+        expect(getRequestIp(handshake('198.51.100.4', '6.6.6.6'))).toBe('198.51.100.4');
+    });
+
+    test('a single address is a trusted proxy, not a hop count', () => {
+        const { getRequestIp } = loadWithTrustProxy('127.0.0.1');
+
+        expect(getRequestIp(handshake('127.0.0.1', '6.6.6.6, 203.0.113.7'))).toBe('203.0.113.7');
+        expect(getRequestIp(handshake('198.51.100.4', '6.6.6.6, 203.0.113.7'))).toBe('198.51.100.4');
+    });
+
+    test('true trusts every proxy and false none, as in Express', () => {
+        expect(loadWithTrustProxy('true').getRequestIp(handshake('10.0.0.1', '6.6.6.6, 203.0.113.7'))).toBe('6.6.6.6');
+        expect(loadWithTrustProxy('false').getRequestIp(handshake('10.0.0.1', '6.6.6.6'))).toBe('10.0.0.1');
+    });
+
+    test('resolves the same address as Express\'s req.ip', async () => {
+        const { app, getRequestIp } = loadWithTrustProxy('1');
+        let expressIp;
+        app.get('/__ip', (req, res) => {
+            expressIp = req.ip;
+            res.end();
+        });
+
+        await request(app).get('/__ip').set('X-Forwarded-For', '6.6.6.6, 203.0.113.7');
+
+        expect(expressIp).toBe('203.0.113.7');
+        expect(getRequestIp(handshake('127.0.0.1', '6.6.6.6, 203.0.113.7'))).toBe(expressIp);
+    });
+});
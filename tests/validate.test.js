@@ -0,0 +1,51 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+
+const alice = makeUser('alice');
+
+let aliceAuth;
+
+beforeEach(() => {
+    [aliceAuth] = signIn(alice);
+});
+
+const createPoll = (body) => request(app)
+    .post('/api/polls')
+    .set('Authorization', aliceAuth)
+    .send({ question: 'Pets?', options: [{ text: 'Cats' }, { text: 'Dogs' }], ...body });
+
+const fieldErrors = (res) => res.body.errors.map(({ field, code }) => [field, code]);
+
+describe('empty array items', () => {
+    test('an empty tag is rejected, not dropped', async () => {
+        const res = await createPoll({ tags: [''] });
+
+        expect(res.status).toBe(400);
+        expect(fieldErrors(res)).toEqual([['tags[0]', 'REQUIRED']]);
+        expect(prisma.poll.create).not.toHaveBeenCalled();
+    });
+
+    test('an empty option is rejected, not dropped', async () => {
+        const res = await createPoll({ options: ['', { text: 'a' }] });
+
+        expect(res.status).toBe(400);
+        expect(fieldErrors(res)).toEqual([['options[0]', 'REQUIRED']]);
+        expect(prisma.poll.create).not.toHaveBeenCalled();
+    });
+
+    test('an empty repeated tag query param is rejected', async () => {
+        const res = await request(app).get('/api/polls?tags=&tags=x');
+
+        expect(res.status).toBe(400);
+        expect(fieldErrors(res)).toEqual([['tags[0]', 'REQUIRED']]);
+        expect(prisma.poll.findMany).not.toHaveBeenCalled();
+    });
+
+    test('a comma-separated tag list still skips empty entries', async () => {
+        const res = await request(app).get('/api/polls?tags=x,,y');
+
+        expect(res.status).toBe(200);
+    });
+});
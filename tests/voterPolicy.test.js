@@ -0,0 +1,54 @@
+// Read when the policy module loads, so it is set before the app is required
+process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+
+const verified = makeUser('verified');
+const unverified = makeUser('unverified', { emailVerifiedAt: null });
+
+const poll = {
+    id: 'poll-1',
+    authorId: 'author',
+    isPublished: true,
+    votingMode: 'single',
+    status: 'open',
+    opensAt: null,
+    closesAt: null,
+    minSelections: null,
+    maxSelections: null,
+    options: [{ id: 'option-1', allowsFreeText: false }, { id: 'option-2', allowsFreeText: false }]
+};
+
+let verifiedAuth;
+let unverifiedAuth;
+
+beforeEach(() => {
+    [verifiedAuth, unverifiedAuth] = signIn(verified, unverified);
+    prisma.poll.findFirst.mockResolvedValue(poll);
+});
+
+test.each([
+    ['cast a vote', (agent) => agent.post('/api/votes').send({ pollId: poll.id, pollOptionId: 'option-1' })],
+    ['change a vote', (agent) => agent.put('/api/votes').send({ pollId: poll.id, pollOptionId: 'option-2' })],
+    ['remove a vote', (agent) => agent.delete('/api/votes/option-1')],
+    ['submit a ballot', (agent) => agent.put(`/api/votes/poll/${poll.id}/ballot`).send({ selections: ['option-1'] })]
+])('unverified accounts cannot %s', async (action, send) => {
+    const res = await send(request(app)).set('Authorization', unverifiedAuth);
+
+    expect(res.status).toBe(403);
+    expect(prisma.vote.create).not.toHaveBeenCalled();
+    expect(prisma.vote.createMany).not.toHaveBeenCalled();
+    expect(prisma.vote.delete).not.toHaveBeenCalled();
+});
+
+test('verified accounts can submit a ballot', async () => {
+    const res = await request(app)
+        .put(`/api/votes/poll/${poll.id}/ballot`)
+        .set('Authorization', verifiedAuth)
+        .send({ selections: ['option-1'] });
+
+    expect(res.status).toBe(200);
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+
+const author = makeUser('author');
+const alice = makeUser('alice');
+const bob = makeUser('bob');
+
+const poll = {
+    id: 'poll-1',
+    authorId: author.id,
+    isPublished: true,
+    resultsVisibility: 'always',
+    voterVisibility: 'author'
+};
+
+// Rows as a careless select would load them, with private fields
+const voteRows = [
+    { id: 'vote-1', rank: null, createdAt: new Date(), guestVoterId: null, user: { id: alice.id, name: alice.name, email: alice.email }, pollOption: { id: 'option-1', text: 'Yes' } },
+    { id: 'vote-2', rank: null, createdAt: new Date(), guestVoterId: 'guest-1', user: null, pollOption: { id: 'option-2', text: 'No' } }
+];
+
+let authorAuth;
+let aliceAuth;
+let bobAuth;
+
+beforeEach(() => {
+    [authorAuth, aliceAuth, bobAuth] = signIn(author, alice, bob);
+    prisma.vote.findMany.mockResolvedValue(voteRows);
+});
+
+const getVotes = (auth, pollFields = {}) => {
+    prisma.poll.findFirst.mockResolvedValue({ ...poll, ...pollFields });
+    const req = request(app).get(`/api/votes/poll/${poll.id}`);
+    return auth ? req.set('Authorization', auth) : req;
+};
+
+const voters = (res) => res.body.data.votes.map(vote => vote.user);
+
+describe('GET /api/votes/poll/:pollId', () => {
+    test('voters are hidden from other users when only the author may see them', async () => {
+        const res = await getVotes(bobAuth);
+
+        expect(res.status).toBe(200);
+        expect(voters(res)).toEqual([null, null]);
+        expect(res.body.data.votes.map(vote => vote.isGuest)).toEqual([false, true]);
+    });
+
+    test('the author sees voter names, never their emails', async () => {
+        const res = await getVotes(authorAuth);
+
+        expect(voters(res)).toEqual([{ id: alice.id, name: alice.name }, null]);
+    });
+
+    test('a voter sees their own vote even when voters are hidden', async () => {
+        const res = await getVotes(aliceAuth, { voterVisibility: 'nobody' });
+
+        expect(res.body.data.votes[0]).toMatchObject({ isOwnVote: true, user: { id: alice.id, name: alice.name } });
+        expect(res.body.data.votes[1]).toMatchObject({ isOwnVote: false, user: null });
+    });
+
+    test('public voters are shown to every user without private fields', async () => {
+        const res = await getVotes(bobAuth, { voterVisibility: 'public' });
+
+        expect(voters(res)).toEqual([{ id: alice.id, name: alice.name }, null]);
+    });
+
+    test('only public fields are selected for voters', async () => {
+        await getVotes(authorAuth);
+
+        expect(prisma.vote.findMany.mock.calls[0][0].select.user).toEqual({ select: { id: true, name: true } });
+    });
+});
+
+describe('GET /api/users/:userId', () => {
+    const getProfile = (user, auth) => {
+        prisma.user.findUnique.mockImplementation(async ({ where, select }) => {
+            // The target profile is loaded with a select, the viewer without
+            const users = { [author.id]: author, [alice.id]: alice, [bob.id]: bob };
+            return where.id === user.id && select ? user : users[where.id] ?? null;
+        });
+        return request(app).get(`/api/users/${user.id}`).set('Authorization', auth);
+    };
+
+    test('private profiles only show the name to others', async () => {
+        const res = await getProfile({ ...alice, profileVisibility: 'private' }, bobAuth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual({ id: alice.id, name: alice.name });
+        expect(prisma.poll.findMany).not.toHaveBeenCalled();
+    });
+
+    test('vote history is hidden unless the user opted in', async () => {
+        const res = await getProfile({ ...alice, showVoteHistory: false }, bobAuth);
+
+        expect(res.body.data).not.toHaveProperty('votes');
+        expect(res.body.data).not.toHaveProperty('email');
+        expect(prisma.vote.findMany).not.toHaveBeenCalled();
+    });
+
+    test('shared vote history only covers polls with public voters', async () => {
+        const res = await getProfile({ ...alice, showVoteHistory: true }, bobAuth);
+
+        expect(res.status).toBe(200);
+        expect(prisma.vote.findMany.mock.calls[0][0].where.AND).toContainEqual({ poll: { voterVisibility: 'public' } });
+    });
+
+    test('users see their own private fields', async () => {
+        const res = await getProfile(alice, aliceAuth);
+
+        expect(res.body.data).toMatchObject({ email: alice.email, showVoteHistory: false });
+    });
+});
+
+describe('PUT /api/polls/:pollId', () => {
+    test('voters cannot be made more visible once the poll has votes', async () => {
+        prisma.poll.findUnique.mockResolvedValue({ ...poll, opensAt: null, closesAt: null, status: 'open' });
+        prisma.vote.count.mockResolvedValue(3);
+
+        const res = await request(app)
+            .put(`/api/polls/${poll.id}`)
+            .set('Authorization', authorAuth)
+            .send({ voterVisibility: 'public' });
+
+        expect(res.status).toBe(400);
+        expect(prisma.poll.update).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,262 @@
+const request = require('supertest');
+const app = require('../app');
+const { prisma } = require('./helpers/prisma');
+const { makeUser, signIn } = require('./helpers/auth');
+const { visiblePollWhere } = require('../services/pollVisibilityService');
+
+const alice = makeUser('alice');
+
+const poll = {
+    id: 'poll-1',
+    authorId: 'author',
+    isPublished: true,
+    votingMode: 'single',
+    status: 'open',
+    opensAt: null,
+    closesAt: null,
+    minSelections: null,
+    maxSelections: null,
+    currentVersion: 1,
+    options: [{ id: 'option-1', allowsFreeText: false }, { id: 'option-2', allowsFreeText: false }]
+};
+
+let aliceAuth;
+let inTransaction;
+let queriesInTransaction;
+
+beforeEach(() => {
+    [aliceAuth] = signIn(alice);
+    inTransaction = false;
+    queriesInTransaction = [];
+    prisma.poll.findFirst.mockResolvedValue(poll);
+    prisma.pollOption.findFirst.mockResolvedValue(poll.options[1]);
+    prisma.$transaction.mockImplementation(async (run) => {
+        inTransaction = true;
+        try {
+            return await run(prisma);
+        } finally {
+            inTransaction = false;
+        }
+    });
+    for (const method of ['findUnique', 'count', 'create']) {
+        const fallback = prisma.vote[method].getMockImplementation();
+        prisma.vote[method].mockImplementation(async (args) => {
+            queriesInTransaction.push([method, inTransaction]);
+            return fallback(args);
+        });
+    }
+});
+
+const addVote = () => request(app)
+    .post('/api/votes')
+    .set('Authorization', aliceAuth)
+    .send({ pollId: poll.id, pollOptionId: 'option-2' });
+
+describe('POST /api/votes', () => {
+    test('the selection limit is checked in the same serializable transaction as the insert', async () => {
+        const res = await addVote();
+
+        expect(res.status).toBe(201);
+        expect(prisma.$transaction).toHaveBeenCalledWith(expect.any(Function), { isolationLevel: 'Serializable' });
+        expect(queriesInTransaction).toEqual([['findUnique', true], ['count', true], ['create', true]]);
+    });
+
+    test('a second vote on a single-choice poll is rejected', async () => {
+        prisma.vote.count.mockResolvedValue(1);
+
+        const res = await addVote();
+
+        expect(res.status).toBe(400);
+        expect(prisma.vote.create).not.toHaveBeenCalled();
+    });
+
+    test('a vote that loses a race with a parallel one is rejected with 409', async () => {
+        prisma.$transaction.mockRejectedValue(Object.assign(new Error('Transaction failed due to a write conflict'), { code: 'P2034' }));
+
+        const res = await addVote();
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('VOTE_CONFLICT');
+    });
+});
+
+describe('selection bounds on per-option votes', () => {
+    const pickTwo = { ...poll, votingMode: 'multiple', minSelections: 2, maxSelections: 2 };
+
+    beforeEach(() => {
+        prisma.poll.findFirst.mockResolvedValue(pickTwo);
+    });
+
+    test('a first vote on a poll needing two selections is refused', async () => {
+        prisma.vote.count.mockResolvedValue(0);
+
+        const res = await addVote();
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toContain(`/api/votes/poll/${poll.id}/ballot`);
+        expect(prisma.vote.create).not.toHaveBeenCalled();
+    });
+
+    test('the vote that reaches the minimum is accepted', async () => {
+        prisma.vote.count.mockResolvedValue(1);
+
+        expect((await addVote()).status).toBe(201);
+    });
+});
+
+describe('DELETE /api/votes/:pollOptionId', () => {
+    const pickTwo = { ...poll, votingMode: 'multiple', minSelections: 2, maxSelections: 3 };
+    const vote = { id: 'vote-1', userId: alice.id, pollId: poll.id, pollOptionId: 'option-2' };
+
+    const removeVote = () => request(app)
+        .delete('/api/votes/option-2')
+        .set('Authorization', aliceAuth);
+
+    beforeEach(() => {
+        prisma.vote.findUnique.mockResolvedValue(vote);
+        prisma.poll.findFirst.mockResolvedValue(pickTwo);
+    });
+
+    test('removing a vote that would leave too few selections is refused', async () => {
+        prisma.vote.count.mockResolvedValue(1);
+
+        const res = await removeVote();
+
+        expect(res.status).toBe(400);
+        expect(prisma.vote.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test('the bound is checked in the same serializable transaction as the delete', async () => {
+        prisma.vote.count.mockImplementation(async () => {
+            queriesInTransaction.push(['count', inTransaction]);
+            return 2;
+        });
+        prisma.vote.deleteMany.mockImplementation(async () => {
+            queriesInTransaction.push(['deleteMany', inTransaction]);
+            return { count: 1 };
+        });
+
+        const res = await removeVote();
+
+        expect(res.status).toBe(200);
+        expect(prisma.$transaction).toHaveBeenCalledWith(expect.any(Function), { isolationLevel: 'Serializable' });
+        expect(queriesInTransaction).toEqual([['count', true], ['deleteMany', true]]);
+    });
+
+    test('the last vote can be withdrawn', async () => {
+        prisma.vote.count.mockResolvedValue(0);
+
+        expect((await removeVote()).status).toBe(200);
+        expect(prisma.vote.deleteMany).toHaveBeenCalledWith({ where: { userId: alice.id, pollOptionId: 'option-2' } });
+    });
+
+    test('votes on polls the voter can no longer open are not found', async () => {
+        prisma.poll.findFirst.mockResolvedValue(null);
+
+        expect((await removeVote()).status).toBe(404);
+        expect(prisma.vote.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test('votes on unpublished polls cannot be removed', async () => {
+        prisma.poll.findFirst.mockResolvedValue({ ...pickTwo, isPublished: false });
+
+        expect((await removeVote()).status).toBe(403);
+        expect(prisma.vote.deleteMany).not.toHaveBeenCalled();
+    });
+
+    test('single ranked preferences cannot be removed', async () => {
+        prisma.poll.findFirst.mockResolvedValue({ ...pickTwo, votingMode: 'ranked' });
+
+        expect((await removeVote()).status).toBe(400);
+        expect(prisma.vote.deleteMany).not.toHaveBeenCalled();
+    });
+});
+
+describe('PUT /api/votes', () => {
+    const previousBallot = [{ pollOptionId: 'option-1', freeText: null }];
+
+    const changeVote = (body) => request(app)
+        .put('/api/votes')
+        .set('Authorization', aliceAuth)
+        .send({ pollId: poll.id, ...body });
+
+    beforeEach(() => {
+        // First read: the previous ballot; second read: the stored result
+        prisma.vote.findMany
+            .mockResolvedValueOnce(previousBallot)
+            .mockResolvedValueOnce([{ id: 'vote-2', pollOptionId: 'option-2', pollOption: { id: 'option-2', text: 'Two' } }]);
+    });
+
+    test('moves the ballot and records the change in one serializable transaction', async () => {
+        const writes = [];
+        for (const [model, method] of [['vote', 'deleteMany'], ['vote', 'createMany'], ['voteChange', 'create']]) {
+            prisma[model][method].mockImplementation(async () => writes.push([`${model}.${method}`, inTransaction]));
+        }
+
+        const res = await changeVote({ pollOptionId: 'option-2' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.previousSelections).toEqual(['option-1']);
+        expect(prisma.$transaction).toHaveBeenCalledWith(expect.any(Function), { isolationLevel: 'Serializable' });
+        expect(writes).toEqual([['vote.deleteMany', true], ['vote.createMany', true], ['voteChange.create', true]]);
+        expect(prisma.voteChange.create).toHaveBeenCalledWith({
+            data: { userId: alice.id, pollId: poll.id, previousSelections: ['option-1'], newSelections: ['option-2'] }
+        });
+    });
+
+    test('the same selection leaves the ballot and history untouched', async () => {
+        const res = await changeVote({ pollOptionId: 'option-1' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Vote unchanged');
+        expect(prisma.vote.deleteMany).not.toHaveBeenCalled();
+        expect(prisma.voteChange.create).not.toHaveBeenCalled();
+    });
+
+    test('a voter without a ballot has nothing to change', async () => {
+        prisma.vote.findMany.mockReset();
+        prisma.vote.findMany.mockResolvedValue([]);
+
+        const res = await changeVote({ pollOptionId: 'option-2' });
+
+        expect(res.status).toBe(404);
+        expect(prisma.vote.createMany).not.toHaveBeenCalled();
+    });
+
+    test('a change that loses a race with a parallel one is rejected with 409', async () => {
+        prisma.$transaction.mockRejectedValue(Object.assign(new Error('write conflict'), { code: 'P2034' }));
+
+        const res = await changeVote({ pollOptionId: 'option-2' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('VOTE_CONFLICT');
+    });
+
+    test('changes on a closed poll are rejected', async () => {
+        prisma.poll.findFirst.mockResolvedValue({ ...poll, status: 'closed' });
+
+        const res = await changeVote({ pollOptionId: 'option-2' });
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('POLL_CLOSED');
+        expect(prisma.$transaction).not.toHaveBeenCalled();
+    });
+});
+
+describe('GET /api/votes/poll/:pollId/my/history', () => {
+    test('lists the voter\'s changes on polls they can still open', async () => {
+        const change = { id: 'change-1', previousSelections: ['option-1'], newSelections: ['option-2'], createdAt: new Date() };
+        prisma.voteChange.findMany.mockResolvedValue([change]);
+
+        const res = await request(app)
+            .get(`/api/votes/poll/${poll.id}/my/history`)
+            .set('Authorization', aliceAuth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual([{ ...change, createdAt: change.createdAt.toISOString() }]);
+        expect(prisma.voteChange.findMany).toHaveBeenCalledWith(expect.objectContaining({
+            where: { userId: alice.id, pollId: poll.id, poll: visiblePollWhere(alice) },
+            orderBy: { createdAt: 'desc' }
+        }));
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Escape a value for CSV
+ * - Quotes values containing separators, quotes or line breaks
+ * - Prefixes values that spreadsheets would run as formulas
+ */
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(toCsvValue).join(',')}\r\n`;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * - The first row is the header; returns an array of { column: value } objects
+ * - Blank lines are skipped
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    const [header = [], ...records] = rows;
+    const columns = header.map(column => column.trim());
+
+    return records.map(values =>
+        Object.fromEntries(columns.map((column, index) => [column, values[index] ?? '']))
+    );
+};
+
+module.exports = {
+    toCsvValue,
+    toCsvRow,
+    parseCsv
+};
@@ -0,0 +1,168 @@
+/**
+ * Offset and cursor pagination for list endpoints
+ * - Page mode (`page` + `limit`) keeps the classic { page, limit, total, pages } shape
+ * - Cursor mode (`cursor` + `limit`) continues after the row a cursor points to;
+ *   rows inserted meanwhile cannot shift the results, unlike `skip`
+ * - Cursors are opaque strings keyed on a date column + id (createdAt unless
+ *   the list says otherwise), so they only work when sorting by that column
+ * - `includeTotal: false` skips the count() query (total and pages are null)
+ */
+
+const encodeCursor = (row, cursorField = 'createdAt') => {
+    return Buffer.from(JSON.stringify([row[cursorField].toISOString(), row.id])).toString('base64url');
+};
+
+/**
+ * Decode a cursor from a previous response
+ * - Returns { value, id } (value is a Date) or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const date = new Date(value);
+
+        if (typeof value !== 'string' || typeof id !== 'string' || Number.isNaN(date.getTime())) {
+            return null;
+        }
+
+        return { value: date, id };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Fetch one page of rows
+ * - `delegate` is a Prisma model (e.g. prisma.poll); `where`, `include` and
+ *   `select` are passed to findMany as-is
+ * - Rows are ordered by `sortBy`, then by id so ties keep a stable order
+ * - `cursorField` is the non-null date column cursors are keyed on
+ * - Returns { error } for an invalid cursor, otherwise { items, pagination }
+ *   where pagination also has `hasMore` and `nextCursor`
+ */
+const findPage = async (delegate, {
+    where = {},
+    include,
+    select,
+    sortBy = 'createdAt',
+    sortOrder = 'desc',
+    cursorField = 'createdAt'
+}, {
+    page = 1,
+    limit = 10,
+    cursor,
+    includeTotal = true
+}) => {
+    let after = null;
+
+    if (cursor) {
+        if (sortBy !== cursorField) {
+            return { error: `cursor can only be used when sorting by ${cursorField}` };
+        }
+
+        after = decodeCursor(cursor);
+        if (!after) {
+            return { error: 'Invalid cursor' };
+        }
+    }
+
+    const direction = sortOrder === 'asc' ? 'gt' : 'lt';
+    const pageWhere = after
+        ? {
+            AND: [
+                where,
+                {
+                    OR: [
+                        { [cursorField]: { [direction]: after.value } },
+                        { [cursorField]: after.value, id: { [direction]: after.id } }
+                    ]
+                }
+            ]
+        }
+        : where;
+
+    // One extra row tells whether another page follows
+    const [rows, total] = await Promise.all([
+        delegate.findMany({
+            where: pageWhere,
+            ...(include && { include }),
+            ...(select && { select }),
+            orderBy: [{ [sortBy]: sortOrder }, { id: sortOrder }],
+            ...(!after && { skip: (page - 1) * limit }),
+            take: limit + 1
+        }),
+        includeTotal ? delegate.count({ where }) : null
+    ]);
+
+    const hasMore = rows.length > limit;
+    const items = hasMore ? rows.slice(0, limit) : rows;
+    const nextCursor = hasMore && sortBy === cursorField ? encodeCursor(items[items.length - 1], cursorField) : null;
+
+    const pagination = after
+        ? { limit, total, hasMore, nextCursor }
+        : {
+            page,
+            limit,
+            total,
+            pages: total === null ? null : Math.ceil(total / limit),
+            hasMore,
+            nextCursor
+        };
+
+    return { items, pagination };
+};
+
+/**
+ * Fetch one page of rows ordered by an external score (e.g. search rank)
+ * - `ranks` is a Map of id => score; only rows whose id is in it are returned
+ * - Page mode only, since scores are not stable between requests
+ * - Same return shape as findPage, with `nextCursor` always null
+ */
+const findRankedPage = async (delegate, { where = {}, include, select }, ranks, {
+    page = 1,
+    limit = 10,
+    cursor,
+    includeTotal = true
+}) => {
+    if (cursor) {
+        return { error: 'cursor cannot be used with ranked results' };
+    }
+
+    const matches = await delegate.findMany({
+        where: { AND: [where, { id: { in: [...ranks.keys()] } }] },
+        select: { id: true }
+    });
+
+    const ids = matches
+        .map(row => row.id)
+        .sort((a, b) => ranks.get(b) - ranks.get(a) || a.localeCompare(b));
+    const pageIds = ids.slice((page - 1) * limit, page * limit);
+
+    const rows = await delegate.findMany({
+        where: { id: { in: pageIds } },
+        ...(include && { include }),
+        ...(select && { select })
+    });
+    const byId = new Map(rows.map(row => [row.id, row]));
+
+    const total = includeTotal ? ids.length : null;
+
+    return {
+        items: pageIds.map(id => byId.get(id)).filter(Boolean),
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: total === null ? null : Math.ceil(total / limit),
+            hasMore: ids.length > page * limit,
+            nextCursor: null
+        }
+    };
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    findPage,
+    findRankedPage
+};
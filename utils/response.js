@@ -65,6 +65,23 @@ const forbiddenResponse = (res, message = 'Forbidden') => {
     return res.status(403).json(response);
 };
 
+const tooManyRequestsResponse = (res, message = 'Too many requests, please try again later', retryAfter = null, code = 'RATE_LIMITED') => {
+    const response = {
+        success: false,
+        message,
+        timestamp: new Date().toISOString(),
+        code,
+        ...(retryAfter && { retryAfter })
+    };
+
+    // Seconds until the client may retry
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+    }
+
+    return res.status(429).json(response);
+};
+
 const healthResponse = (res, healthData, isHealthy = true) => {
     const response = {
         success: isHealthy,
@@ -83,5 +100,6 @@ module.exports = {
     notFoundResponse,
     unauthorizedResponse,
     forbiddenResponse,
+    tooManyRequestsResponse,
     healthResponse
 };
@@ -0,0 +1,54 @@
+const proxyaddr = require('proxy-addr');
+
+/**
+ * Read TRUST_PROXY as an Express "trust proxy" setting
+ * - Only digits are a count of proxy hops in front of the app (e.g. 1), so
+ *   addresses like `127.0.0.1` or `10.0.0.0/8` are never read as a count
+ * - `true` / `false` trust every / no proxy
+ * - Anything else is a list of addresses, subnets or names, e.g. `loopback, 10.0.0.0/8`
+ * - Unset means no proxy is trusted
+ */
+const parseTrustProxy = (value) => {
+    const setting = value?.trim();
+
+    if (!setting || setting === 'false') {
+        return false;
+    }
+
+    if (setting === 'true') {
+        return true;
+    }
+
+    return /^\d+$/.test(setting) ? parseInt(setting) : setting;
+};
+
+/**
+ * Compile a trust proxy setting into a proxy-addr trust function, as Express does
+ */
+const compileTrust = (setting) => {
+    if (typeof setting === 'boolean') {
+        return () => setting;
+    }
+
+    if (typeof setting === 'number') {
+        return (address, hop) => hop < setting;
+    }
+
+    return proxyaddr.compile(setting.split(',').map(entry => entry.trim()));
+};
+
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+const trustProxy = compileTrust(TRUST_PROXY);
+
+/**
+ * Client IP of a raw HTTP request, resolved like Express's req.ip
+ * - X-Forwarded-For is walked from the right, skipping only trusted proxies,
+ *   so addresses the client put in the header are never used
+ * - For requests Express never sees, e.g. Socket.IO handshakes
+ */
+const getRequestIp = (req) => proxyaddr(req, trustProxy);
+
+module.exports = {
+    TRUST_PROXY,
+    getRequestIp
+};
@@ -0,0 +1,44 @@
+const { id, pagination } = require('./common');
+
+const userIdParams = { userId: id() };
+
+const pollIdParams = { pollId: id() };
+
+const listUsersQuery = {
+    ...pagination,
+    limit: { ...pagination.limit, default: 20 },
+    search: { type: 'string', maxLength: 200 },
+    role: { type: 'enum', values: ['user', 'moderator', 'admin'] },
+    suspended: { type: 'boolean' }
+};
+
+const reasonSchema = {
+    reason: { type: 'string', maxLength: 500 }
+};
+
+const roleSchema = {
+    role: { type: 'enum', values: ['user', 'moderator', 'admin'], required: true }
+};
+
+const purgeVotesQuery = {
+    userId: id(false)
+};
+
+const auditLogsQuery = {
+    ...pagination,
+    limit: { ...pagination.limit, default: 20 },
+    actorId: id(false),
+    action: { type: 'string', maxLength: 64 },
+    targetType: { type: 'enum', values: ['user', 'poll'] },
+    targetId: id(false)
+};
+
+module.exports = {
+    userIdParams,
+    pollIdParams,
+    listUsersQuery,
+    reasonSchema,
+    roleSchema,
+    purgeVotesQuery,
+    auditLogsQuery
+};
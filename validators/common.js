@@ -0,0 +1,31 @@
+/**
+ * Shared validation rules (see middleware/validate.js)
+ */
+
+// IDs are cuid/uuid strings
+const id = (required = true) => ({ type: 'string', required, maxLength: 64 });
+
+const pagination = {
+    page: { type: 'integer', min: 1, max: 100000, default: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: 10 }
+};
+
+// Page mode or cursor mode (see utils/pagination.js); `includeTotal=false` skips the count
+const cursorPagination = {
+    ...pagination,
+    cursor: { type: 'string', maxLength: 200, pattern: /^[A-Za-z0-9_-]+$/ },
+    includeTotal: { type: 'boolean', default: true }
+};
+
+// Share token of a link-only poll (see services/pollVisibilityService.js)
+const shareToken = { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/ };
+
+const sortOrder = { type: 'enum', values: ['asc', 'desc'], default: 'desc' };
+
+module.exports = {
+    id,
+    pagination,
+    cursorPagination,
+    shareToken,
+    sortOrder
+};
@@ -0,0 +1,205 @@
+const { id, pagination, cursorPagination, sortOrder } = require('./common');
+const { VOTING_MODES } = require('../services/votingService');
+const { RESULTS_VISIBILITY } = require('../services/resultsService');
+const { EXPORT_FORMATS, EXPORT_TYPES } = require('../services/exportService');
+const { MAX_POLL_TAGS } = require('../services/tagService');
+const { TRENDING_WINDOW_HOURS } = require('../services/feedService');
+const { ACCESS_MODES } = require('../services/pollVisibilityService');
+const { VOTER_VISIBILITY } = require('../services/privacyService');
+
+const pollIdParams = { pollId: id() };
+
+const optionParams = { pollId: id(), optionId: id() };
+
+const inviteParams = { pollId: id(), inviteId: id() };
+
+// Both `after_voting` and `after-voting` spellings are accepted
+const resultsVisibility = {
+    type: 'enum',
+    values: [...RESULTS_VISIBILITY, ...RESULTS_VISIBILITY.map(value => value.replace(/_/g, '-'))]
+};
+
+const accessMode = { type: 'enum', values: ACCESS_MODES };
+
+const voterVisibility = { type: 'enum', values: VOTER_VISIBILITY };
+
+const question = { type: 'string', minLength: 1, maxLength: 500 };
+
+// Remote images or files uploaded through the option image endpoint
+const IMAGE_URL_PATTERN = /^(https?:\/\/|\/uploads\/)\S+$/;
+
+const optionText = { type: 'string', minLength: 1, maxLength: 200 };
+
+// Optional presentation of an option; `allowsFreeText` marks the "Other" option
+const optionDetails = {
+    description: { type: 'string', maxLength: 1000, nullable: true },
+    imageUrl: { type: 'string', maxLength: 2048, pattern: IMAGE_URL_PATTERN, nullable: true },
+    allowsFreeText: { type: 'boolean' }
+};
+
+// Letters, digits, spaces, "-" and "_" (lowercased by the tag service)
+const tag = { type: 'string', minLength: 1, maxLength: 30, pattern: /^[\p{L}\p{N}][\p{L}\p{N} _-]*$/u };
+
+const tags = { type: 'array', maxLength: MAX_POLL_TAGS, items: tag };
+
+const createPollSchema = {
+    question: { ...question, required: true },
+    options: {
+        type: 'array',
+        required: true,
+        minLength: 2,
+        maxLength: 20,
+        items: {
+            type: 'object',
+            fields: {
+                text: { ...optionText, required: true },
+                ...optionDetails
+            }
+        }
+    },
+    isPublished: { type: 'boolean' },
+    isUnlisted: { type: 'boolean' },
+    accessMode,
+    allowAnonymous: { type: 'boolean' },
+    resultsVisibility,
+    voterVisibility,
+    votingMode: { type: 'enum', values: VOTING_MODES },
+    minSelections: { type: 'integer', min: 1, max: 20 },
+    maxSelections: { type: 'integer', min: 1, max: 20 },
+    opensAt: { type: 'date', nullable: true },
+    closesAt: { type: 'date', nullable: true },
+    tags
+};
+
+const updatePollSchema = {
+    question,
+    isPublished: { type: 'boolean' },
+    isUnlisted: { type: 'boolean' },
+    accessMode,
+    allowAnonymous: { type: 'boolean' },
+    resultsVisibility,
+    voterVisibility,
+    opensAt: { type: 'date', nullable: true },
+    closesAt: { type: 'date', nullable: true },
+    tags
+};
+
+const publishPollSchema = {
+    isPublished: { type: 'boolean', required: true }
+};
+
+const position = { type: 'integer', min: 0, max: 19 };
+
+const addOptionSchema = {
+    text: { ...optionText, required: true },
+    ...optionDetails,
+    position
+};
+
+const updateOptionSchema = {
+    text: optionText,
+    ...optionDetails,
+    position
+};
+
+const reorderOptionsSchema = {
+    optionIds: { type: 'array', required: true, minLength: 2, maxLength: 20, items: id() }
+};
+
+const deleteOptionQuery = {
+    migrateToOptionId: id(false)
+};
+
+// Any poll field can override the copy; options are copied unless `includeOptions` is false
+const duplicatePollSchema = {
+    ...Object.fromEntries(
+        Object.entries(createPollSchema).map(([field, rule]) => [field, { ...rule, required: false }])
+    ),
+    includeOptions: { type: 'boolean', default: true }
+};
+
+const revisionsQuery = { ...pagination };
+
+// Invite registered users by id and/or anyone by email (at least one of the two)
+const addInvitesSchema = {
+    userIds: { type: 'array', maxLength: 100, items: id() },
+    emails: { type: 'array', maxLength: 100, items: { type: 'email', required: true, maxLength: 254 } }
+};
+
+const invitesQuery = { ...pagination, limit: { ...pagination.limit, default: 50 } };
+
+const sortBy = { type: 'enum', values: ['createdAt', 'updatedAt', 'question'], default: 'createdAt' };
+
+// Defaults to relevance when searching, createdAt otherwise
+const listSortBy = { type: 'enum', values: [...sortBy.values, 'relevance'] };
+
+const listPollsQuery = {
+    ...cursorPagination,
+    search: { type: 'string', maxLength: 200 },
+    tags: { ...tags, split: ',' },
+    tagMatch: { type: 'enum', values: ['all', 'any'], default: 'all' },
+    authorId: id(false),
+    isPublished: { type: 'boolean' },
+    sortBy: listSortBy,
+    sortOrder
+};
+
+const myPollsQuery = {
+    ...cursorPagination,
+    isPublished: { type: 'boolean' },
+    sortBy,
+    sortOrder
+};
+
+// Ranked feeds only support page mode
+const rankedFeedQuery = {
+    ...pagination,
+    includeTotal: cursorPagination.includeTotal
+};
+
+const trendingFeedQuery = {
+    ...rankedFeedQuery,
+    windowHours: { type: 'integer', min: 1, max: 168, default: TRENDING_WINDOW_HOURS }
+};
+
+const closingSoonFeedQuery = {
+    ...cursorPagination,
+    withinHours: { type: 'integer', min: 1, max: 720, default: 48 }
+};
+
+const unvotedFeedQuery = { ...cursorPagination };
+
+const exportQuery = {
+    format: { type: 'enum', values: EXPORT_FORMATS, default: 'csv' },
+    type: { type: 'enum', values: EXPORT_TYPES, default: 'votes' }
+};
+
+const myPollsExportQuery = {
+    ...exportQuery,
+    isPublished: { type: 'boolean' }
+};
+
+module.exports = {
+    pollIdParams,
+    createPollSchema,
+    updatePollSchema,
+    publishPollSchema,
+    duplicatePollSchema,
+    revisionsQuery,
+    inviteParams,
+    addInvitesSchema,
+    invitesQuery,
+    optionParams,
+    addOptionSchema,
+    updateOptionSchema,
+    reorderOptionsSchema,
+    deleteOptionQuery,
+    listPollsQuery,
+    myPollsQuery,
+    rankedFeedQuery,
+    trendingFeedQuery,
+    closingSoonFeedQuery,
+    unvotedFeedQuery,
+    exportQuery,
+    myPollsExportQuery
+};
@@ -0,0 +1,23 @@
+const { id, pagination } = require('./common');
+const { createPollSchema } = require('./pollSchemas');
+
+const templateIdParams = { templateId: id() };
+
+const createTemplateSchema = {
+    pollId: id(),
+    name: { type: 'string', minLength: 1, maxLength: 100 }
+};
+
+// Any poll field can override the template; nothing is required
+const instantiateTemplateSchema = Object.fromEntries(
+    Object.entries(createPollSchema).map(([field, rule]) => [field, { ...rule, required: false }])
+);
+
+const listTemplatesQuery = { ...pagination };
+
+module.exports = {
+    templateIdParams,
+    createTemplateSchema,
+    instantiateTemplateSchema,
+    listTemplatesQuery
+};
@@ -0,0 +1,59 @@
+const { id } = require('./common');
+const { PROFILE_VISIBILITY } = require('../services/privacyService');
+
+const userIdParams = { userId: id() };
+
+const registerSchema = {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    email: { type: 'email', required: true, maxLength: 254 },
+    password: { type: 'password', required: true, maxLength: 128, trim: false }
+};
+
+const loginSchema = {
+    email: { type: 'email', required: true, maxLength: 254 },
+    password: { type: 'string', required: true, maxLength: 128, trim: false }
+};
+
+const refreshTokenSchema = {
+    refreshToken: { type: 'string', maxLength: 2048 }
+};
+
+const tokenSchema = {
+    token: { type: 'string', required: true, maxLength: 256 }
+};
+
+const forgotPasswordSchema = {
+    email: { type: 'email', required: true, maxLength: 254 }
+};
+
+const resetPasswordSchema = {
+    token: { type: 'string', required: true, maxLength: 256 },
+    newPassword: { type: 'password', required: true, maxLength: 128, trim: false }
+};
+
+const updateProfileSchema = {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    email: { type: 'email', maxLength: 254 },
+    profileVisibility: { type: 'enum', values: PROFILE_VISIBILITY },
+    showVoteHistory: { type: 'boolean' }
+};
+
+const changePasswordSchema = {
+    currentPassword: { type: 'string', required: true, maxLength: 128, trim: false },
+    newPassword: { type: 'password', required: true, maxLength: 128, trim: false }
+};
+
+const sessionParams = { sessionId: id() };
+
+module.exports = {
+    userIdParams,
+    registerSchema,
+    loginSchema,
+    refreshTokenSchema,
+    tokenSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    updateProfileSchema,
+    changePasswordSchema,
+    sessionParams
+};
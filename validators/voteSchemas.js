@@ -0,0 +1,56 @@
+const { id, cursorPagination, shareToken } = require('./common');
+
+const selections = {
+    type: 'array',
+    minLength: 1,
+    maxLength: 20,
+    items: id()
+};
+
+// Answer for the poll's "Other" option
+const freeText = { type: 'string', maxLength: 500 };
+
+const addVoteSchema = {
+    pollId: id(),
+    pollOptionId: id(),
+    freeText
+};
+
+const ballotSchema = {
+    selections: { ...selections, required: true },
+    freeText
+};
+
+const updateVoteSchema = {
+    pollId: id(),
+    pollOptionId: id(false),
+    selections,
+    freeText
+};
+
+const guestVoteSchema = {
+    pollId: id(),
+    selections: { ...selections, required: true },
+    freeText,
+    fingerprint: { type: 'string', maxLength: 512 }
+};
+
+const pollIdParams = { pollId: id() };
+
+const pollOptionIdParams = { pollOptionId: id() };
+
+const paginationQuery = { ...cursorPagination };
+
+// Link-only polls also take their share token as a query param
+const pollVotesQuery = { ...cursorPagination, shareToken };
+
+module.exports = {
+    addVoteSchema,
+    ballotSchema,
+    updateVoteSchema,
+    guestVoteSchema,
+    pollIdParams,
+    pollOptionIdParams,
+    paginationQuery,
+    pollVotesQuery
+};